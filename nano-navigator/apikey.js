@@ -0,0 +1,137 @@
+// Gemini API key storage.
+// The key is entered on the options page only and read from storage whenever a task needs it, so a
+// restarted service worker never loses it. It is kept in chrome.storage.local either as is, or
+// encrypted with a passphrase (PBKDF2 + AES-GCM via WebCrypto). An encrypted key is unlocked once
+// per browser session into chrome.storage.session, which extension pages and the worker can read
+// but content scripts cannot.
+// Shared by the service worker (importScripts) and the extension pages (<script>); plain globals.
+
+const API_KEY_STORAGE_KEY = "geminiApiKey";
+const ENCRYPTED_API_KEY_STORAGE_KEY = "geminiApiKeyEncrypted";
+const UNLOCKED_API_KEY_STORAGE_KEY = "geminiApiKeyUnlocked";
+
+// What getApiKeyState() reports
+const API_KEY_MISSING = "missing";
+const API_KEY_PLAIN = "plain";
+const API_KEY_LOCKED = "locked";
+const API_KEY_UNLOCKED = "unlocked";
+
+const API_KEY_PBKDF2_ITERATIONS = 600000;
+
+/**
+ * The usable API key, or "" when none is saved or the saved one is still locked.
+ */
+async function getGeminiApiKey() {
+  const stored = await chrome.storage.local.get(API_KEY_STORAGE_KEY);
+  if (stored[API_KEY_STORAGE_KEY]) return stored[API_KEY_STORAGE_KEY];
+  const unlocked = await chrome.storage.session.get(UNLOCKED_API_KEY_STORAGE_KEY);
+  return unlocked[UNLOCKED_API_KEY_STORAGE_KEY] || "";
+}
+
+/**
+ * One of API_KEY_MISSING, API_KEY_PLAIN, API_KEY_LOCKED or API_KEY_UNLOCKED.
+ */
+async function getApiKeyState() {
+  const stored = await chrome.storage.local.get([API_KEY_STORAGE_KEY, ENCRYPTED_API_KEY_STORAGE_KEY]);
+  if (stored[API_KEY_STORAGE_KEY]) return API_KEY_PLAIN;
+  if (!stored[ENCRYPTED_API_KEY_STORAGE_KEY]) return API_KEY_MISSING;
+  const unlocked = await chrome.storage.session.get(UNLOCKED_API_KEY_STORAGE_KEY);
+  return unlocked[UNLOCKED_API_KEY_STORAGE_KEY] ? API_KEY_UNLOCKED : API_KEY_LOCKED;
+}
+
+/**
+ * Saves the key, encrypted when a `passphrase` is given. Replaces any key saved before.
+ */
+async function saveGeminiApiKey(apiKey, passphrase = "") {
+  if (!passphrase) {
+    await chrome.storage.local.remove(ENCRYPTED_API_KEY_STORAGE_KEY);
+    await chrome.storage.session.remove(UNLOCKED_API_KEY_STORAGE_KEY);
+    await chrome.storage.local.set({ [API_KEY_STORAGE_KEY]: apiKey });
+    return;
+  }
+  const encrypted = await encryptApiKey(apiKey, passphrase);
+  await chrome.storage.local.remove(API_KEY_STORAGE_KEY);
+  await chrome.storage.local.set({ [ENCRYPTED_API_KEY_STORAGE_KEY]: encrypted });
+  await chrome.storage.session.set({ [UNLOCKED_API_KEY_STORAGE_KEY]: apiKey });
+}
+
+/**
+ * Decrypts the saved key for the rest of the browser session. Throws on a wrong passphrase.
+ */
+async function unlockGeminiApiKey(passphrase) {
+  const stored = await chrome.storage.local.get(ENCRYPTED_API_KEY_STORAGE_KEY);
+  if (!stored[ENCRYPTED_API_KEY_STORAGE_KEY]) {
+    throw new Error("No encrypted API key is saved.");
+  }
+  const apiKey = await decryptApiKey(stored[ENCRYPTED_API_KEY_STORAGE_KEY], passphrase);
+  await chrome.storage.session.set({ [UNLOCKED_API_KEY_STORAGE_KEY]: apiKey });
+}
+
+async function lockGeminiApiKey() {
+  await chrome.storage.session.remove(UNLOCKED_API_KEY_STORAGE_KEY);
+}
+
+async function removeGeminiApiKey() {
+  await chrome.storage.local.remove([API_KEY_STORAGE_KEY, ENCRYPTED_API_KEY_STORAGE_KEY]);
+  await chrome.storage.session.remove(UNLOCKED_API_KEY_STORAGE_KEY);
+}
+
+// --- Encryption ---
+
+/**
+ * Base64 of the bytes in an ArrayBuffer or typed array, converted in slices so large buffers
+ * (an image) keep the argument list within limits.
+ */
+function bytesToBase64(bytes) {
+  const view = ArrayBuffer.isView(bytes) ? new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength) : new Uint8Array(bytes);
+  let binary = "";
+  for (let start = 0; start < view.length; start += 0x8000) {
+    binary += String.fromCharCode(...view.subarray(start, start + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function deriveApiKeyCryptoKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * Encrypts the key into a storable `{ salt, iv, iterations, ciphertext }` record (base64 fields).
+ */
+async function encryptApiKey(apiKey, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const cryptoKey = await deriveApiKeyCryptoKey(passphrase, salt, API_KEY_PBKDF2_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, cryptoKey, new TextEncoder().encode(apiKey));
+  return {
+    salt: bytesToBase64(salt),
+    iv: bytesToBase64(iv),
+    iterations: API_KEY_PBKDF2_ITERATIONS,
+    ciphertext: bytesToBase64(ciphertext)
+  };
+}
+
+/**
+ * Decrypts a record made by encryptApiKey(). Throws when the passphrase is wrong.
+ */
+async function decryptApiKey(record, passphrase) {
+  const cryptoKey = await deriveApiKeyCryptoKey(passphrase, base64ToBytes(record.salt), record.iterations);
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: "AES-GCM", iv: base64ToBytes(record.iv) }, cryptoKey, base64ToBytes(record.ciphertext));
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    // AES-GCM cannot tell a wrong passphrase from a corrupted record; the passphrase is far likelier
+    throw new Error("Wrong passphrase.");
+  }
+}
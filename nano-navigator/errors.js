@@ -0,0 +1,192 @@
+// Typed errors for failed cloud requests.
+// Every failure is classified once, where the HTTP response (or the lack of one) is seen, into an
+// error that knows whether retrying can help, how long the server asked us to wait, and what the
+// user can do about it. The result views show the friendly message and offer the listed actions.
+// Shared by the service worker (importScripts) and the tests; plain globals.
+
+// What the user can do about a failure, offered as buttons under the error
+const ERROR_ACTION_RETRY = "retry";
+const ERROR_ACTION_OPEN_OPTIONS = "open-options";
+
+// Gemini finish / block reasons that mean the output (or the prompt) was filtered
+const BLOCKED_FINISH_REASONS = ["SAFETY", "RECITATION", "PROHIBITED_CONTENT", "BLOCKLIST", "SPII", "IMAGE_SAFETY"];
+
+// Longest API error text quoted to the user; the full body only goes to the console
+const MAX_QUOTED_ERROR_LENGTH = 200;
+
+/**
+ * Base class of the classified failures. `retryable` says whether trying the same request again
+ * may succeed, `retryAfterMs` is the wait the server asked for (if any) and `actions` lists the
+ * ERROR_ACTION_* the result view should offer.
+ */
+class AiTaskError extends Error {
+  constructor(message, { retryable = false, retryAfterMs = null, actions = [], status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = new.target.name;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.actions = actions;
+    this.status = status;
+  }
+}
+
+/** The API key is missing, invalid or lacks permission. */
+class AuthError extends AiTaskError {
+  constructor(message, options = {}) {
+    super(message, { ...options, actions: [ERROR_ACTION_OPEN_OPTIONS] });
+  }
+}
+
+/** Rate limit or quota exceeded (HTTP 429); retried after `retryAfterMs` when that is short. */
+class QuotaError extends AiTaskError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: true, actions: [ERROR_ACTION_RETRY] });
+  }
+}
+
+/** The prompt or the response was blocked by the safety filter; `reason` is the API's reason code. */
+class SafetyBlockedError extends AiTaskError {
+  constructor(message, reason, options = {}) {
+    super(message, { ...options, actions: [ERROR_ACTION_OPEN_OPTIONS] });
+    this.reason = reason;
+  }
+}
+
+/** The browser is offline; retrying before the connection is back cannot help. */
+class OfflineError extends AiTaskError {
+  constructor(message, options = {}) {
+    super(message, { ...options, actions: [ERROR_ACTION_RETRY] });
+  }
+}
+
+/** The server could not be reached, or failed on its side (HTTP 5xx). */
+class NetworkError extends AiTaskError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: true, actions: [ERROR_ACTION_RETRY] });
+  }
+}
+
+/** The server answered, but not with output we can read. */
+class MalformedResponseError extends AiTaskError {
+  constructor(message, options = {}) {
+    super(message, { ...options, actions: [ERROR_ACTION_RETRY] });
+  }
+}
+
+/** The user declined to send the request after previewing it (see privacy.js); nothing was sent. */
+class CloudSendDeclinedError extends AiTaskError {
+  constructor(message = "Nothing was sent: the request was cancelled in the preview.", options = {}) {
+    super(message, { ...options, actions: [ERROR_ACTION_RETRY] });
+  }
+}
+
+/** The request would go over the user's daily token budget (see usage.js); nothing was sent. */
+class BudgetExceededError extends AiTaskError {
+  constructor(message, options = {}) {
+    super(message, { ...options, actions: [ERROR_ACTION_OPEN_OPTIONS] });
+  }
+}
+
+/** Any other rejected request (an unknown model, a bad base URL, ...); fixed in the settings, not by retrying. */
+class RequestError extends AiTaskError {
+  constructor(message, options = {}) {
+    super(message, { ...options, actions: [ERROR_ACTION_OPEN_OPTIONS] });
+  }
+}
+
+/**
+ * Parses a Retry-After header (seconds or an HTTP date) or a Gemini RetryInfo delay ("33s") into
+ * milliseconds, or null.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = /^\s*(\d+(?:\.\d+)?)s?\s*$/.exec(value);
+  if (seconds) return Math.round(Number(seconds[1]) * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds < 90 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+}
+
+/**
+ * Turns a failed HTTP response (status, body text and headers) into a typed error. The API's own
+ * message is quoted, shortened, when the body has one in the usual `{ error: { message } }` shape.
+ */
+function classifyHttpError(status, bodyText, headers = new Headers()) {
+  let body = {};
+  try {
+    body = JSON.parse(bodyText);
+  } catch (error) {
+    // Proxies and local servers may answer with HTML or plain text
+  }
+  const apiError = (Array.isArray(body) ? body[0] : body)?.error || {};
+  const details = apiError.details || [];
+  const quoted = typeof apiError.message === "string" && apiError.message
+    ? ` (${apiError.message.slice(0, MAX_QUOTED_ERROR_LENGTH)})`
+    : "";
+
+  const keyRejected = details.some(detail => detail.reason === "API_KEY_INVALID") || /api key/i.test(apiError.message || "");
+  if (status === 401 || status === 403 || (status === 400 && keyRejected)) {
+    return new AuthError(`The API key was rejected${quoted}. Check the key on the options page.`, { status });
+  }
+  if (status === 429) {
+    const retryInfo = details.find(detail => detail.retryDelay);
+    const retryAfterMs = parseRetryAfter(headers.get("Retry-After")) ?? parseRetryAfter(retryInfo?.retryDelay);
+    const wait = retryAfterMs !== null ? ` Try again in ${formatWait(retryAfterMs)}.` : " Wait a moment and try again.";
+    return new QuotaError(`The API's rate limit or quota was reached${quoted}.${wait}`, { status, retryAfterMs });
+  }
+  if (status >= 500) {
+    const retryAfterMs = parseRetryAfter(headers.get("Retry-After"));
+    return new NetworkError(`The AI service had a problem (HTTP ${status})${quoted}. Try again in a moment.`, { status, retryAfterMs });
+  }
+  return new RequestError(`The request was rejected (HTTP ${status})${quoted}. Check the model and base URL on the options page.`, { status });
+}
+
+/**
+ * Turns a fetch() rejection into a typed error. Aborts are deliberate and passed through as they are.
+ */
+function classifyFetchError(error) {
+  if (error.name === "AbortError" || error instanceof AiTaskError) return error;
+  if (globalThis.navigator?.onLine === false) {
+    return new OfflineError("You appear to be offline. Reconnect and try again.", { cause: error });
+  }
+  return new NetworkError("Could not reach the AI service. Check your connection, or the base URL on the options page.", { cause: error });
+}
+
+/**
+ * Throws a SafetyBlockedError when a Gemini response (or streamed chunk) reports that the prompt
+ * was blocked (`promptFeedback.blockReason`) or the output was cut off by a filter (`finishReason`).
+ */
+function throwIfGeminiBlocked(result) {
+  const blockReason = result.promptFeedback?.blockReason;
+  if (blockReason) {
+    throw new SafetyBlockedError(`The text was blocked by the safety filter (${blockReason}). Rephrase it, or choose a less strict safety filter for this preset on the options page.`, blockReason);
+  }
+  const finishReason = result.candidates?.[0]?.finishReason;
+  if (BLOCKED_FINISH_REASONS.includes(finishReason)) {
+    throw new SafetyBlockedError(`The answer was stopped by the safety filter (${finishReason}). Rephrase the text, or choose a less strict safety filter for this preset on the options page.`, finishReason);
+  }
+}
+
+/**
+ * Milliseconds to wait before retry number `attempt` (0-based): what the server asked for, else
+ * exponential backoff with jitter so parallel requests do not retry in lockstep.
+ */
+function getRetryDelay(error, attempt, baseDelayMs = 1000) {
+  if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) return error.retryAfterMs;
+  return Math.round(baseDelayMs * 2 ** attempt * (0.5 + Math.random() / 2));
+}
+
+/**
+ * The message and actions to show for any error thrown by a task. Unclassified errors (from the
+ * on-device APIs, say) keep their own message and offer no actions.
+ */
+function describeTaskError(error) {
+  return {
+    message: error.message || "The request failed. Check your API key and connection.",
+    actions: error instanceof AiTaskError ? error.actions : []
+  };
+}
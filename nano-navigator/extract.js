@@ -0,0 +1,252 @@
+// Structured extraction: "extract" presets pull records with a fixed set of fields (action items,
+// contacts, dates, ...) out of the text. The model answers in JSON matching a schema built from the
+// fields; the answer is validated here, then shown as a table that can be sorted and exported.
+// Shared by the service worker (importScripts) and the extension pages (<script>); plain globals.
+
+// The types a field can have, with their labels in the preset editor
+const EXTRACT_FIELD_TYPES = {
+  text: "Text",
+  number: "Number",
+  date: "Date",
+  boolean: "Yes/No"
+};
+const DEFAULT_EXTRACT_FIELD_TYPE = "text";
+// Shown where the fields of an "ask for input" extract preset are typed
+const EXTRACT_FIELDS_PLACEHOLDER = "e.g., product, price: number, release date: date, in stock: boolean";
+const MAX_EXTRACT_FIELDS = 20;
+const MAX_EXTRACT_FIELD_NAME_LENGTH = 60;
+
+// Gemini `responseSchema` types for the field types
+const EXTRACT_SCHEMA_TYPES = {
+  text: "STRING",
+  number: "NUMBER",
+  date: "STRING",
+  boolean: "BOOLEAN"
+};
+
+/**
+ * Validates fields (e.g. from an imported preset) into `[{ name, type, description }]`: entries
+ * without a name are dropped, unknown types become text and repeated names are kept once.
+ */
+function normalizeExtractFields(raw) {
+  const fields = [];
+  for (const entry of Array.isArray(raw) ? raw : []) {
+    const name = typeof entry?.name === "string" ? entry.name.trim().slice(0, MAX_EXTRACT_FIELD_NAME_LENGTH) : "";
+    if (!name || fields.some(field => field.name.toLowerCase() === name.toLowerCase())) continue;
+    fields.push({
+      name,
+      type: Object.hasOwn(EXTRACT_FIELD_TYPES, entry.type) ? entry.type : DEFAULT_EXTRACT_FIELD_TYPE,
+      description: typeof entry.description === "string" ? entry.description.trim() : ""
+    });
+  }
+  return fields.slice(0, MAX_EXTRACT_FIELDS);
+}
+
+/**
+ * Parses fields written as text: `name`, `name: type` or `name: type - description`, one per line,
+ * or on a single line separated by commas, e.g. "product, price: number, release date: date".
+ * A suffix that is not a known type is part of the name.
+ */
+function parseExtractFields(text) {
+  const lines = String(text || "").trim();
+  const entries = lines.split(lines.includes("\n") ? "\n" : ",").map(entry => entry.trim()).filter(Boolean);
+  return normalizeExtractFields(entries.map(entry => {
+    const [head, ...rest] = entry.split(" - ");
+    const typed = head.match(/^(.*?)\s*:\s*([a-z/]+)$/i);
+    const type = typed && Object.keys(EXTRACT_FIELD_TYPES).find(key => key === typed[2].toLowerCase() || EXTRACT_FIELD_TYPES[key].toLowerCase() === typed[2].toLowerCase());
+    return {
+      name: type ? typed[1] : head,
+      type: type || DEFAULT_EXTRACT_FIELD_TYPE,
+      description: rest.join(" - ")
+    };
+  }));
+}
+
+/**
+ * Writes fields in the text form parseExtractFields() reads, one per line, for the preset editor.
+ */
+function formatExtractFields(fields) {
+  return fields
+    .map(field => `${field.name}: ${field.type}${field.description ? ` - ${field.description}` : ""}`)
+    .join("\n");
+}
+
+/**
+ * The Gemini `responseSchema` for an extraction: `{ records: [{ <field name>: value | null }] }`.
+ */
+function buildExtractionSchema(fields) {
+  const describe = (field) => [
+    field.description,
+    field.type === "date" ? "An ISO 8601 date (YYYY-MM-DD), or as written when the text gives no full date." : "",
+    "null when the text does not give it."
+  ].filter(Boolean).join(" ");
+  return {
+    type: "OBJECT",
+    properties: {
+      records: {
+        type: "ARRAY",
+        items: {
+          type: "OBJECT",
+          properties: Object.fromEntries(fields.map(field => [field.name, {
+            type: EXTRACT_SCHEMA_TYPES[field.type],
+            description: describe(field),
+            nullable: true
+          }])),
+          required: fields.map(field => field.name),
+          // Gemini otherwise orders the properties alphabetically
+          propertyOrdering: fields.map(field => field.name)
+        }
+      }
+    },
+    required: ["records"]
+  };
+}
+
+/**
+ * Converts a Gemini `responseSchema` into the JSON Schema the Prompt API's `responseConstraint` takes.
+ */
+function toJsonSchema(schema) {
+  const { type, nullable, properties, items, propertyOrdering, ...rest } = schema;
+  const jsonType = type.toLowerCase();
+  return {
+    ...rest,
+    type: nullable ? [jsonType, "null"] : jsonType,
+    ...(properties && { properties: Object.fromEntries(Object.entries(properties).map(([name, property]) => [name, toJsonSchema(property)])) }),
+    ...(items && { items: toJsonSchema(items) })
+  };
+}
+
+/**
+ * Coerces a value the model gave for a field of `type`. Resolves to the value, null when the text
+ * does not give it, or undefined when it does not fit the type.
+ */
+function coerceExtractValue(type, value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (type === "number") {
+    if (typeof value === "number") return Number.isFinite(value) ? value : undefined;
+    // "$1,299.00" or "about 40" still say which number is meant
+    const match = typeof value === "string" && value.replace(/,/g, "").match(/-?\d+(\.\d+)?/);
+    return match ? Number(match[0]) : undefined;
+  }
+  if (type === "boolean") {
+    if (typeof value === "boolean") return value;
+    const answer = typeof value === "string" ? value.trim().toLowerCase() : "";
+    if (answer === "true" || answer === "yes") return true;
+    if (answer === "false" || answer === "no") return false;
+    return undefined;
+  }
+  if (typeof value === "string") return value.trim() || null;
+  return typeof value === "number" || typeof value === "boolean" ? String(value) : undefined;
+}
+
+/**
+ * Parses and validates the extraction response into `{ records, invalid }`: one object per record
+ * with every field (null where the text did not give it), and how many values did not fit their
+ * field and were left empty. Records with no value at all are dropped. Throws on malformed JSON
+ * (see parseStructuredAnswer()).
+ */
+function parseExtractionResponse(json, fields) {
+  let data;
+  try {
+    data = parseStructuredAnswer(json);
+  } catch (error) {
+    throw new Error("The extraction returned a malformed response.");
+  }
+  const rows = Array.isArray(data) ? data : data?.records;
+  if (!Array.isArray(rows)) {
+    throw new Error("The extraction response did not include any records.");
+  }
+
+  let invalid = 0;
+  const records = [];
+  for (const row of rows) {
+    if (!row || typeof row !== "object" || Array.isArray(row)) {
+      invalid++;
+      continue;
+    }
+    // Models sometimes change the case of a field name
+    const keys = Object.keys(row);
+    const record = {};
+    for (const field of fields) {
+      const key = keys.find(candidate => candidate === field.name) ?? keys.find(candidate => candidate.toLowerCase() === field.name.toLowerCase());
+      const value = coerceExtractValue(field.type, key === undefined ? null : row[key]);
+      if (value === undefined) invalid++;
+      record[field.name] = value ?? null;
+    }
+    if (fields.some(field => record[field.name] !== null)) {
+      records.push(record);
+    }
+  }
+  return { records, invalid };
+}
+
+/**
+ * How a value is shown in the table and the Markdown summary.
+ */
+function formatExtractValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  return String(value);
+}
+
+/**
+ * Orders two values of a column: numbers and booleans by value, text naturally ("item 2" before
+ * "item 10"); empty cells always last. `direction` is 1 (ascending) or -1 (descending).
+ */
+function compareExtractValues(a, b, direction = 1) {
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+  if (b === null || b === undefined) return -1;
+  const order = typeof a === "string" || typeof b === "string"
+    ? String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: "base" })
+    : Number(a) - Number(b);
+  return order * direction;
+}
+
+/**
+ * Formats the records as a Markdown table, for history, follow-ups and copies.
+ */
+function formatExtractionMarkdown(fields, records, invalid = 0) {
+  if (records.length === 0) {
+    return "No matching records were found in the text.";
+  }
+  const cell = (text) => text.replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+  const lines = [
+    `| ${fields.map(field => cell(field.name)).join(" | ")} |`,
+    `| ${fields.map(field => (field.type === "number" ? "---:" : "---")).join(" | ")} |`,
+    ...records.map(record => `| ${fields.map(field => cell(formatExtractValue(record[field.name]))).join(" | ")} |`)
+  ];
+  const note = invalid ? `\n\n_${invalid} value${invalid === 1 ? "" : "s"} did not match the field type and ${invalid === 1 ? "was" : "were"} left empty._` : "";
+  return `${lines.join("\n")}${note}`;
+}
+
+/**
+ * Writes the records as CSV (RFC 4180), with the field names as the header row. Text that a
+ * spreadsheet would run as a formula is prefixed with an apostrophe.
+ */
+function recordsToCsv(fields, records) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return "";
+    let text = String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+  };
+  return [fields.map(field => cell(field.name)), ...records.map(record => fields.map(field => cell(record[field.name])))]
+    .map(row => row.join(","))
+    .join("\r\n");
+}
+
+function recordsToJson(records) {
+  return JSON.stringify(records, null, 2);
+}
+
+/**
+ * Builds a provider result for an extract task: `{ text, extraction: { fields, records, invalid } }`.
+ */
+function createExtractionResult(fields, { records, invalid }) {
+  return {
+    text: formatExtractionMarkdown(fields, records, invalid),
+    extraction: { fields, records, invalid }
+  };
+}
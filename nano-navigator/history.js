@@ -0,0 +1,174 @@
+// Task history stored in IndexedDB.
+// Shared by the service worker (importScripts) and the history page (<script>), which both see the
+// same extension-origin database. Everything here is a plain global.
+
+const HISTORY_DB_NAME = "nano-navigator";
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = "history";
+
+// Maximum number of results kept (persisted in chrome.storage.local as `historyLimit`; 0 turns history off)
+const DEFAULT_HISTORY_LIMIT = 200;
+
+const HISTORY_TASK_LABELS = {
+  summarize: "Summarize",
+  rewrite: "Rewrite",
+  proofread: "Proofread",
+  translate: "Translate",
+  prompt: "Custom Prompt",
+  extract: "Extract data"
+};
+
+let historyDbPromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: "id", autoIncrement: true });
+      store.createIndex("createdAt", "createdAt");
+    };
+    historyDbPromise = requestToPromise(request).catch(error => {
+      historyDbPromise = null;
+      throw error;
+    });
+  }
+  return historyDbPromise;
+}
+
+async function getHistoryLimit() {
+  const { historyLimit } = await chrome.storage.local.get("historyLimit");
+  return Number.isInteger(historyLimit) ? historyLimit : DEFAULT_HISTORY_LIMIT;
+}
+
+/**
+ * Stores a task run and prunes the store down to the retention limit.
+ * `entry` is `{ presetId, taskType, title, selection, instruction?, targetLanguage?, sourceUrl?, sourceTitle?, backend, output }`.
+ * Resolves to the new entry id, or null when history is turned off.
+ */
+async function addHistoryEntry(entry) {
+  const limit = await getHistoryLimit();
+  if (limit <= 0) return null;
+
+  const db = await openHistoryDb();
+  const transaction = db.transaction(HISTORY_STORE, "readwrite");
+  const id = await requestToPromise(transaction.objectStore(HISTORY_STORE).add({ ...entry, createdAt: Date.now() }));
+  await transactionDone(transaction);
+
+  await pruneHistory(limit);
+  return id;
+}
+
+/**
+ * Deletes the oldest entries beyond `limit`.
+ */
+async function pruneHistory(limit) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(HISTORY_STORE, "readwrite");
+  const store = transaction.objectStore(HISTORY_STORE);
+  const excess = (await requestToPromise(store.count())) - limit;
+
+  if (excess > 0) {
+    let remaining = excess;
+    const cursorRequest = store.index("createdAt").openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor && remaining > 0) {
+        cursor.delete();
+        remaining--;
+        cursor.continue();
+      }
+    };
+  }
+  await transactionDone(transaction);
+}
+
+/**
+ * Resolves to all entries, newest first.
+ */
+async function getHistoryEntries() {
+  const db = await openHistoryDb();
+  const entries = await requestToPromise(db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).getAll());
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+async function getHistoryEntry(id) {
+  const db = await openHistoryDb();
+  return requestToPromise(db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).get(id));
+}
+
+async function deleteHistoryEntry(id) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(HISTORY_STORE, "readwrite");
+  transaction.objectStore(HISTORY_STORE).delete(id);
+  await transactionDone(transaction);
+}
+
+async function clearHistory() {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(HISTORY_STORE, "readwrite");
+  transaction.objectStore(HISTORY_STORE).clear();
+  await transactionDone(transaction);
+}
+
+/**
+ * Filters entries by task type and a full-text query. Every whitespace-separated term must appear
+ * (case-insensitively) in the title, selection, instruction, language, source or output.
+ */
+function searchHistory(entries, query, taskType) {
+  const terms = (query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  return entries.filter(entry => {
+    if (taskType && entry.taskType !== taskType) return false;
+    if (terms.length === 0) return true;
+    const haystack = [
+      entry.title, entry.selection, entry.instruction, entry.targetLanguage,
+      entry.sourceUrl, entry.sourceTitle, entry.output
+    ].filter(Boolean).join("\n").toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+function historyToJson(entries) {
+  return JSON.stringify(entries, null, 2);
+}
+
+function historyToMarkdown(entries) {
+  return entries.map(entry => {
+    const lines = [
+      `## ${entry.title}`,
+      "",
+      `- **Task:** ${HISTORY_TASK_LABELS[entry.taskType] || entry.taskType}`,
+      `- **Date:** ${new Date(entry.createdAt).toISOString()}`,
+      `- **Model:** ${entry.backend}`
+    ];
+    if (entry.sourceUrl) lines.push(`- **Source:** [${entry.sourceTitle || entry.sourceUrl}](${entry.sourceUrl})`);
+    if (entry.instruction) lines.push(`- **Instruction:** ${entry.instruction}`);
+    if (entry.targetLanguage) lines.push(`- **Target language:** ${entry.targetLanguage}`);
+    lines.push(
+      "",
+      "### Selection",
+      "",
+      entry.selection.split("\n").map(line => `> ${line}`).join("\n"),
+      "",
+      "### Output",
+      "",
+      entry.output,
+      ""
+    );
+    return lines.join("\n");
+  }).join("\n---\n\n");
+}
@@ -0,0 +1,151 @@
+// History page: search, filter, re-run, delete and export the results stored by history.js.
+// Re-runs go through the service worker, which records them as new entries.
+
+const elements = {
+  search: document.getElementById('search'),
+  taskFilter: document.getElementById('task-filter'),
+  exportJson: document.getElementById('export-json'),
+  exportMarkdown: document.getElementById('export-markdown'),
+  wipe: document.getElementById('wipe'),
+  count: document.getElementById('count'),
+  entries: document.getElementById('entries')
+};
+
+let allEntries = [];
+
+function getVisibleEntries() {
+  return searchHistory(allEntries, elements.search.value, elements.taskFilter.value);
+}
+
+async function loadEntries() {
+  allEntries = await getHistoryEntries();
+  renderEntries();
+}
+
+/**
+ * Creates an element with optional text content. Entry fields are rendered as text, except the
+ * output, which goes through the sanitizing Markdown renderer (markdown.js).
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+function renderEntry(entry) {
+  const card = createElement('div', 'entry');
+  card.appendChild(createElement('h2', null, entry.title));
+
+  const meta = createElement('div', 'meta',
+    `${HISTORY_TASK_LABELS[entry.taskType] || entry.taskType} · ${new Date(entry.createdAt).toLocaleString()} · ${entry.backend}`);
+  if (entry.sourceUrl) {
+    const link = createElement('a', null, entry.sourceTitle || entry.sourceUrl);
+    link.href = entry.sourceUrl;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    meta.append(' · ', link);
+  }
+  card.appendChild(meta);
+
+  const selectionDetails = createElement('details');
+  selectionDetails.appendChild(createElement('summary', null, "Selected text"));
+  selectionDetails.appendChild(createElement('div', 'selection', entry.selection));
+  card.appendChild(selectionDetails);
+
+  const output = createElement('div', 'output');
+  output.innerHTML = renderMarkdown(entry.output);
+  card.appendChild(output);
+
+  // Instruction / language can be edited before re-running
+  let rerunInput = null;
+  if (entry.instruction !== undefined) {
+    rerunInput = createElement('textarea', 'rerun-input');
+    rerunInput.value = entry.instruction || "";
+    rerunInput.setAttribute('aria-label', "Instruction");
+  } else if (entry.targetLanguage !== undefined) {
+    rerunInput = createElement('input', 'rerun-input');
+    rerunInput.value = entry.targetLanguage || "";
+    rerunInput.setAttribute('aria-label', "Target language");
+  }
+  if (rerunInput) card.appendChild(rerunInput);
+
+  const actions = createElement('div', 'actions');
+  const rerun = createElement('button', null, "Re-run");
+  const copy = createElement('button', 'secondary', "Copy");
+  const remove = createElement('button', 'danger', "Delete");
+  actions.append(rerun, copy, remove);
+  card.appendChild(actions);
+
+  rerun.onclick = async () => {
+    const request = { action: "rerunHistoryEntry", id: entry.id };
+    if (entry.instruction !== undefined) request.instruction = rerunInput.value.trim() || entry.instruction;
+    else if (entry.targetLanguage !== undefined) request.targetLanguage = rerunInput.value.trim() || entry.targetLanguage;
+
+    rerun.disabled = true;
+    rerun.textContent = "Running...";
+    const response = await chrome.runtime.sendMessage(request);
+    if (response?.status === "error") {
+      alert(`Re-run failed: ${response.message}`);
+    }
+    await loadEntries();
+  };
+
+  copy.onclick = async () => {
+    await navigator.clipboard.writeText(entry.output);
+    copy.textContent = "Copied ✓";
+    setTimeout(() => { copy.textContent = "Copy"; }, 1500);
+  };
+
+  remove.onclick = async () => {
+    await deleteHistoryEntry(entry.id);
+    await loadEntries();
+  };
+
+  return card;
+}
+
+function renderEntries() {
+  const visible = getVisibleEntries();
+  elements.count.textContent = `${visible.length} of ${allEntries.length} results`;
+  elements.entries.replaceChildren(...visible.map(renderEntry));
+  if (visible.length === 0) {
+    elements.entries.appendChild(createElement('div', 'empty',
+      allEntries.length ? "No results match your search." : "No results yet. Completed tasks will appear here."));
+  }
+}
+
+function downloadFile(filename, mimeType, content) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// --- Wiring ---
+
+elements.search.oninput = renderEntries;
+elements.taskFilter.onchange = renderEntries;
+
+elements.exportJson.onclick = () => {
+  downloadFile("nano-navigator-history.json", "application/json", historyToJson(getVisibleEntries()));
+};
+
+elements.exportMarkdown.onclick = () => {
+  downloadFile("nano-navigator-history.md", "text/markdown", historyToMarkdown(getVisibleEntries()));
+};
+
+elements.wipe.onclick = async () => {
+  if (!confirm("Delete all saved results? This cannot be undone.")) return;
+  await clearHistory();
+  await loadEntries();
+};
+
+// Pick up tasks completed in other tabs while this page was in the background
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === "visible") loadEntries();
+});
+
+loadEntries();
@@ -0,0 +1,122 @@
+// Image tasks.
+// Right-clicking an image offers the tasks below under "AI Image Tasks". They are preset-shaped
+// (see presets.js) so they run through runAiTask() like any other task, with the image attached to
+// the task as inline data; only the Prompt API and the cloud models can look at it.
+// Loaded into the service worker via importScripts(), after apikey.js (for bytesToBase64()) and
+// presets.js; plain globals.
+
+// Context-menu ids for image tasks are this prefix + the task id
+const IMAGE_TASK_MENU_PREFIX = "IMAGE_TASK_";
+const IMAGE_TASK_ALT_TEXT = "image-alt-text";
+
+// Formats Gemini accepts as inline image data; anything else is converted to PNG first
+const INLINE_IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp", "image/heic", "image/heif"];
+// Gemini accepts requests of up to 20 MB, and base64 makes the image a third larger
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+const IMAGE_TASKS = [
+  {
+    id: "image-describe",
+    title: "Describe image",
+    kind: "prompt",
+    input: PRESET_INPUT_NONE,
+    systemPrompt: "Describe the attached image in a few sentences: what it shows, its setting and any notable details. Do not guess who the people in it are.",
+    temperature: DEFAULT_PRESET_TEMPERATURE,
+    outputFormat: OUTPUT_FORMAT_MARKDOWN
+  },
+  {
+    id: IMAGE_TASK_ALT_TEXT,
+    title: "Generate alt text",
+    kind: "prompt",
+    input: PRESET_INPUT_NONE,
+    systemPrompt: "Write alt text for the attached image for people using a screen reader: one concise sentence of at most 125 characters that conveys what the image shows and why it matters. Do not start with \"Image of\" or \"Picture of\". Respond with the alt text only.",
+    temperature: DEFAULT_PRESET_TEMPERATURE,
+    outputFormat: OUTPUT_FORMAT_PLAIN_TEXT
+  },
+  {
+    id: "image-extract-text",
+    title: "Extract text (OCR)",
+    kind: "prompt",
+    input: PRESET_INPUT_NONE,
+    systemPrompt: "Transcribe all text visible in the attached image exactly as written, in reading order and keeping its line breaks. Respond with the text only, or say that the image contains no text.",
+    temperature: 0,
+    outputFormat: OUTPUT_FORMAT_PLAIN_TEXT
+  },
+  {
+    id: "image-translate-text",
+    title: "Translate text in image to...",
+    kind: "prompt",
+    input: PRESET_INPUT_LANGUAGE,
+    systemPrompt: "Read all text visible in the attached image and translate it strictly into {{language}}. Respond with the translation only, keeping the original line breaks.",
+    temperature: DEFAULT_PRESET_TEMPERATURE,
+    outputFormat: OUTPUT_FORMAT_PLAIN_TEXT
+  },
+  {
+    id: "image-custom",
+    title: "Ask about image...",
+    kind: "prompt",
+    input: PRESET_INPUT_INSTRUCTION,
+    systemPrompt: "Follow this request about the attached image: {{instruction}}",
+    temperature: DEFAULT_PRESET_TEMPERATURE,
+    outputFormat: OUTPUT_FORMAT_MARKDOWN
+  }
+];
+
+function getImageTask(id) {
+  return IMAGE_TASKS.find(task => task.id === id) || null;
+}
+
+function isImageTask(preset) {
+  return IMAGE_TASKS.some(task => task.id === preset.id);
+}
+
+/**
+ * How an image is referred to in history and conversations: its URL, unless it is embedded in the
+ * page as a (possibly huge) data: URL.
+ */
+function describeImageSource(srcUrl) {
+  return srcUrl.startsWith("data:") ? "Embedded image" : srcUrl;
+}
+
+/**
+ * Downloads an image from the worker, which the host permissions exempt from CORS. Throws with a
+ * readable message when the image cannot be downloaded.
+ */
+async function fetchImageBlob(srcUrl) {
+  if (!/^(https?|data|file):/.test(srcUrl)) {
+    throw new Error("This image cannot be downloaded. Run the task from the image on the page again.");
+  }
+  let response;
+  try {
+    response = await fetch(srcUrl);
+  } catch (error) {
+    throw new Error(`Could not download the image (${error.message}).`);
+  }
+  if (!response.ok) {
+    throw new Error(`Could not download the image (HTTP ${response.status}).`);
+  }
+  return response.blob();
+}
+
+/**
+ * Turns an image blob into the `{ mimeType, data }` inline data sent with a task (`data` in base64),
+ * converting formats the models do not accept (GIF, BMP, AVIF, ...) to PNG.
+ */
+async function toInlineImage(blob) {
+  if (blob.size > MAX_IMAGE_BYTES) {
+    throw new Error(`The image is too large (${(blob.size / 1024 / 1024).toFixed(1)} MB); images of up to ${MAX_IMAGE_BYTES / 1024 / 1024} MB are supported.`);
+  }
+  let image = blob;
+  if (!INLINE_IMAGE_TYPES.includes(blob.type)) {
+    try {
+      const bitmap = await createImageBitmap(blob);
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      canvas.getContext("2d").drawImage(bitmap, 0, 0);
+      bitmap.close();
+      image = await canvas.convertToBlob({ type: "image/png" });
+    } catch (error) {
+      throw new Error(`This image format (${blob.type || "unknown"}) is not supported.`);
+    }
+  }
+  return { mimeType: image.type, data: bytesToBase64(await image.arrayBuffer()) };
+}
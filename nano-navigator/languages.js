@@ -0,0 +1,81 @@
+// Languages for translation.
+// The list offered by the language pickers, the mapping from what users type ("Spanish") to the
+// BCP 47 codes the Translator API needs, and the user's favorite and last used target languages,
+// which are kept in chrome.storage.local so they persist across sessions.
+// Shared by the service worker (importScripts) and the side panel (<script>); plain globals.
+
+const LANGUAGES = [
+  { code: "ar", name: "Arabic" }, { code: "bn", name: "Bengali" }, { code: "zh", name: "Chinese" },
+  { code: "cs", name: "Czech" }, { code: "da", name: "Danish" }, { code: "nl", name: "Dutch" },
+  { code: "en", name: "English" }, { code: "fi", name: "Finnish" }, { code: "fr", name: "French" },
+  { code: "de", name: "German" }, { code: "el", name: "Greek" }, { code: "he", name: "Hebrew" },
+  { code: "hi", name: "Hindi" }, { code: "hu", name: "Hungarian" }, { code: "id", name: "Indonesian" },
+  { code: "it", name: "Italian" }, { code: "ja", name: "Japanese" }, { code: "ko", name: "Korean" },
+  { code: "no", name: "Norwegian" }, { code: "pl", name: "Polish" }, { code: "pt", name: "Portuguese" },
+  { code: "ro", name: "Romanian" }, { code: "ru", name: "Russian" }, { code: "es", name: "Spanish" },
+  { code: "sv", name: "Swedish" }, { code: "ta", name: "Tamil" }, { code: "th", name: "Thai" },
+  { code: "tr", name: "Turkish" }, { code: "uk", name: "Ukrainian" }, { code: "vi", name: "Vietnamese" }
+];
+
+// Offered before anything has been translated
+const DEFAULT_TARGET_LANGUAGE = "Spanish";
+// Favorites kept at most, so the picker's shortcut row stays one line or two
+const MAX_FAVORITE_LANGUAGES = 8;
+
+/**
+ * Maps a user-entered language ("Spanish", "japanese (formal)", "fr") to a BCP 47 code, or null.
+ */
+function toLanguageCode(language) {
+  const normalized = (language || "").trim().toLowerCase();
+  if (LANGUAGES.some(entry => entry.code === normalized)) {
+    return normalized;
+  }
+  // Ignore qualifiers such as "(formal)" - the on-device translator has no notion of register
+  const name = normalized.replace(/\(.*?\)/g, "").trim();
+  return LANGUAGES.find(entry => entry.name.toLowerCase() === name)?.code || null;
+}
+
+/**
+ * The English name of a BCP 47 code ("pt-BR" → "Portuguese (Brazil)"), or the code itself.
+ */
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+/**
+ * The user's language preferences: `{ favorites, lastTarget }`.
+ */
+async function getLanguagePreferences() {
+  const { favoriteLanguages, lastTargetLanguage } = await chrome.storage.local.get(["favoriteLanguages", "lastTargetLanguage"]);
+  return { favorites: favoriteLanguages || [], lastTarget: lastTargetLanguage || DEFAULT_TARGET_LANGUAGE };
+}
+
+/**
+ * Adds `language` to the favorites, or removes it when it is one already. Resolves to the new favorites.
+ */
+async function toggleFavoriteLanguage(language) {
+  const { favorites } = await getLanguagePreferences();
+  const name = language.trim();
+  const isFavorite = favorites.some(favorite => favorite.toLowerCase() === name.toLowerCase());
+  const updated = isFavorite
+    ? favorites.filter(favorite => favorite.toLowerCase() !== name.toLowerCase())
+    : [...favorites, name].slice(-MAX_FAVORITE_LANGUAGES);
+  await chrome.storage.local.set({ favoriteLanguages: updated });
+  return updated;
+}
+
+async function rememberTargetLanguage(language) {
+  await chrome.storage.local.set({ lastTargetLanguage: language.trim() });
+}
+
+/**
+ * The picker's options: the favorites first, then every other known language.
+ */
+function orderLanguageOptions(favorites) {
+  const lowered = favorites.map(favorite => favorite.toLowerCase());
+  return [...favorites, ...LANGUAGES.map(entry => entry.name).filter(name => !lowered.includes(name.toLowerCase()))];
+}
@@ -0,0 +1,259 @@
+// Safe Markdown rendering for model output.
+// Model output (and anything quoted from the page) is untrusted: every piece of text is HTML-escaped
+// before any formatting is applied, tags come only from MARKDOWN_ALLOWED_TAGS, and links keep only
+// http(s) and mailto URLs. The result can be assigned to innerHTML.
+// Shared by the service worker (importScripts) and the extension pages (<script>); plain globals.
+
+// Tag name -> attributes it may carry
+const MARKDOWN_ALLOWED_TAGS = {
+  p: [], br: [], hr: [], strong: [], em: [], del: [], code: [], pre: [], blockquote: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: ["start"], li: [],
+  table: [], thead: [], tbody: [], tr: [], th: ["style"], td: ["style"],
+  a: ["href", "target", "rel"]
+};
+
+const MARKDOWN_SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+// Table cell alignments, mapped to the only style values the renderer emits
+const MARKDOWN_CELL_ALIGN = { left: "text-align: left", center: "text-align: center", right: "text-align: right" };
+
+const MARKDOWN_HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => MARKDOWN_HTML_ESCAPES[char]);
+}
+
+/**
+ * Builds an opening tag. Throws for anything outside the whitelist, so a renderer bug cannot emit it.
+ */
+function openTag(name, attributes = {}) {
+  const allowed = MARKDOWN_ALLOWED_TAGS[name];
+  if (!allowed) {
+    throw new Error(`Markdown renderer tried to emit a <${name}> tag.`);
+  }
+  const rendered = Object.entries(attributes).map(([attribute, value]) => {
+    if (!allowed.includes(attribute)) {
+      throw new Error(`Markdown renderer tried to emit a "${attribute}" attribute on <${name}>.`);
+    }
+    return ` ${attribute}="${escapeHtml(value)}"`;
+  });
+  return `<${name}${rendered.join("")}>`;
+}
+
+function wrapTag(name, html, attributes) {
+  return `${openTag(name, attributes)}${html}</${name}>`;
+}
+
+/**
+ * Returns `url` when it is an absolute http(s) or mailto URL, otherwise null.
+ */
+function toSafeUrl(url) {
+  try {
+    const parsed = new URL(url.trim());
+    return MARKDOWN_SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function renderLink(labelHtml, url) {
+  const href = toSafeUrl(url);
+  return href ? wrapTag("a", labelHtml, { href, target: "_blank", rel: "noopener noreferrer" }) : labelHtml;
+}
+
+/**
+ * Bold, italic and strikethrough on already-escaped text.
+ */
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, (_, inner) => wrapTag("strong", inner))
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, (_, before, inner) => before + wrapTag("strong", inner))
+    .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, (_, inner) => wrapTag("em", inner))
+    .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, (_, before, inner) => before + wrapTag("em", inner))
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, (_, inner) => wrapTag("del", inner));
+}
+
+/**
+ * Renders inline Markdown (code spans, links, bare URLs, emphasis) to safe HTML.
+ * Code spans and links are rendered first and parked behind \u0000n\u0000 markers so that the
+ * emphasis pass never looks inside them.
+ */
+function renderInline(text) {
+  const parked = [];
+  const park = (html) => `\u0000${parked.push(html) - 1}\u0000`;
+  const unpark = (html) => html.replace(/\u0000(\d+)\u0000/g, (_, index) => unpark(parked[index]));
+
+  let source = String(text).replace(/\u0000/g, "");
+  source = source.replace(/(`+)([^`\n]|[^`\n][\s\S]*?[^`\n])\1(?!`)/g, (_, ticks, code) => park(wrapTag("code", escapeHtml(code.trim()))));
+  // Images are rendered as links: loading them would let model output make requests from the page
+  source = source.replace(/!?\[([^\]\n]+)\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"\n]*")?\s*\)/g,
+    (_, label, url) => park(renderLink(renderEmphasis(escapeHtml(label)), url)));
+  source = source.replace(/<?\b(https?:\/\/[^\s<>\u0000]*[^\s<>\u0000.,:;!?"'`)\]])>?/g, (_, url) => park(renderLink(escapeHtml(url), url)));
+
+  return unpark(renderEmphasis(escapeHtml(source)));
+}
+
+// --- Blocks ---
+
+const MARKDOWN_FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+const MARKDOWN_HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MARKDOWN_RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const MARKDOWN_QUOTE = /^ {0,3}> ?(.*)$/;
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MARKDOWN_TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function isTableStart(lines, index) {
+  return lines[index].includes("|") && index + 1 < lines.length && MARKDOWN_TABLE_DIVIDER.test(lines[index + 1]);
+}
+
+function startsBlock(lines, index) {
+  const line = lines[index];
+  return MARKDOWN_FENCE.test(line) || MARKDOWN_HEADING.test(line) || MARKDOWN_RULE.test(line)
+    || MARKDOWN_QUOTE.test(line) || MARKDOWN_LIST_ITEM.test(line) || isTableStart(lines, index);
+}
+
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map(cell => cell.trim());
+}
+
+function renderTable(lines, start) {
+  const header = splitTableRow(lines[start]);
+  const aligns = splitTableRow(lines[start + 1]).map(cell => {
+    if (cell.startsWith(":") && cell.endsWith(":")) return MARKDOWN_CELL_ALIGN.center;
+    if (cell.endsWith(":")) return MARKDOWN_CELL_ALIGN.right;
+    if (cell.startsWith(":")) return MARKDOWN_CELL_ALIGN.left;
+    return null;
+  });
+  const renderRow = (cells, cellTag) => wrapTag("tr", header.map((_, column) =>
+    wrapTag(cellTag, renderInline(cells[column] || ""), aligns[column] ? { style: aligns[column] } : {})).join(""));
+
+  let index = start + 2;
+  const rows = [];
+  while (index < lines.length && lines[index].includes("|") && lines[index].trim()) {
+    rows.push(renderRow(splitTableRow(lines[index]), "td"));
+    index++;
+  }
+  const body = rows.length ? wrapTag("tbody", rows.join("")) : "";
+  return { html: wrapTag("table", wrapTag("thead", renderRow(header, "th")) + body), next: index };
+}
+
+function renderList(lines, start) {
+  const [, indent, marker] = lines[start].match(MARKDOWN_LIST_ITEM);
+  const ordered = /\d/.test(marker);
+  const baseIndent = indent.length;
+  const items = [];
+  let index = start;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const item = line.match(MARKDOWN_LIST_ITEM);
+    if (item && item[1].length === baseIndent && /\d/.test(item[2]) === ordered) {
+      items.push([item[3]]);
+    } else if (item && item[1].length < baseIndent) {
+      break;
+    } else if (line.trim() === "") {
+      // A blank line only continues the list when more of it follows
+      const nextLine = lines[index + 1];
+      if (nextLine === undefined || (nextLine.search(/\S/) <= baseIndent && !MARKDOWN_LIST_ITEM.test(nextLine))) break;
+      items[items.length - 1].push("");
+    } else if (line.search(/\S/) > baseIndent || !startsBlock(lines, index)) {
+      // Nested lists and continuation lines belong to the current item
+      items[items.length - 1].push(line.slice(Math.min(line.search(/\S/), baseIndent + 2)));
+    } else {
+      break;
+    }
+    index++;
+  }
+
+  const attributes = {};
+  const first = parseInt(marker, 10);
+  if (ordered && first !== 1) attributes.start = String(first);
+  // A single-paragraph item renders without its <p> so tight lists stay tight
+  const itemsHtml = items.map(itemLines => wrapTag("li", renderBlocks(itemLines).replace(/^<p>([\s\S]*?)<\/p>/, "$1")));
+  return { html: wrapTag(ordered ? "ol" : "ul", itemsHtml.join(""), attributes), next: index };
+}
+
+/**
+ * Renders block-level Markdown (headings, paragraphs, lists, quotes, code blocks, tables, rules).
+ */
+function renderBlocks(lines) {
+  const html = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (line.trim() === "") {
+      index++;
+      continue;
+    }
+
+    const fence = line.match(MARKDOWN_FENCE);
+    if (fence) {
+      const code = [];
+      index++;
+      while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+        code.push(lines[index]);
+        index++;
+      }
+      index++;
+      html.push(wrapTag("pre", wrapTag("code", escapeHtml(code.join("\n")))));
+      continue;
+    }
+
+    const heading = line.match(MARKDOWN_HEADING);
+    if (heading) {
+      html.push(wrapTag(`h${heading[1].length}`, renderInline(heading[2])));
+      index++;
+      continue;
+    }
+
+    if (MARKDOWN_RULE.test(line)) {
+      html.push(openTag("hr"));
+      index++;
+      continue;
+    }
+
+    if (MARKDOWN_QUOTE.test(line)) {
+      const quoted = [];
+      while (index < lines.length && MARKDOWN_QUOTE.test(lines[index])) {
+        quoted.push(lines[index].match(MARKDOWN_QUOTE)[1]);
+        index++;
+      }
+      html.push(wrapTag("blockquote", renderBlocks(quoted)));
+      continue;
+    }
+
+    if (isTableStart(lines, index)) {
+      const table = renderTable(lines, index);
+      html.push(table.html);
+      index = table.next;
+      continue;
+    }
+
+    if (MARKDOWN_LIST_ITEM.test(line)) {
+      const list = renderList(lines, index);
+      html.push(list.html);
+      index = list.next;
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    index++;
+    while (index < lines.length && lines[index].trim() !== "" && !startsBlock(lines, index)) {
+      paragraph.push(lines[index].trim());
+      index++;
+    }
+    html.push(wrapTag("p", paragraph.map(renderInline).join(openTag("br"))));
+  }
+
+  return html.join("");
+}
+
+/**
+ * Renders untrusted Markdown to HTML that is safe to assign to innerHTML.
+ */
+function renderMarkdown(markdown) {
+  return renderBlocks(String(markdown ?? "").replace(/\r\n?/g, "\n").split("\n"));
+}
@@ -0,0 +1,183 @@
+// Context menus: the items offered on right-click and on the toolbar icon, and what a click on
+// each one starts. The AI Tasks children are the user's presets (presets.js), the AI Image Tasks
+// children the image tasks (images.js).
+// Loaded into the service worker via importScripts(); plain globals.
+
+const AI_TASKS_GROUP_ID = "AI_TASKS_GROUP";
+const IMAGE_TASKS_GROUP_ID = "AI_IMAGE_TASKS_GROUP";
+const ACTION_SET_API_KEY = "SET_API_KEY"; 
+const ACTION_BACKEND_GROUP = "AI_BACKEND_GROUP";
+const ACTION_SUMMARIZE_PAGE = "SUMMARIZE_PAGE";
+const ACTION_TRANSLATE_PAGE = "TRANSLATE_PAGE";
+
+// Radio items under "AI Backend", mapped to the policy they select
+const BACKEND_POLICY_MENU_ITEMS = {
+  BACKEND_PREFER_LOCAL: { policy: POLICY_PREFER_LOCAL, title: "Prefer on-device (cloud fallback)" },
+  BACKEND_LOCAL_ONLY: { policy: POLICY_LOCAL_ONLY, title: "On-device only" },
+  BACKEND_CLOUD_ONLY: { policy: POLICY_CLOUD_ONLY, title: "Cloud only" }
+};
+
+// Where tasks and results are shown (persisted in chrome.storage.local as `uiMode`)
+const UI_MODE_SIDE_PANEL = "sidepanel";
+const UI_MODE_MODAL = "modal";
+const DEFAULT_UI_MODE = UI_MODE_SIDE_PANEL;
+
+// Cached rather than read per click: chrome.sidePanel.open() must run before any await to keep the user gesture
+let uiMode = DEFAULT_UI_MODE;
+
+/**
+ * (Re)creates every context-menu item; the AI Tasks children come from the user's presets.
+ */
+async function createContextMenus() {
+  // Clear existing menus (prevents duplicates after updates)
+  await chrome.contextMenus.removeAll();
+
+  // 1. Top-Level: Set API Key (available everywhere)
+  chrome.contextMenus.create({ 
+      id: ACTION_SET_API_KEY, 
+      title: "⚙️ Set Gemini API Key...", 
+      contexts: ["all"] // Shows this item when right-clicking anywhere
+  });
+
+  // 1b. Backend policy picker (radio items reflect the stored policy)
+  const currentPolicy = await getProviderPolicy();
+  chrome.contextMenus.create({ id: ACTION_BACKEND_GROUP, title: "⚙️ AI Backend", contexts: ["all"] });
+  for (const [id, item] of Object.entries(BACKEND_POLICY_MENU_ITEMS)) {
+      chrome.contextMenus.create({
+          id,
+          parentId: ACTION_BACKEND_GROUP,
+          title: item.title,
+          type: "radio",
+          checked: item.policy === currentPolicy,
+          contexts: ["all"]
+      });
+  }
+
+  // 1c. Whole-page summary, from the page itself or the toolbar icon's menu
+  chrome.contextMenus.create({ id: ACTION_SUMMARIZE_PAGE, title: "📄 Summarize this page", contexts: ["page", "action"] });
+  chrome.contextMenus.create({ id: ACTION_TRANSLATE_PAGE, title: "🌐 Translate this page...", contexts: ["page", "action"] });
+
+  // 2. Parent menu item for AI Tasks (Only visible when text is selected)
+  chrome.contextMenus.create({
+    id: AI_TASKS_GROUP_ID,
+    title: "AI Tasks",
+    contexts: ["selection"] // Only visible on selected text
+  });
+
+  // 3. One child per preset (require selection)
+  for (const preset of await getPresets()) {
+    chrome.contextMenus.create({ id: PRESET_MENU_PREFIX + preset.id, parentId: AI_TASKS_GROUP_ID, title: preset.title, contexts: ["selection"] });
+  }
+
+  // 4. Image tasks (see images.js), on right-clicked images
+  chrome.contextMenus.create({ id: IMAGE_TASKS_GROUP_ID, title: "🖼️ AI Image Tasks", contexts: ["image"] });
+  for (const task of IMAGE_TASKS) {
+    chrome.contextMenus.create({ id: IMAGE_TASK_MENU_PREFIX + task.id, parentId: IMAGE_TASKS_GROUP_ID, title: task.title, contexts: ["image"] });
+  }
+}
+
+// Rebuilds are chained: overlapping removeAll()/create() runs would collide on duplicate ids
+let contextMenuBuild = Promise.resolve();
+
+function rebuildContextMenus() {
+  contextMenuBuild = contextMenuBuild
+    .then(createContextMenus)
+    .catch(error => console.error("Could not build the context menus:", error));
+  return contextMenuBuild;
+}
+
+/**
+ * Checks the "AI Backend" radio item of `policy`, e.g. after it was changed from the side panel.
+ */
+function syncBackendMenuItems(policy) {
+  for (const [id, item] of Object.entries(BACKEND_POLICY_MENU_ITEMS)) {
+    chrome.contextMenus.update(id, { checked: item.policy === policy });
+  }
+}
+
+/**
+ * Handles a click on a context-menu item in `tab` (chrome.contextMenus.onClicked).
+ */
+async function handleContextMenuClick(info, tab) {
+    const inSidePanel = uiMode === UI_MODE_SIDE_PANEL;
+    const presetId = String(info.menuItemId).startsWith(PRESET_MENU_PREFIX)
+        ? String(info.menuItemId).slice(PRESET_MENU_PREFIX.length)
+        : null;
+    if (inSidePanel && (info.menuItemId === ACTION_SUMMARIZE_PAGE || presetId)) {
+        // Must happen before any await so the click still counts as a user gesture
+        chrome.sidePanel.open({ windowId: tab.windowId });
+    }
+
+    // The key is only ever entered on the extension's own options page, never on a web page
+    if (info.menuItemId === ACTION_SET_API_KEY) {
+        chrome.runtime.openOptionsPage();
+        return;
+    }
+
+    if (info.menuItemId === ACTION_SUMMARIZE_PAGE) {
+        summarizePage(tab, inSidePanel);
+        return;
+    }
+
+    // The page is translated where it is, so the language is always asked for in the page
+    if (info.menuItemId === ACTION_TRANSLATE_PAGE) {
+        if (await checkCloudConfigured(tab)) {
+            injectLanguagePicker(tab.id, null, null, null, "translatePage");
+        }
+        return;
+    }
+
+    // Handle backend policy selection
+    if (BACKEND_POLICY_MENU_ITEMS[info.menuItemId]) {
+        const { policy } = BACKEND_POLICY_MENU_ITEMS[info.menuItemId];
+        chrome.storage.local.set({ providerPolicy: policy }, () => {
+            console.log(`AI backend policy set to ${policy}.`);
+        });
+        return;
+    }
+
+    if (String(info.menuItemId).startsWith(IMAGE_TASK_MENU_PREFIX) && info.srcUrl && tab.id) {
+        startImageTask(getImageTask(String(info.menuItemId).slice(IMAGE_TASK_MENU_PREFIX.length)), info, tab);
+        return;
+    }
+
+    if (!info.selectionText || !tab.id || !presetId) {
+        return; 
+    }
+
+    const preset = await getPreset(presetId);
+    if (!preset) {
+        return;
+    }
+
+    // In a text field, remember where the selection is so results can be written back into it
+    const target = info.editable ? await captureEditableTarget(tab.id, info.frameId) : null;
+    // The field's own text keeps its exact whitespace, which selectionText collapses
+    const selectedText = target?.text || info.selectionText;
+
+    if (inSidePanel) {
+        sendSelectionToWorkspace(preset, selectedText, tab, target);
+        return;
+    }
+  
+    if (!(await checkCloudConfigured(tab))) {
+       return;
+    }
+
+    // AI Task execution logic begins here
+    // Special handling for presets that require pre-task input (Translate, Custom Prompt)
+    if (preset.input === PRESET_INPUT_INSTRUCTION) {
+        hideProcessingModal(tab.id);
+        const placeholder = preset.kind === TASK_EXTRACT ? EXTRACT_FIELDS_PLACEHOLDER : null;
+        injectPageUi({ tabId: tab.id }, showPromptModal, [selectedText, preset.id, preset.title, target, placeholder]);
+        return;
+    }
+
+    if (preset.input === PRESET_INPUT_LANGUAGE) {
+        injectLanguagePicker(tab.id, selectedText, preset.id, target);
+        return;
+    }
+    
+    // Run direct AI tasks
+    runAiTask(preset, selectedText, createModalPresenter(tab.id), { source: tab, target });
+}
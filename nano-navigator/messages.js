@@ -0,0 +1,206 @@
+// Messages from the extension's pages: the modals injected into tabs (page_scripts.js), the side
+// panel, the options page and the history page. Each names an `action`; what it starts lives in
+// tasks.js, and its answer goes back through sendResponse.
+// Loaded into the service worker via importScripts(); plain globals.
+
+/**
+ * Handles one message (chrome.runtime.onMessage). Returns true when `sendResponse` is called later.
+ */
+function handleMessage(request, sender, sendResponse) {
+    // "Test key" and the model picker on the options page, both backed by the endpoint's models list.
+    // A test needs a key (the one typed in, else the saved one); the picker lists with the saved key, if any.
+    if (request.action === "testApiKey" || request.action === "listModels") {
+        (async () => {
+            const settings = await getCloudSettings();
+            const apiKey = request.apiKey || await getGeminiApiKey();
+            if (request.action === "testApiKey" && !apiKey) {
+                throw new Error("No API key is saved or entered.");
+            }
+            return fetchCloudModels(apiKey, settings);
+        })()
+            .then(models => sendResponse({ status: "success", models, defaultModel: DEFAULT_GEMINI_MODEL }))
+            .catch(error => sendResponse({ status: "error", message: error.message }));
+        return true;
+    }
+
+    // Stop / close clicked on a streaming result panel (the side panel has no sender tab)
+    if (request.action === "stopTask") {
+        const controller = activeTaskControllers.get(sender.tab ? panelTaskKey(sender.tab.id, request.panelId) : SIDE_PANEL_TASK_KEY);
+        if (controller) {
+            controller.dismissed = Boolean(request.dismiss);
+            controller.abort();
+        }
+        return;
+    }
+
+    // "Retry" / "Open settings" under an error in a tab's result panel (the side panel re-runs its own fields)
+    if (request.action === "retryTask") {
+        const key = sender.tab && panelTaskKey(sender.tab.id, request.panelId);
+        const retry = retryableTasks.get(key);
+        if (!retry) {
+            sendResponse({ status: "error", message: "This task can no longer be retried. Run it again from the menu." });
+            return;
+        }
+        retryableTasks.delete(key);
+        retry().then(sendResponse);
+        return true;
+    }
+
+    if (request.action === "openOptionsPage") {
+        chrome.runtime.openOptionsPage();
+        return;
+    }
+
+    if (request.action === "runWorkspaceTask") {
+        const { presetId, selectedText, instruction, targetLanguage, sourceUrl, sourceTitle } = request;
+        const source = { url: sourceUrl, title: sourceTitle };
+        const presenter = createSidePanelPresenter();
+        getWorkspace().then(async workspace => {
+            // The page's text field is only a target while the panel still holds its text
+            const target = workspace.target?.text === selectedText ? workspace.target : null;
+            updateWorkspace({ presetId, selection: selectedText, instruction, targetLanguage });
+            // The panel may still offer a preset deleted on the options page since
+            const preset = await resolvePreset(presetId);
+            if (!preset) {
+                throw new Error("This task no longer exists. Pick another task.");
+            }
+            return runAiTask(preset, selectedText, presenter, { instruction, targetLanguage, source, target });
+        })
+            .then(sendResponse)
+            .catch(async error => {
+                console.error("Side panel task failed:", error);
+                await presenter.error("Task Error", `Error: ${error.message}`);
+                sendResponse({ status: "error", message: error.message });
+            });
+        return true;
+    }
+
+    // "Summarize this page" in the side panel, for the tab it sits next to
+    if (request.action === "summarizePage") {
+        chrome.tabs.query({ active: true, lastFocusedWindow: true }).then(async ([tab]) => {
+            if (!tab?.id) {
+                sendResponse({ status: "error", message: "There is no page to summarize." });
+                return;
+            }
+            sendResponse(await summarizePage(tab, true));
+        });
+        return true;
+    }
+
+    // "Bilingual view" under a translation, in a tab's modal or in the side panel
+    if (request.action === "showBilingual") {
+        const presenter = sender.tab ? createModalPresenter(sender.tab.id, request.panelId) : createSidePanelPresenter();
+        showBilingualView(presenter).then(sendResponse);
+        return true;
+    }
+
+    // The star next to a language in a tab's language picker
+    if (request.action === "toggleFavoriteLanguage") {
+        toggleFavoriteLanguage(request.language).then(favorites => sendResponse({ favorites }));
+        return true;
+    }
+
+    // The language picker's choice for "Translate this page", and the page's translation bar
+    if (request.action === "translatePage" && sender.tab?.id) {
+        translatePage(sender.tab, request.targetLanguage).then(sendResponse);
+        return true;
+    }
+
+    if (request.action === "stopPageTranslation" && sender.tab?.id) {
+        const controller = activeTaskControllers.get(pageTranslationKey(sender.tab.id));
+        if (controller) {
+            controller.dismissed = Boolean(request.dismiss);
+            controller.abort();
+        }
+        return;
+    }
+
+    // Reply box / "Start fresh" under a result, in a tab's modal or in the side panel
+    if (request.action === "continueThread" || request.action === "resetThread") {
+        const presenter = sender.tab ? createModalPresenter(sender.tab.id, request.panelId) : createSidePanelPresenter();
+        const sourceUrl = sender.tab ? Promise.resolve(sender.tab.url) : getWorkspace().then(workspace => workspace.sourceUrl);
+        const handled = request.action === "continueThread"
+            ? sourceUrl.then(url => continueThread(request.threadId, request.message, presenter, url))
+            : startThreadFresh(request.threadId, presenter);
+        handled.then(sendResponse);
+        return true;
+    }
+
+    // Send / Cancel on a cloud request preview, in a tab's modal or in the side panel
+    if (request.action === "answerCloudPreview") {
+        pendingCloudPreviews.get(request.id)?.(request.send === true);
+        return;
+    }
+
+    // "Set as image alt" / "Undo" under generated alt text in a tab's modal
+    if (request.action === "applyImageAlt" || request.action === "undoImageAlt") {
+        const target = { tabId: sender.tab.id, frameId: request.frameId };
+        const handled = request.action === "applyImageAlt"
+            ? runInTargetFrame(target, setImageAltText, [request.text])
+            : runInTargetFrame(target, restoreImageAltText, []);
+        handled.then(sendResponse);
+        return true;
+    }
+
+    // "Apply to field" / "Replace selection" / "Undo" on a result, from a tab's modal or the side panel
+    if (request.action === "applyEditableText" || request.action === "undoEditableText") {
+        const target = { tabId: sender.tab?.id ?? request.tabId, frameId: request.frameId };
+        const handled = request.action === "applyEditableText"
+            ? replaceInPage(target, request.original, request.text)
+            : undoInPage(target);
+        handled.then(sendResponse);
+        return true;
+    }
+
+    // Re-run from the history page, with the stored or an edited instruction / target language
+    if (request.action === "rerunHistoryEntry") {
+        getHistoryEntry(request.id).then(async entry => {
+            if (!entry) {
+                sendResponse({ status: "error", message: "This history entry no longer exists." });
+                return;
+            }
+            const options = {
+                instruction: request.instruction ?? entry.instruction,
+                targetLanguage: request.targetLanguage ?? entry.targetLanguage,
+                source: { url: entry.sourceUrl, title: entry.sourceTitle }
+            };
+            const preset = await resolvePreset(entry.presetId, entry.taskType);
+            if (!preset) {
+                sendResponse({ status: "error", message: "The task of this entry no longer exists." });
+                return;
+            }
+            sendResponse(await runTaskOn(preset, entry.selection, createHistoryPresenter(), options));
+        }).catch(error => {
+            console.error("History re-run failed:", error);
+            sendResponse({ status: "error", message: error.message });
+        });
+        return true;
+    }
+
+    if (request.action === "runCustomPrompt" && sender.tab.id) {
+        const options = { instruction: request.customPrompt, source: sender.tab, ...pageTargets(request.target, sender.tab.id) };
+        resolvePreset(request.presetId, TASK_PROMPT)
+            .then(preset => runTaskOn(preset, request.selectedText, createModalPresenter(sender.tab.id), options))
+            .then(sendResponse);
+        return true; 
+    }
+
+    // NEW: Handle Translate Request
+    if (request.action === "runTranslation" && sender.tab.id) {
+        const options = { targetLanguage: request.targetLanguage, source: sender.tab, ...pageTargets(request.target, sender.tab.id) };
+        resolvePreset(request.presetId, TASK_TRANSLATE)
+            .then(preset => runTaskOn(preset, request.selectedText, createModalPresenter(sender.tab.id), options))
+            .then(sendResponse);
+        return true;
+    }
+}
+
+/**
+ * The task options for the `target` an input modal sends back: the editable field a text selection
+ * came from, or, for an image task, the frame the image is in. `tabId` is the sender's own tab.
+ */
+function pageTargets(target, tabId) {
+    if (!target) return {};
+    const frame = { tabId, frameId: target.frameId };
+    return { target: target.text !== undefined ? { ...target, tabId } : null, frame };
+}
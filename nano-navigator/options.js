@@ -0,0 +1,530 @@
+// Options page: the Gemini API key (see apikey.js), the cloud endpoint and model, the privacy
+// settings (see privacy.js), the daily token budgets (see usage.js), and creating, editing, reordering, deleting, importing and exporting
+// task presets (see presets.js), including the fields of extract presets (see extract.js).
+// Saving writes chrome.storage.local, which the service worker watches to rebuild the context menu.
+
+const elements = {
+  keyState: document.getElementById('key-state'),
+  unlockForm: document.getElementById('unlock-form'),
+  unlockPassphrase: document.getElementById('unlock-passphrase'),
+  unlockKey: document.getElementById('unlock-key'),
+  keyForm: document.getElementById('key-form'),
+  apiKey: document.getElementById('api-key'),
+  toggleKey: document.getElementById('toggle-key'),
+  keyPassphrase: document.getElementById('key-passphrase'),
+  keyPassphraseConfirm: document.getElementById('key-passphrase-confirm'),
+  testKey: document.getElementById('test-key'),
+  lockKey: document.getElementById('lock-key'),
+  removeKey: document.getElementById('remove-key'),
+  keyStatus: document.getElementById('key-status'),
+  cloudApiFormat: document.getElementById('cloud-api-format'),
+  cloudBaseUrl: document.getElementById('cloud-base-url'),
+  cloudModel: document.getElementById('cloud-model'),
+  refreshModels: document.getElementById('refresh-models'),
+  cloudStatus: document.getElementById('cloud-status'),
+  redactPii: document.getElementById('redact-pii'),
+  piiTypes: document.getElementById('pii-types'),
+  customPiiPatterns: document.getElementById('custom-pii-patterns'),
+  previewCloudRequests: document.getElementById('preview-cloud-requests'),
+  cloudBlockedSites: document.getElementById('cloud-blocked-sites'),
+  privacyStatus: document.getElementById('privacy-status'),
+  dailyTokenSoftLimit: document.getElementById('daily-token-soft-limit'),
+  dailyTokenHardLimit: document.getElementById('daily-token-hard-limit'),
+  usageStatus: document.getElementById('usage-status'),
+  presetList: document.getElementById('preset-list'),
+  addPreset: document.getElementById('add-preset'),
+  exportPresets: document.getElementById('export-presets'),
+  importPresets: document.getElementById('import-presets'),
+  importFile: document.getElementById('import-file'),
+  resetPresets: document.getElementById('reset-presets'),
+  status: document.getElementById('status'),
+  editor: document.getElementById('preset-editor'),
+  editorTitle: document.getElementById('editor-title'),
+  title: document.getElementById('preset-title'),
+  kind: document.getElementById('preset-kind'),
+  input: document.getElementById('preset-input'),
+  targetLanguageField: document.getElementById('target-language-field'),
+  targetLanguage: document.getElementById('preset-target-language'),
+  fieldsField: document.getElementById('fields-field'),
+  fields: document.getElementById('preset-fields'),
+  systemPrompt: document.getElementById('preset-system-prompt'),
+  temperature: document.getElementById('preset-temperature'),
+  outputFormat: document.getElementById('preset-output-format'),
+  maxOutputTokens: document.getElementById('preset-max-output-tokens'),
+  topP: document.getElementById('preset-top-p'),
+  safety: document.getElementById('preset-safety'),
+  cancelEdit: document.getElementById('cancel-edit')
+};
+
+let presets = [];
+// Id of the preset being edited, or null when adding a new one
+let editingId = null;
+
+function showStatus(message, type = "success") {
+  elements.status.textContent = message;
+  elements.status.className = type;
+}
+
+async function persist(nextPresets) {
+  try {
+    await savePresets(nextPresets);
+    presets = await getPresets();
+    renderPresets();
+    return true;
+  } catch (error) {
+    showStatus(error.message, "error");
+    return false;
+  }
+}
+
+function createButton(label, className, onClick) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  if (className) button.className = className;
+  button.onclick = onClick;
+  return button;
+}
+
+function renderPresets() {
+  elements.presetList.replaceChildren(...presets.map((preset, index) => {
+    const row = document.createElement('div');
+    row.className = 'preset';
+
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = preset.title;
+
+    const kind = document.createElement('span');
+    kind.className = 'kind';
+    kind.textContent = PRESET_KINDS[preset.kind];
+
+    const up = createButton("↑", "secondary", () => movePreset(index, -1));
+    up.disabled = index === 0;
+    up.title = "Move up";
+    const down = createButton("↓", "secondary", () => movePreset(index, 1));
+    down.disabled = index === presets.length - 1;
+    down.title = "Move down";
+
+    row.append(
+      name,
+      kind,
+      up,
+      down,
+      createButton("Edit", null, () => openEditor(preset)),
+      createButton("Delete", "danger", () => deletePreset(preset))
+    );
+    return row;
+  }));
+}
+
+async function movePreset(index, offset) {
+  const next = [...presets];
+  const [moved] = next.splice(index, 1);
+  next.splice(index + offset, 0, moved);
+  await persist(next);
+}
+
+async function deletePreset(preset) {
+  if (presets.length === 1) {
+    showStatus("Keep at least one preset.", "error");
+    return;
+  }
+  if (!confirm(`Delete the preset "${preset.title}"?`)) return;
+  if (await persist(presets.filter(p => p.id !== preset.id))) {
+    showStatus(`Deleted "${preset.title}".`);
+  }
+}
+
+// --- Editor ---
+
+function updateEditorFields() {
+  elements.targetLanguageField.hidden = !(elements.kind.value === "translate" && elements.input.value !== PRESET_INPUT_LANGUAGE);
+  elements.fieldsField.hidden = !(elements.kind.value === "extract" && elements.input.value !== PRESET_INPUT_INSTRUCTION);
+}
+
+function openEditor(preset) {
+  editingId = preset ? preset.id : null;
+  elements.editorTitle.textContent = preset ? `Edit "${preset.title}"` : "New preset";
+  elements.title.value = preset?.title || "";
+  elements.kind.value = preset?.kind || "prompt";
+  elements.input.value = preset?.input || PRESET_INPUT_NONE;
+  elements.targetLanguage.value = preset?.targetLanguage || "";
+  elements.fields.value = formatExtractFields(preset?.fields || []);
+  elements.systemPrompt.value = preset?.systemPrompt || "";
+  elements.temperature.value = preset?.temperature ?? DEFAULT_PRESET_TEMPERATURE;
+  elements.outputFormat.value = preset?.outputFormat || OUTPUT_FORMAT_MARKDOWN;
+  elements.maxOutputTokens.value = preset?.maxOutputTokens ?? "";
+  elements.topP.value = preset?.topP ?? "";
+  elements.safety.value = preset?.safety || DEFAULT_SAFETY_LEVEL;
+  updateEditorFields();
+  elements.editor.hidden = false;
+  elements.title.focus();
+}
+
+function closeEditor() {
+  editingId = null;
+  elements.editor.hidden = true;
+}
+
+elements.editor.onsubmit = async (event) => {
+  event.preventDefault();
+  const edited = {
+    id: editingId || undefined,
+    title: elements.title.value,
+    kind: elements.kind.value,
+    input: elements.input.value,
+    targetLanguage: elements.targetLanguage.value,
+    fields: elements.fields.value,
+    systemPrompt: elements.systemPrompt.value,
+    temperature: elements.temperature.value,
+    outputFormat: elements.outputFormat.value,
+    maxOutputTokens: elements.maxOutputTokens.value,
+    topP: elements.topP.value,
+    safety: elements.safety.value
+  };
+
+  let preset;
+  try {
+    preset = normalizePreset(edited);
+  } catch (error) {
+    showStatus(error.message, "error");
+    return;
+  }
+
+  const next = editingId
+    ? presets.map(p => (p.id === editingId ? preset : p))
+    : [...presets, preset];
+  if (await persist(next)) {
+    showStatus(`Saved "${preset.title}".`);
+    closeEditor();
+  }
+};
+
+// --- Import / export ---
+
+elements.exportPresets.onclick = () => {
+  const url = URL.createObjectURL(new Blob([presetsToJson(presets)], { type: "application/json" }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = "nano-navigator-presets.json";
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+elements.importPresets.onclick = () => elements.importFile.click();
+
+// Imported presets replace existing ones with the same id; the rest are appended
+elements.importFile.onchange = async () => {
+  const [file] = elements.importFile.files;
+  elements.importFile.value = "";
+  if (!file) return;
+
+  let imported;
+  try {
+    imported = parsePresetsJson(await file.text());
+  } catch (error) {
+    showStatus(`Import failed: ${error.message}`, "error");
+    return;
+  }
+
+  const importedById = new Map(imported.map(preset => [preset.id, preset]));
+  const existingIds = new Set(presets.map(preset => preset.id));
+  const next = [
+    ...presets.map(preset => importedById.get(preset.id) || preset),
+    ...imported.filter(preset => !existingIds.has(preset.id))
+  ];
+  if (await persist(next)) {
+    showStatus(`Imported ${imported.length} preset${imported.length === 1 ? "" : "s"}.`);
+  }
+};
+
+elements.resetPresets.onclick = async () => {
+  if (!confirm("Replace all presets with the built-in defaults?")) return;
+  if (await persist(DEFAULT_PRESETS)) {
+    showStatus("Presets reset to the defaults.");
+    closeEditor();
+  }
+};
+
+// --- Gemini API key ---
+
+const API_KEY_STATE_TEXT = {
+  [API_KEY_MISSING]: "No key is saved. Tasks that need Cloud Gemini will ask you to add one.",
+  [API_KEY_PLAIN]: "A key is saved.",
+  [API_KEY_LOCKED]: "A key is saved encrypted and is locked. Enter the passphrase to use it in this browser session.",
+  [API_KEY_UNLOCKED]: "A key is saved encrypted and is unlocked until the browser is closed."
+};
+
+function showKeyStatus(message, type = "success") {
+  elements.keyStatus.textContent = message;
+  elements.keyStatus.className = type;
+}
+
+async function renderKeyState() {
+  const state = await getApiKeyState();
+  elements.keyState.textContent = API_KEY_STATE_TEXT[state];
+  elements.unlockForm.hidden = state !== API_KEY_LOCKED;
+  elements.lockKey.hidden = state !== API_KEY_UNLOCKED;
+  elements.removeKey.disabled = state === API_KEY_MISSING;
+}
+
+elements.keyForm.onsubmit = async (event) => {
+  event.preventDefault();
+  const apiKey = elements.apiKey.value.trim();
+  const passphrase = elements.keyPassphrase.value;
+  if (!apiKey) {
+    showKeyStatus("The API key cannot be empty.", "error");
+    return;
+  }
+  if (passphrase !== elements.keyPassphraseConfirm.value) {
+    showKeyStatus("The passphrases do not match.", "error");
+    return;
+  }
+  try {
+    await saveGeminiApiKey(apiKey, passphrase);
+  } catch (error) {
+    showKeyStatus(`Could not save the key: ${error.message}`, "error");
+    return;
+  }
+  elements.keyForm.reset();
+  elements.apiKey.type = "password";
+  elements.toggleKey.textContent = "Show";
+  showKeyStatus(passphrase ? "Key saved encrypted ✓" : "Key saved ✓");
+  renderKeyState();
+};
+
+elements.toggleKey.onclick = () => {
+  const hidden = elements.apiKey.type === "password";
+  elements.apiKey.type = hidden ? "text" : "password";
+  elements.toggleKey.textContent = hidden ? "Hide" : "Show";
+};
+
+// Tests the key in the field, or the saved one when the field is empty
+elements.testKey.onclick = async () => {
+  elements.testKey.disabled = true;
+  showKeyStatus("Testing...", "");
+  const response = await chrome.runtime.sendMessage({ action: "testApiKey", apiKey: elements.apiKey.value.trim() });
+  elements.testKey.disabled = false;
+  if (response?.status === "success") {
+    showKeyStatus(`The key works ✓ (${response.models.length} models available)`);
+  } else {
+    showKeyStatus(`The key did not work: ${response?.message || "no response"}`, "error");
+  }
+};
+
+elements.unlockKey.onclick = async () => {
+  try {
+    await unlockGeminiApiKey(elements.unlockPassphrase.value);
+  } catch (error) {
+    showKeyStatus(error.message, "error");
+    return;
+  }
+  elements.unlockPassphrase.value = "";
+  showKeyStatus("Key unlocked ✓");
+  renderKeyState();
+};
+elements.unlockPassphrase.onkeydown = (event) => {
+  if (event.key === "Enter") elements.unlockKey.click();
+};
+
+elements.lockKey.onclick = async () => {
+  await lockGeminiApiKey();
+  showKeyStatus("Key locked.");
+  renderKeyState();
+};
+
+elements.removeKey.onclick = async () => {
+  if (!confirm("Remove the saved Gemini API key?")) return;
+  await removeGeminiApiKey();
+  showKeyStatus("Key removed.");
+  renderKeyState();
+};
+
+// --- Cloud model ---
+
+function showCloudStatus(message, type = "success") {
+  elements.cloudStatus.textContent = message;
+  elements.cloudStatus.className = type;
+}
+
+/**
+ * Fills the model picker from the endpoint's models list, keeping the saved model selectable
+ * even when the list cannot be fetched or no longer offers it.
+ */
+async function loadModels() {
+  const { cloudModel } = await chrome.storage.local.get("cloudModel");
+  elements.refreshModels.disabled = true;
+  showCloudStatus("Loading models...", "");
+  const response = await chrome.runtime.sendMessage({ action: "listModels" });
+  elements.refreshModels.disabled = false;
+
+  const models = response?.status === "success" ? response.models : [];
+  const options = [new Option(response?.defaultModel ? `Default (${response.defaultModel})` : "Default", "")];
+  for (const model of new Set([...models, ...(cloudModel ? [cloudModel] : [])])) {
+    options.push(new Option(model, model));
+  }
+  elements.cloudModel.replaceChildren(...options);
+  elements.cloudModel.value = cloudModel || "";
+
+  if (response?.status === "success") {
+    showCloudStatus(`${models.length} models available.`);
+  } else {
+    showCloudStatus(`Could not list the models: ${response?.message || "no response"}`, "error");
+  }
+}
+
+async function loadCloudSettings() {
+  const { cloudApiFormat, cloudBaseUrl } = await chrome.storage.local.get(["cloudApiFormat", "cloudBaseUrl"]);
+  elements.cloudApiFormat.value = cloudApiFormat || "gemini";
+  elements.cloudBaseUrl.value = cloudBaseUrl || "";
+  loadModels();
+}
+
+// A different endpoint offers different models, so the choice is reset along with it
+elements.cloudApiFormat.onchange = async () => {
+  await chrome.storage.local.set({ cloudApiFormat: elements.cloudApiFormat.value, cloudModel: "" });
+  loadModels();
+};
+elements.cloudBaseUrl.onchange = async () => {
+  const baseUrl = elements.cloudBaseUrl.value.trim();
+  if (baseUrl && !/^https?:\/\//.test(baseUrl)) {
+    showCloudStatus("The base URL must start with http:// or https://.", "error");
+    return;
+  }
+  await chrome.storage.local.set({ cloudBaseUrl: baseUrl, cloudModel: "" });
+  loadModels();
+};
+elements.cloudModel.onchange = async () => {
+  await chrome.storage.local.set({ cloudModel: elements.cloudModel.value });
+  showCloudStatus(elements.cloudModel.value ? `Cloud tasks now use ${elements.cloudModel.value}.` : "Cloud tasks now use the default model.");
+};
+elements.refreshModels.onclick = loadModels;
+
+// --- Privacy ---
+
+function showPrivacyStatus(message, type = "success") {
+  elements.privacyStatus.textContent = message;
+  elements.privacyStatus.className = type;
+}
+
+async function loadPrivacySettings() {
+  const settings = await getPrivacySettings();
+  elements.redactPii.checked = settings.redact;
+  elements.piiTypes.replaceChildren(...PII_TYPES.map(type => {
+    const label = document.createElement('label');
+    label.className = 'checkbox';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = type.id;
+    checkbox.checked = settings.types.includes(type.id);
+    checkbox.disabled = !settings.redact;
+    checkbox.onchange = savePiiTypes;
+    label.append(checkbox, ` ${type.label}`);
+    return label;
+  }));
+  elements.customPiiPatterns.value = settings.customPatterns.join("\n");
+  elements.customPiiPatterns.disabled = !settings.redact;
+  elements.previewCloudRequests.checked = settings.preview;
+  elements.cloudBlockedSites.value = settings.blockedSites.join("\n");
+}
+
+async function savePiiTypes() {
+  const types = [...elements.piiTypes.querySelectorAll('input:checked')].map(checkbox => checkbox.value);
+  await chrome.storage.local.set({ redactedPiiTypes: types });
+  showPrivacyStatus("Saved.");
+}
+
+elements.redactPii.onchange = async () => {
+  await chrome.storage.local.set({ redactPii: elements.redactPii.checked });
+  showPrivacyStatus(elements.redactPii.checked ? "Personal data is masked before sending." : "Text is sent to the cloud as it is.");
+  loadPrivacySettings();
+};
+// Patterns are only saved once they all compile, so a typo never silently turns masking off
+elements.customPiiPatterns.onchange = async () => {
+  const patterns = elements.customPiiPatterns.value.split("\n").map(line => line.trim()).filter(Boolean);
+  for (const pattern of patterns) {
+    try {
+      parseCustomPattern(pattern);
+    } catch (error) {
+      showPrivacyStatus(`Not saved: ${pattern} is not a usable pattern (${error.message}).`, "error");
+      return;
+    }
+  }
+  await chrome.storage.local.set({ customPiiPatterns: patterns });
+  showPrivacyStatus(`${patterns.length} custom pattern${patterns.length === 1 ? "" : "s"} saved.`);
+};
+elements.previewCloudRequests.onchange = async () => {
+  await chrome.storage.local.set({ previewCloudRequests: elements.previewCloudRequests.checked });
+  showPrivacyStatus("Saved.");
+};
+elements.cloudBlockedSites.onchange = async () => {
+  const lines = elements.cloudBlockedSites.value.split("\n").map(line => line.trim()).filter(Boolean);
+  const invalid = lines.filter(line => !normalizeSiteDomain(line));
+  if (invalid.length) {
+    showPrivacyStatus(`Not saved: ${invalid.join(", ")} ${invalid.length === 1 ? "is not a domain" : "are not domains"}.`, "error");
+    return;
+  }
+  const sites = [...new Set(lines.map(normalizeSiteDomain))];
+  await chrome.storage.local.set({ cloudBlockedSites: sites });
+  elements.cloudBlockedSites.value = sites.join("\n");
+  showPrivacyStatus(`${sites.length} site${sites.length === 1 ? "" : "s"} kept off the cloud.`);
+};
+
+// --- Budgets ---
+
+function showUsageStatus(message, type = "success") {
+  elements.usageStatus.textContent = message;
+  elements.usageStatus.className = type;
+}
+
+async function loadBudgets() {
+  const { softLimit, hardLimit } = await getUsageBudgets();
+  elements.dailyTokenSoftLimit.value = softLimit ?? "";
+  elements.dailyTokenHardLimit.value = hardLimit ?? "";
+}
+
+async function saveBudgets() {
+  const read = (input) => Math.max(0, parseInt(input.value, 10) || 0);
+  const dailyTokenSoftLimit = read(elements.dailyTokenSoftLimit);
+  const dailyTokenHardLimit = read(elements.dailyTokenHardLimit);
+  await chrome.storage.local.set({ dailyTokenSoftLimit, dailyTokenHardLimit });
+  await loadBudgets();
+  if (dailyTokenSoftLimit && dailyTokenHardLimit && dailyTokenSoftLimit >= dailyTokenHardLimit) {
+    showUsageStatus("Saved, but the warning never shows: requests stop at the lower hard budget first.", "error");
+  } else {
+    showUsageStatus("Saved.");
+  }
+}
+
+elements.dailyTokenSoftLimit.onchange = saveBudgets;
+elements.dailyTokenHardLimit.onchange = saveBudgets;
+
+// --- Wiring ---
+
+elements.kind.replaceChildren(...Object.entries(PRESET_KINDS).map(([value, label]) => new Option(label, value)));
+elements.safety.replaceChildren(...Object.entries(SAFETY_LEVELS).map(([value, label]) => new Option(label, value)));
+elements.kind.onchange = updateEditorFields;
+elements.input.onchange = updateEditorFields;
+elements.addPreset.onclick = () => openEditor(null);
+elements.cancelEdit.onclick = closeEditor;
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (changes[API_KEY_STORAGE_KEY] || changes[ENCRYPTED_API_KEY_STORAGE_KEY] || changes[UNLOCKED_API_KEY_STORAGE_KEY]) {
+    renderKeyState();
+  }
+  if (areaName === "local" && changes.taskPresets) {
+    getPresets().then(latest => {
+      presets = latest;
+      renderPresets();
+    });
+  }
+});
+
+renderKeyState();
+loadCloudSettings();
+loadPrivacySettings();
+loadBudgets();
+getPresets().then(saved => {
+  presets = saved;
+  renderPresets();
+});
@@ -0,0 +1,1073 @@
+// Functions injected into web pages with chrome.scripting.executeScript().
+// Each one is serialized on its own and runs in the page's isolated world, so none may use anything
+// outside its own body: not another function here, not a worker global. The exception is the UI kit
+// of page_ui.js, injected before each pop-up, which they find at window.nanoNavigatorUi. They report
+// back to the worker with chrome.runtime.sendMessage() and keep their state in `window.nanoNavigator*`
+// properties.
+// Loaded into the service worker via importScripts(), so they can be passed as `func`, and into
+// jsdom by the tests; plain globals.
+
+function removeProcessingModal() {
+    window.nanoNavigatorUi?.root.getElementById('nano-processing-modal')?.remove();
+}
+
+
+/**
+ * Displays a non-blocking panel with the result from the AI.
+ * `contentHtml` is the output already rendered by renderMarkdown(); the title and backend are set as text.
+ * `backend` names the provider that answered (empty for errors). While `streaming` is true the
+ * panel is re-rendered with each chunk and offers a Stop button that aborts the request.
+ * `panel.id` names the task the result belongs to: its re-renders update its own panel, and the
+ * results of other tasks stack up beside it. `panel.markdown` is the output itself (absent for
+ * errors), offered to copy as text or Markdown, insert below the page's selection or download.
+ * `details` may hold a `thread` ({ id, followUps, maxFollowUps }), which adds a reply box for follow-ups,
+ * and a `proofread` ({ original, changes }), shown as a word diff whose changes can be accepted or
+ * rejected one by one. With a `target` ({ frameId }) the accepted text can be written back into the field,
+ * and an `inPlace` ({ original, replacement, applied?, message? }) offers to replace the selection with the output.
+ * Either write-back can be undone from the panel. An error's `actions` (ERROR_ACTION_* from errors.js)
+ * add "Retry" and "Open settings" buttons. Generated alt text (`imageAlt`: { text, frameId, editable })
+ * can be copied, and set on the image when it is part of content being edited. A `translation`
+ * ({ targetLanguage, sourceLanguage }) names the detected language and offers the bilingual view,
+ * which shows the `bilingual` sentence pairs side by side once they are sent. The records of an
+ * `extraction` ({ fields, records, invalid, csv, json }) are shown as a table that sorts by any
+ * column, with buttons to copy or download them as CSV or JSON.
+ */
+function displayResultModal(title, contentHtml, backend, streaming, details, panel) {
+    const { thread, proofread, extraction, target, inPlace, actions, imageAlt, translation, bilingual } = details || {};
+    const { id: panelId = 'result', markdown } = panel || {};
+    const ui = window.nanoNavigatorUi;
+    const dialogId = `nano-result-${panelId}`;
+    let modal = ui.root.getElementById(dialogId);
+    const created = !modal;
+    if (created) {
+        ui.rememberSelection();
+        modal = ui.createDialog({ id: dialogId, labelledBy: `${dialogId}-title` });
+    }
+
+    // Keep the reader's scroll position (or stick to the bottom) across streaming re-renders,
+    // and the focus on the control that had it
+    const previousBody = modal.querySelector('.nn-content');
+    const wasAtBottom = !previousBody || previousBody.scrollTop + previousBody.clientHeight >= previousBody.scrollHeight - 4;
+    const previousScrollTop = previousBody ? previousBody.scrollTop : 0;
+    const focused = modal.contains(ui.root.activeElement) ? ui.root.activeElement : null;
+
+    modal.setAttribute('aria-busy', String(Boolean(streaming)));
+    modal.innerHTML = `
+        <div class="nn-header">
+            <h3 class="nn-title" id="${dialogId}-title"></h3>
+            <div class="nn-header-buttons"></div>
+        </div>
+        <div class="nn-content">${contentHtml}</div>
+        <div class="nn-footer"></div>
+    `;
+    modal.querySelector('.nn-title').textContent = title;
+    const body = modal.querySelector('.nn-content');
+    body.scrollTop = wasAtBottom ? body.scrollHeight : previousScrollTop;
+    const footer = modal.querySelector('.nn-footer');
+
+    const headerButtons = modal.querySelector('.nn-header-buttons');
+    if (streaming) {
+        headerButtons.append(ui.button('■ Stop', () => {
+            chrome.runtime.sendMessage({ action: "stopTask", panelId: panelId });
+        }, { variant: 'warning', action: 'stop' }));
+    }
+    const closeButton = ui.button('× Close', () => {
+        // Closing mid-stream must also abort, otherwise the next chunk re-opens the panel
+        if (streaming) {
+            chrome.runtime.sendMessage({ action: "stopTask", panelId: panelId, dismiss: true });
+        }
+        ui.close(modal);
+    }, { variant: 'danger', action: 'close' });
+    closeButton.setAttribute('aria-label', 'Close');
+    closeButton.dataset.escape = '';
+    headerButtons.append(closeButton);
+
+    const row = () => {
+        const element = document.createElement('div');
+        element.className = 'nn-row';
+        footer.append(element);
+        return element;
+    };
+    const statusLine = (text = '') => {
+        const element = document.createElement('span');
+        element.className = 'nn-status';
+        element.setAttribute('role', 'status');
+        element.textContent = text;
+        return element;
+    };
+    const copy = async (text, status, message) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            status.textContent = message;
+        } catch (error) {
+            status.textContent = "Could not copy to the clipboard.";
+        }
+    };
+    // Undo for a write-back into the field; starts hidden until something has been written
+    const undoButton = (status, onUndone) => {
+        const element = ui.button('Undo', () => {
+            element.disabled = true;
+            chrome.runtime.sendMessage({ action: "undoEditableText", frameId: target.frameId }, (response) => {
+                element.disabled = false;
+                if (response?.status === "success") {
+                    status.textContent = "Restored the original text.";
+                    element.hidden = true;
+                    onUndone();
+                } else {
+                    status.textContent = response?.message || "Could not undo the change.";
+                }
+            });
+        }, { action: 'undo' });
+        element.hidden = true;
+        return element;
+    };
+
+    if (translation && !streaming) {
+        const status = statusLine(translation.sourceLanguage
+            ? `Detected: ${translation.sourceLanguage} → ${translation.targetLanguage}`
+            : `Translated to ${translation.targetLanguage}`);
+        const translationNodes = [...body.childNodes];
+        let table = null;
+        if (bilingual) {
+            table = document.createElement('table');
+            table.className = 'nn-bilingual';
+            const tableRow = (cells, tag) => {
+                const element = document.createElement('tr');
+                for (const text of cells) {
+                    const cell = document.createElement(tag);
+                    cell.textContent = text;
+                    element.append(cell);
+                }
+                return element;
+            };
+            table.append(
+                tableRow([translation.sourceLanguage || 'Original', translation.targetLanguage], 'th'),
+                ...bilingual.map(pair => tableRow([pair.source, pair.translation], 'td'))
+            );
+        }
+        // The bilingual view opens as soon as its pairs arrive; the toggle switches back and forth
+        let showingBilingual = Boolean(bilingual);
+        const toggleButton = ui.button('Bilingual view', () => {
+            if (table) {
+                showingBilingual = !showingBilingual;
+                showView();
+                return;
+            }
+            toggleButton.disabled = true;
+            status.textContent = "Lining up the sentences...";
+            // Success re-renders the panel with the pairs; only a failure is reported here
+            chrome.runtime.sendMessage({ action: "showBilingual", panelId: panelId }, (response) => {
+                if (response?.status === "error" && toggleButton.isConnected) {
+                    toggleButton.disabled = false;
+                    status.textContent = response.message;
+                }
+            });
+        }, { variant: 'primary', action: 'bilingual' });
+        const showView = () => {
+            body.replaceChildren(...(showingBilingual ? [table] : translationNodes));
+            toggleButton.textContent = showingBilingual ? 'Translation only' : 'Bilingual view';
+        };
+        row().append(status, toggleButton);
+        if (table) showView();
+    }
+
+    if (inPlace && target && !proofread && !streaming) {
+        const status = statusLine();
+        const showOutcome = (applied, message) => {
+            status.textContent = applied ? "Replaced in the field ✓" : (message || "");
+            replaceButton.hidden = applied;
+            replaceButton.disabled = false;
+            undo.hidden = !applied;
+        };
+        const replaceButton = ui.button('Replace selection', () => {
+            replaceButton.disabled = true;
+            chrome.runtime.sendMessage(
+                { action: "applyEditableText", frameId: target.frameId, original: inPlace.original, text: inPlace.replacement },
+                (response) => showOutcome(response?.status === "success", response?.message || "Could not update the field.")
+            );
+        }, { variant: 'primary', action: 'replace' });
+        const undo = undoButton(status, () => { replaceButton.hidden = false; });
+        row().append(status, replaceButton, undo);
+        showOutcome(inPlace.applied === true, inPlace.message);
+    }
+
+    if (imageAlt && !streaming) {
+        const status = statusLine();
+        const altRow = row();
+        altRow.append(status, ui.button('Copy alt text', () => copy(imageAlt.text, status, "Copied ✓"), { action: 'copy-alt' }));
+        if (imageAlt.editable) {
+            const setButton = ui.button('Set as image alt', () => {
+                setButton.disabled = true;
+                chrome.runtime.sendMessage({ action: "applyImageAlt", frameId: imageAlt.frameId, text: imageAlt.text }, (response) => {
+                    const applied = response?.status === "success";
+                    status.textContent = applied ? "Alt text set ✓" : (response?.message || "Could not set the alt text.");
+                    setButton.disabled = applied;
+                    undo.hidden = !applied;
+                });
+            }, { variant: 'primary', action: 'set-alt' });
+            const undo = ui.button('Undo', () => {
+                undo.disabled = true;
+                chrome.runtime.sendMessage({ action: "undoImageAlt", frameId: imageAlt.frameId }, (response) => {
+                    undo.disabled = false;
+                    if (response?.status === "success") {
+                        status.textContent = "Restored the previous alt text.";
+                        undo.hidden = true;
+                        setButton.disabled = false;
+                    } else {
+                        status.textContent = response?.message || "Could not undo the change.";
+                    }
+                });
+            }, { action: 'undo-alt' });
+            undo.hidden = true;
+            altRow.append(setButton, undo);
+        }
+    }
+
+    if (actions?.length && !streaming) {
+        const status = statusLine();
+        const errorActionsRow = row();
+        errorActionsRow.append(status);
+        if (actions.includes("open-options")) {
+            errorActionsRow.append(ui.button('Open settings', () => chrome.runtime.sendMessage({ action: "openOptionsPage" }), { action: 'open-options' }));
+        }
+        if (actions.includes("retry")) {
+            const retryButton = ui.button('Retry', () => {
+                retryButton.disabled = true;
+                // A successful retry replaces this panel's content; only a refusal is reported here
+                chrome.runtime.sendMessage({ action: "retryTask", panelId: panelId }, (response) => {
+                    if (response?.status === "error" && retryButton.isConnected) {
+                        status.textContent = response.message;
+                    }
+                });
+            }, { variant: 'primary', action: 'retry' });
+            errorActionsRow.append(retryButton);
+        }
+    }
+
+    if (extraction && !streaming) {
+        // Sorted by the last column header clicked, again to reverse; empty cells always go last,
+        // numbers sort by value and text naturally ("item 2" before "item 10")
+        let sortIndex = -1;
+        let direction = 1;
+        const compare = (a, b) => {
+            if (a === null) return b === null ? 0 : 1;
+            if (b === null) return -1;
+            const order = typeof a === 'string' || typeof b === 'string'
+                ? String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' })
+                : Number(a) - Number(b);
+            return order * direction;
+        };
+        const table = document.createElement('table');
+        table.className = 'nn-records';
+        const renderTable = () => {
+            const head = document.createElement('tr');
+            extraction.fields.forEach((field, index) => {
+                const header = document.createElement('th');
+                header.scope = 'col';
+                header.className = field.type === 'number' ? 'nn-number' : '';
+                header.setAttribute('aria-sort', index !== sortIndex ? 'none' : direction === 1 ? 'ascending' : 'descending');
+                if (field.description) header.title = field.description;
+                const sortButton = ui.button(field.name, () => {
+                    direction = index === sortIndex ? -direction : 1;
+                    sortIndex = index;
+                    renderTable();
+                    table.querySelector(`[data-action="sort-${index}"]`).focus();
+                }, { variant: 'plain', action: `sort-${index}` });
+                const arrow = document.createElement('span');
+                arrow.setAttribute('aria-hidden', 'true');
+                arrow.textContent = index !== sortIndex ? '' : direction === 1 ? ' ▲' : ' ▼';
+                sortButton.append(arrow);
+                header.append(sortButton);
+                head.append(header);
+            });
+            const sortField = extraction.fields[sortIndex];
+            const records = sortField
+                ? [...extraction.records].sort((a, b) => compare(a[sortField.name], b[sortField.name]))
+                : extraction.records;
+            const tableBody = document.createElement('tbody');
+            tableBody.append(...records.map(record => {
+                const tableRow = document.createElement('tr');
+                for (const field of extraction.fields) {
+                    // Model output, so set as text
+                    const value = record[field.name];
+                    const cell = document.createElement('td');
+                    cell.className = field.type === 'number' ? 'nn-number' : '';
+                    cell.textContent = value === null ? '' : typeof value === 'boolean' ? (value ? 'Yes' : 'No') : String(value);
+                    tableRow.append(cell);
+                }
+                return tableRow;
+            }));
+            const tableHead = document.createElement('thead');
+            tableHead.append(head);
+            table.replaceChildren(tableHead, tableBody);
+        };
+        if (extraction.records.length) {
+            renderTable();
+            body.replaceChildren(table);
+        }
+
+        const count = `${extraction.records.length} record${extraction.records.length === 1 ? '' : 's'}`;
+        const status = statusLine(extraction.invalid
+            ? `${count}; ${extraction.invalid} value${extraction.invalid === 1 ? '' : 's'} did not match the field type and ${extraction.invalid === 1 ? 'was' : 'were'} left empty.`
+            : count);
+        const save = (text, extension, type) => {
+            ui.download(title, text, { extension, type });
+            status.textContent = "Downloaded ✓";
+        };
+        row().append(
+            status,
+            ui.button('Copy CSV', () => copy(extraction.csv, status, "Copied as CSV ✓"), { action: 'copy-csv' }),
+            ui.button('Copy JSON', () => copy(extraction.json, status, "Copied as JSON ✓"), { action: 'copy-json' }),
+            ui.button('Download CSV', () => save(extraction.csv, 'csv', 'text/csv'), { action: 'download-csv' }),
+            ui.button('Download JSON', () => save(extraction.json, 'json', 'application/json'), { action: 'download-json' })
+        );
+    }
+
+    // The finished output can be taken away; a proofread review and extracted records have their own buttons
+    if (markdown && !streaming && !proofread && !extraction) {
+        const status = statusLine();
+        let undoInsert = null;
+        const undo = ui.button('Undo insert', () => {
+            status.textContent = undoInsert() ? "Removed the inserted result." : "The page has changed since; nothing was removed.";
+            undo.hidden = true;
+        }, { action: 'undo-insert' });
+        undo.hidden = true;
+        row().append(
+            status,
+            ui.button('Copy text', () => copy(body.innerText ?? body.textContent, status, "Copied ✓"), { action: 'copy-text' }),
+            ui.button('Copy Markdown', () => copy(markdown, status, "Copied as Markdown ✓"), { action: 'copy-markdown' }),
+            ui.button('Insert below selection', () => {
+                const inserted = ui.insertBelowSelection(body.innerHTML, markdown);
+                status.textContent = inserted.status === "success" ? "Inserted below the selection ✓" : inserted.message;
+                undoInsert = inserted.undo || null;
+                undo.hidden = !undoInsert;
+            }, { action: 'insert' }),
+            ui.button('Download', () => {
+                ui.download(title, markdown);
+                status.textContent = "Downloaded ✓";
+            }, { action: 'download' }),
+            undo
+        );
+    }
+
+    if (backend) {
+        const backendLine = document.createElement('div');
+        backendLine.className = 'nn-backend';
+        backendLine.textContent = `Answered by: ${backend}`;
+        footer.append(backendLine);
+    }
+
+    if (proofread && !streaming) {
+        // All changes start out accepted
+        const accepted = new Set(proofread.changes.map(change => change.id));
+        const correctedText = () => {
+            let text = proofread.original;
+            for (const change of [...proofread.changes].sort((a, b) => b.start - a.start)) {
+                if (accepted.has(change.id)) {
+                    text = text.slice(0, change.start) + change.replacement + text.slice(change.end);
+                }
+            }
+            return text;
+        };
+
+        const review = document.createElement('div');
+        review.className = 'nn-review';
+        const summary = document.createElement('div');
+        summary.className = 'nn-review-summary';
+        summary.setAttribute('role', 'status');
+
+        // Re-rendered on each choice, with the focus kept on the button that made it
+        const choose = (change, accept, action) => {
+            if (accept) {
+                accepted.add(change.id);
+            } else {
+                accepted.delete(change.id);
+            }
+            renderReview();
+            review.querySelector(`[data-action="${action}"]`)?.focus();
+        };
+        const renderReview = () => {
+            summary.textContent = proofread.changes.length === 0
+                ? "No corrections needed ✓"
+                : `${accepted.size} of ${proofread.changes.length} changes accepted. Hover a change for its reason.`;
+            review.replaceChildren();
+            let position = 0;
+            for (const change of proofread.changes) {
+                review.append(proofread.original.slice(position, change.start));
+                position = change.end;
+
+                const isAccepted = accepted.has(change.id);
+                const wrapper = document.createElement('span');
+                wrapper.className = isAccepted ? '' : 'nn-rejected';
+                wrapper.title = change.explanation ? `${change.category}: ${change.explanation}` : change.category;
+                if (change.original) {
+                    const removed = document.createElement('del');
+                    removed.textContent = change.original;
+                    wrapper.append(removed);
+                }
+                if (change.replacement) {
+                    const added = document.createElement('ins');
+                    added.textContent = change.replacement;
+                    wrapper.append(added);
+                }
+                const description = `"${change.original}" → "${change.replacement}" (${wrapper.title})`;
+                const acceptButton = ui.button('✓', () => choose(change, true, `accept-${change.id}`), { variant: isAccepted ? 'success' : 'off', small: true, action: `accept-${change.id}` });
+                acceptButton.setAttribute('aria-label', `Accept ${description}`);
+                acceptButton.setAttribute('aria-pressed', String(isAccepted));
+                const rejectButton = ui.button('✗', () => choose(change, false, `reject-${change.id}`), { variant: isAccepted ? 'off' : 'danger', small: true, action: `reject-${change.id}` });
+                rejectButton.setAttribute('aria-label', `Reject ${description}`);
+                rejectButton.setAttribute('aria-pressed', String(!isAccepted));
+                wrapper.append(acceptButton, rejectButton);
+                review.append(wrapper);
+            }
+            review.append(proofread.original.slice(position));
+        };
+        renderReview();
+
+        const status = statusLine();
+        const reviewActions = document.createElement('div');
+        reviewActions.className = 'nn-row';
+        reviewActions.append(status, ui.button('Copy corrected text', () => copy(correctedText(), status, "Copied ✓"), { action: 'copy-corrected' }));
+        if (target) {
+            const applyButton = ui.button('Apply to field', () => {
+                applyButton.disabled = true;
+                chrome.runtime.sendMessage(
+                    { action: "applyEditableText", frameId: target.frameId, original: proofread.original, text: correctedText() },
+                    (response) => {
+                        status.textContent = response?.status === "success" ? "Applied ✓" : (response?.message || "Could not update the field.");
+                        applyButton.disabled = response?.status === "success";
+                        undo.hidden = response?.status !== "success";
+                    }
+                );
+            }, { variant: 'primary', action: 'apply' });
+            const undo = undoButton(status, () => { applyButton.disabled = false; });
+            reviewActions.append(applyButton, undo);
+        }
+
+        body.replaceChildren(summary, review, reviewActions);
+    }
+
+    if (thread && !streaming) {
+        const limitReached = thread.followUps >= thread.maxFollowUps;
+        const reply = document.createElement('div');
+        reply.className = 'nn-reply';
+        const replyInput = document.createElement('textarea');
+        replyInput.dataset.action = 'reply';
+        replyInput.setAttribute('aria-label', 'Follow-up');
+        replyInput.placeholder = limitReached ? 'Follow-up limit reached. Start fresh to keep asking.' : "Ask a follow-up, e.g. 'Make it shorter'";
+        replyInput.disabled = limitReached;
+        const count = document.createElement('span');
+        count.className = 'nn-reply-count';
+        count.textContent = `${thread.followUps}/${thread.maxFollowUps} follow-ups`;
+
+        const sendReply = () => {
+            const message = replyInput.value.trim();
+            if (!message || sendButton.disabled) return;
+            sendButton.disabled = true;
+            replyInput.disabled = true;
+            chrome.runtime.sendMessage({ action: "continueThread", threadId: thread.id, message: message, panelId: panelId });
+        };
+        const sendButton = ui.button('Send', sendReply, { variant: 'primary', action: 'send-reply' });
+        sendButton.disabled = limitReached;
+        // Enter sends, Shift+Enter starts a new line
+        replyInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault();
+                sendReply();
+            }
+        });
+
+        const replyButtons = document.createElement('div');
+        replyButtons.className = 'nn-row';
+        replyButtons.append(count);
+        if (thread.followUps > 0) {
+            replyButtons.append(ui.button('Start fresh', () => {
+                chrome.runtime.sendMessage({ action: "resetThread", threadId: thread.id, panelId: panelId });
+            }, { action: 'fresh' }));
+        }
+        replyButtons.append(sendButton);
+        reply.append(replyInput, replyButtons);
+        footer.append(reply);
+    }
+
+    // A new panel takes the focus, so Escape or Tab work right away; a re-rendered one keeps it where it was
+    if (created) {
+        modal.focus({ preventScroll: true });
+    } else if (focused) {
+        ((focused.dataset.action && modal.querySelector(`[data-action="${focused.dataset.action}"]`)) || modal).focus({ preventScroll: true });
+    }
+
+    ui.root.getElementById('nano-processing-modal')?.remove();
+}
+
+/**
+ * Extracts the readable main content of the page: the article or main landmark, or else the
+ * element holding the most paragraph text, without navigation, sidebars and other page chrome.
+ * Returns the text with blocks separated by blank lines.
+ */
+function extractReadableText() {
+    const landmarks = [...document.querySelectorAll('article, main, [role="main"]')];
+    let root = landmarks.sort((a, b) => b.innerText.length - a.innerText.length)[0];
+
+    // Pages without landmarks (or with a near-empty one): the parent of the most paragraph text
+    if (!root || root.innerText.trim().length < 500) {
+        const paragraphText = new Map();
+        for (const paragraph of document.querySelectorAll('p')) {
+            const parent = paragraph.parentElement;
+            if (parent) paragraphText.set(parent, (paragraphText.get(parent) || 0) + paragraph.innerText.length);
+        }
+        const [best] = [...paragraphText].sort((a, b) => b[1] - a[1]);
+        if (best && best[1] > (root ? root.innerText.trim().length : 0)) root = best[0];
+    }
+    root = root || document.body;
+
+    const pageChrome = 'nav, header, footer, aside, form, script, style, noscript, [role="navigation"], [role="complementary"], [aria-hidden="true"]';
+    const blocks = [];
+    for (const element of root.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, figcaption, td')) {
+        const excluded = element.closest(pageChrome);
+        if (excluded && root.contains(excluded)) continue;
+        // Blocks inside another block are already part of its text
+        const outer = element.parentElement.closest('li, blockquote, td, pre');
+        if (outer && root.contains(outer)) continue;
+        // innerText is empty for hidden elements, so collapsed menus and templates drop out
+        const text = element.innerText.trim();
+        if (text) blocks.push(/^H\d$/.test(element.tagName) ? `## ${text}` : text);
+    }
+
+    // Content built from bare divs has no blocks to find; take the root's text as laid out
+    const text = blocks.join('\n\n');
+    return text.length >= 200 ? text : root.innerText.trim();
+}
+
+/**
+ * Remembers the selected range of the focused text field (input, textarea or contenteditable) in
+ * the content-script world, where replaceEditableSelection() finds it later. Returns the selected
+ * text, or null when the selection is not editable.
+ */
+function captureEditableSelection() {
+    const active = document.activeElement;
+    let captured = null;
+
+    if (active && (active.tagName === 'TEXTAREA' || (active.tagName === 'INPUT' && /^(text|search|url|email|tel)$/i.test(active.type)))
+            && active.selectionStart !== active.selectionEnd) {
+        captured = {
+            element: active,
+            start: active.selectionStart,
+            end: active.selectionEnd,
+            text: active.value.slice(active.selectionStart, active.selectionEnd)
+        };
+    } else {
+        const selection = window.getSelection();
+        if (selection.rangeCount > 0 && !selection.isCollapsed) {
+            const range = selection.getRangeAt(0);
+            const container = range.commonAncestorContainer;
+            const element = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+            if (element && element.isContentEditable) {
+                captured = { element: element, range: range.cloneRange(), text: range.toString() };
+            }
+        }
+    }
+
+    window.nanoNavigatorEditTarget = captured;
+    return captured ? captured.text : null;
+}
+
+/**
+ * Replaces the selection recorded by captureEditableSelection() with `replacement`, provided it
+ * still holds `expectedText`. Goes through execCommand('insertText') where possible so the page's
+ * own undo (Ctrl+Z) and input handlers see a normal edit.
+ */
+function replaceEditableSelection(expectedText, replacement) {
+    const target = window.nanoNavigatorEditTarget;
+    if (!target || !target.element.isConnected) {
+        return { status: "error", message: "The text field is gone. Select the text again and re-run the task." };
+    }
+
+    if (target.range) {
+        if (target.range.toString() !== expectedText) {
+            return { status: "error", message: "The text in the field changed since it was selected." };
+        }
+        target.element.focus();
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(target.range);
+        const native = document.execCommand('insertText', false, replacement);
+        if (!native) {
+            target.range.deleteContents();
+            target.range.insertNode(document.createTextNode(replacement));
+            target.element.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        window.nanoNavigatorLastEdit = { element: target.element, original: expectedText, replacement: replacement, native: native };
+    } else {
+        const element = target.element;
+        if (element.value.slice(target.start, target.end) !== expectedText) {
+            return { status: "error", message: "The text in the field changed since it was selected." };
+        }
+        element.focus();
+        element.setSelectionRange(target.start, target.end);
+        if (!document.execCommand('insertText', false, replacement)) {
+            element.setRangeText(replacement, target.start, target.end, 'end');
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        window.nanoNavigatorLastEdit = { element: element, original: expectedText, replacement: replacement, start: target.start };
+    }
+
+    // The recorded range no longer matches the field
+    window.nanoNavigatorEditTarget = null;
+    return { status: "success" };
+}
+
+/**
+ * Reverts the last replaceEditableSelection(), provided the replacement is still there, and records
+ * the restored text as the selection again so it can be re-applied.
+ */
+function undoEditableReplacement() {
+    const edit = window.nanoNavigatorLastEdit;
+    if (!edit || !edit.element.isConnected) {
+        return { status: "error", message: "There is nothing to undo in this field." };
+    }
+
+    const element = edit.element;
+    if (edit.start === undefined) {
+        // A contenteditable change is only reverted through the editor's own undo history
+        if (!edit.native) {
+            return { status: "error", message: "This editor does not support undo from here. Use Ctrl+Z in the field." };
+        }
+        element.focus();
+        document.execCommand('undo');
+        const selection = window.getSelection();
+        const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+        window.nanoNavigatorEditTarget = range && range.toString() === edit.original
+            ? { element: element, range: range.cloneRange(), text: edit.original }
+            : null;
+    } else {
+        const end = edit.start + edit.replacement.length;
+        if (element.value.slice(edit.start, end) !== edit.replacement) {
+            return { status: "error", message: "The text in the field changed since it was replaced." };
+        }
+        element.focus();
+        element.setSelectionRange(edit.start, end);
+        if (!document.execCommand('insertText', false, edit.original)) {
+            element.setRangeText(edit.original, edit.start, end, 'end');
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        window.nanoNavigatorEditTarget = { element: element, start: edit.start, end: edit.start + edit.original.length, text: edit.original };
+    }
+
+    window.nanoNavigatorLastEdit = null;
+    return { status: "success" };
+}
+
+/**
+ * Records the image the context menu was opened on, found by its URL, so generated alt text can be
+ * set on it. Resolves to `{ editable }`: whether the image is part of content being edited.
+ */
+function captureImageElement(srcUrl) {
+    const image = Array.from(document.images).find(element => element.currentSrc === srcUrl || element.src === srcUrl) || null;
+    window.nanoNavigatorImageTarget = image;
+    return { editable: Boolean(image && (image.isContentEditable || document.designMode === 'on')) };
+}
+
+/**
+ * Reads an image with the page's own credentials, for images the extension cannot download itself.
+ * Resolves to a data: URL, or null.
+ */
+async function readImageInPage(srcUrl) {
+    try {
+        const response = await fetch(srcUrl);
+        if (!response.ok) return null;
+        const blob = await response.blob();
+        return await new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => resolve(null);
+            reader.readAsDataURL(blob);
+        });
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Sets the alt text of the image recorded by captureImageElement(), remembering the old one for undo.
+ */
+function setImageAltText(altText) {
+    const image = window.nanoNavigatorImageTarget;
+    if (!image || !image.isConnected) {
+        return { status: "error", message: "The image is no longer on the page." };
+    }
+    window.nanoNavigatorLastAlt = { image: image, previous: image.getAttribute('alt') };
+    image.setAttribute('alt', altText);
+    // Rich-text editors watch their content for changes
+    image.dispatchEvent(new Event('input', { bubbles: true }));
+    return { status: "success" };
+}
+
+/**
+ * Puts back the alt text that setImageAltText() replaced.
+ */
+function restoreImageAltText() {
+    const last = window.nanoNavigatorLastAlt;
+    if (!last || !last.image.isConnected) {
+        return { status: "error", message: "The image is no longer on the page." };
+    }
+    if (last.previous === null) {
+        last.image.removeAttribute('alt');
+    } else {
+        last.image.setAttribute('alt', last.previous);
+    }
+    last.image.dispatchEvent(new Event('input', { bubbles: true }));
+    window.nanoNavigatorLastAlt = null;
+    return { status: "success" };
+}
+
+function showProcessingModal(message) {
+    const ui = window.nanoNavigatorUi;
+    ui.mount();
+    // The result will go below what was selected when the task started
+    ui.rememberSelection();
+    let notice = ui.root.getElementById('nano-processing-modal');
+    if (!notice) {
+        notice = document.createElement('div');
+        notice.id = 'nano-processing-modal';
+        notice.className = 'nn-notice';
+        notice.setAttribute('role', 'status');
+        ui.root.append(notice);
+    }
+    notice.textContent = message;
+}
+
+/**
+ * Injects the custom prompt input modal for an instruction preset; `placeholder`, when given,
+ * replaces the example instruction (e.g. with example fields for an extract preset).
+ * Ctrl+Enter runs the prompt and Escape cancels.
+ */
+function showPromptModal(selectedText, presetId, presetTitle, target, placeholder) {
+    const ui = window.nanoNavigatorUi;
+    const existing = ui.root.getElementById('nano-prompt-input-modal');
+    if (existing) { ui.close(existing); }
+
+    const modal = ui.createDialog({ id: 'nano-prompt-input-modal', labelledBy: 'nano-prompt-title', modal: true });
+    modal.innerHTML = `
+        <h3 id="nano-prompt-title"></h3>
+        <p class="nn-label">
+            <strong>Context Snippet:</strong>
+            <span id="nano-prompt-snippet" class="nn-snippet"></span>
+        </p>
+        <textarea id="nano-custom-prompt-input" aria-labelledby="nano-prompt-title" aria-describedby="nano-prompt-hint"
+                  placeholder="e.g., 'Translate this to Spanish and make it sound formal' or 'Write a short headline for this.'"></textarea>
+        <p id="nano-prompt-hint" class="nn-hint">Ctrl+Enter runs the prompt, Escape cancels.</p>
+        <p id="nano-prompt-error" class="nn-error" role="alert" hidden></p>
+        <div class="nn-row"></div>
+    `;
+    // Preset titles are user-defined and the snippet comes from the page, so both are set as text
+    modal.querySelector('#nano-prompt-title').textContent = presetTitle;
+    modal.querySelector('#nano-prompt-snippet').textContent = `${selectedText.substring(0, 100)}...`;
+
+    const inputElement = modal.querySelector('#nano-custom-prompt-input');
+    const errorElement = modal.querySelector('#nano-prompt-error');
+    if (placeholder) {
+        inputElement.placeholder = placeholder;
+    }
+    const submit = () => {
+        const customPrompt = inputElement.value.trim();
+        if (customPrompt) {
+            chrome.runtime.sendMessage({ action: "runCustomPrompt", presetId: presetId, selectedText: selectedText, customPrompt: customPrompt, target: target });
+            ui.close(modal);
+        } else {
+            errorElement.textContent = "Please enter a custom instruction.";
+            errorElement.hidden = false;
+            inputElement.focus();
+        }
+    };
+    inputElement.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            submit();
+        }
+    });
+    const cancelButton = ui.button('Cancel', () => ui.close(modal), { action: 'cancel' });
+    cancelButton.dataset.escape = '';
+    modal.querySelector('.nn-row').append(cancelButton, ui.button('Run Prompt', submit, { variant: 'primary', action: 'submit' }));
+    inputElement.focus();
+}
+
+/**
+ * Injects the language picker for a language preset, an image translation or a whole-page translation.
+ * `picker` holds the `languages` to offer (favorites first), the user's `favorites`, the `lastTarget`
+ * language to start from and the `action` message to send with the choice: "runTranslation"
+ * (with the selection) or "translatePage". Any language can also be typed, e.g. "Japanese (formal)".
+ * The arrow keys move through the list, Enter translates and * stars the highlighted language.
+ */
+function showTranslationModal(selectedText, presetId, target, picker) {
+    const ui = window.nanoNavigatorUi;
+    const existing = ui.root.getElementById('translation-input-modal');
+    if (existing) { ui.close(existing); }
+
+    const modal = ui.createDialog({ id: 'translation-input-modal', labelledBy: 'translation-title', modal: true, className: 'nn-teal' });
+    modal.innerHTML = `
+        <h3 id="translation-title">${picker.action === "translatePage" ? 'Translate This Page' : 'Select Target Language'}</h3>
+        ${selectedText ? `<p class="nn-label">
+            <strong>Context Snippet:</strong>
+            <span id="translation-snippet" class="nn-snippet"></span>
+        </p>` : ''}
+        <input type="text" id="target-language-input" role="combobox" aria-autocomplete="list" aria-expanded="true"
+               aria-controls="target-language-list" aria-labelledby="translation-title" aria-describedby="target-language-hint"
+               placeholder="Search or type a language, e.g. Japanese (formal)" autocomplete="off">
+        <div id="target-language-list" class="nn-listbox" role="listbox" aria-label="Languages"></div>
+        <p id="target-language-hint" class="nn-hint">↑ ↓ pick a language, Enter translates, * stars the picked one.</p>
+        <p id="target-language-error" class="nn-error" role="alert" hidden></p>
+        <div class="nn-row"></div>
+    `;
+    // The snippet comes from the page, so it is set as text
+    if (selectedText) {
+        modal.querySelector('#translation-snippet').textContent = `${selectedText.substring(0, 100)}...`;
+    }
+
+    const input = modal.querySelector('#target-language-input');
+    const list = modal.querySelector('#target-language-list');
+    const errorElement = modal.querySelector('#target-language-error');
+    let favorites = picker.favorites;
+    input.value = picker.lastTarget;
+
+    const isFavorite = (language) => favorites.some(favorite => favorite.toLowerCase() === language.toLowerCase());
+    const submit = (language) => {
+        const targetLanguage = language.trim();
+        if (!targetLanguage) {
+            errorElement.textContent = "Please enter a target language.";
+            errorElement.hidden = false;
+            input.focus();
+            return;
+        }
+        chrome.runtime.sendMessage(picker.action === "translatePage"
+            ? { action: "translatePage", targetLanguage: targetLanguage }
+            : { action: "runTranslation", presetId: presetId, selectedText: selectedText, targetLanguage: targetLanguage, target: target });
+        ui.close(modal);
+    };
+    const toggleFavorite = (language) => {
+        chrome.runtime.sendMessage({ action: "toggleFavoriteLanguage", language: language }, (response) => {
+            favorites = response?.favorites || favorites;
+            renderList(language);
+        });
+    };
+
+    // Favorites come first and carry a filled star; the star adds or removes a favorite
+    // The list is only filtered once the user types; the preselected last language shows them all
+    let query = '';
+    let shown = [];
+    // The option picked with the arrow keys, announced through aria-activedescendant
+    let active = -1;
+    const highlight = (index) => {
+        active = index;
+        list.querySelectorAll('[role="option"]').forEach((option, optionIndex) => {
+            option.setAttribute('aria-selected', String(optionIndex === index));
+        });
+        const option = list.children[index];
+        if (!option) {
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        input.setAttribute('aria-activedescendant', option.id);
+        if (option.offsetTop < list.scrollTop) {
+            list.scrollTop = option.offsetTop;
+        } else if (option.offsetTop + option.offsetHeight > list.scrollTop + list.clientHeight) {
+            list.scrollTop = option.offsetTop + option.offsetHeight - list.clientHeight;
+        }
+    };
+    // `keep` is a language to keep highlighted when it is still listed
+    const renderList = (keep) => {
+        const others = picker.languages.filter(language => !isFavorite(language));
+        shown = [...favorites, ...others].filter(language => language.toLowerCase().includes(query));
+        list.replaceChildren(...shown.map((language, index) => {
+            const option = document.createElement('div');
+            option.id = `target-language-option-${index}`;
+            option.className = 'nn-option';
+            option.setAttribute('role', 'option');
+            const name = document.createElement('span');
+            name.textContent = language;
+            // Reached with the * key rather than Tab, which would stop at every language
+            const star = ui.button(isFavorite(language) ? '★' : '☆', (event) => {
+                event.stopPropagation();
+                toggleFavorite(language);
+            }, { variant: 'plain' });
+            star.tabIndex = -1;
+            star.title = isFavorite(language) ? `Remove ${language} from favorites` : `Add ${language} to favorites`;
+            star.setAttribute('aria-label', star.title);
+            option.append(name, star);
+            option.addEventListener('click', () => submit(language));
+            return option;
+        }));
+        highlight(keep === undefined ? -1 : shown.indexOf(keep));
+    };
+    renderList();
+
+    input.addEventListener('input', () => {
+        query = input.value.trim().toLowerCase();
+        renderList();
+    });
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            highlight(Math.min(Math.max(active + step, 0), shown.length - 1));
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            submit(active >= 0 ? shown[active] : input.value);
+        } else if (event.key === '*' && active >= 0) {
+            event.preventDefault();
+            toggleFavorite(shown[active]);
+        }
+    });
+    const cancelButton = ui.button('Cancel', () => ui.close(modal), { action: 'cancel' });
+    cancelButton.dataset.escape = '';
+    modal.querySelector('.nn-row').append(cancelButton, ui.button('Translate', () => submit(input.value), { variant: 'primary', action: 'submit' }));
+    input.focus();
+    input.select();
+}
+
+/**
+ * Shows what a cloud request is about to send, after personal data was masked (see privacy.js):
+ * the text, whether an image goes with it, what was masked and where it goes. Send or Cancel (also
+ * Escape) is reported back as an "answerCloudPreview" message for the preview `id`.
+ */
+function showCloudPreviewModal(preview, id) {
+    const ui = window.nanoNavigatorUi;
+    const existing = ui.root.getElementById('nano-cloud-preview-modal');
+    if (existing) { ui.close(existing); }
+
+    const modal = ui.createDialog({ id: 'nano-cloud-preview-modal', labelledBy: 'nano-cloud-preview-title', modal: true });
+    modal.innerHTML = `
+        <h3 id="nano-cloud-preview-title">Review before sending</h3>
+        <p id="nano-cloud-preview-destination" class="nn-label"></p>
+        <p id="nano-cloud-preview-findings" class="nn-label"></p>
+        <pre id="nano-cloud-preview-text" class="nn-preview-text" tabindex="0" aria-label="Text to send"></pre>
+        <div class="nn-row"></div>
+    `;
+
+    // Everything in the preview is page or model text, so it is set as text
+    modal.querySelector('#nano-cloud-preview-destination').textContent = `To: ${preview.destination}${preview.image ? ' (with the image)' : ''}`;
+    modal.querySelector('#nano-cloud-preview-findings').textContent = preview.findings.length
+        ? `Masked: ${preview.findings.map(finding => `${finding.count} × ${finding.label}`).join(', ')}`
+        : 'No personal data was found to mask.';
+    modal.querySelector('#nano-cloud-preview-text').textContent = preview.text;
+
+    const answer = (send) => {
+        chrome.runtime.sendMessage({ action: "answerCloudPreview", id: id, send: send });
+        ui.close(modal);
+    };
+    const cancelButton = ui.button('Cancel', () => answer(false), { action: 'cancel' });
+    cancelButton.dataset.escape = '';
+    const sendButton = ui.button('Send', () => answer(true), { variant: 'primary', action: 'send' });
+    modal.querySelector('.nn-row').append(cancelButton, sendButton);
+    sendButton.focus();
+}
+
+/**
+ * Collects the visible text nodes of the page for "Translate this page", at most `limit` of them,
+ * skipping code, form fields, editable content, parts marked translate="no" and the extension's own
+ * UI. The nodes are kept in the isolated world (with their text, to restore it) for
+ * applyPageTranslation(); a page translated before is restored first. Returns the texts, trimmed.
+ */
+function collectPageText(limit) {
+    const previous = window.nanoNavigatorPageTranslation;
+    if (previous) {
+        for (const entry of previous.entries) {
+            if (entry.translated !== null && entry.node.nodeValue === entry.translated) {
+                entry.node.nodeValue = entry.original;
+            }
+        }
+    }
+
+    const skipped = 'script, style, noscript, template, code, pre, kbd, samp, textarea, input, select, svg, math, [contenteditable]:not([contenteditable="false"]), [translate="no"], .notranslate, #nano-navigator-ui';
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => {
+            const parent = node.parentElement;
+            // Only text with letters in it; numbers and punctuation read the same in any language
+            if (!parent || !/\p{L}/u.test(node.nodeValue) || parent.closest(skipped)) return NodeFilter.FILTER_REJECT;
+            return parent.checkVisibility({ checkVisibilityCSS: true }) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+        }
+    });
+    const entries = [];
+    while (entries.length < limit && walker.nextNode()) {
+        entries.push({ node: walker.currentNode, original: walker.currentNode.nodeValue, translated: null });
+    }
+    window.nanoNavigatorPageTranslation = { entries, showing: "translation", translating: true };
+    return entries.map(entry => entry.original.trim());
+}
+
+/**
+ * Writes a batch of translations over the collected text nodes from index `start` on, keeping the
+ * whitespace around each node's text, and shows `progress` in the translation bar. Nodes the page
+ * has changed since they were read are left alone. Returns false once there is nothing to write to
+ * (the page was reloaded or restored).
+ */
+function applyPageTranslation(start, translations, progress) {
+    const state = window.nanoNavigatorPageTranslation;
+    if (!state) return false;
+    translations.forEach((translation, offset) => {
+        const entry = state.entries[start + offset];
+        if (!entry || !translation || entry.node.nodeValue !== entry.original) return;
+        entry.translated = entry.original.match(/^\s*/)[0] + translation.trim() + entry.original.match(/\s*$/)[0];
+        if (state.showing === "translation") {
+            entry.node.nodeValue = entry.translated;
+        }
+    });
+    const status = window.nanoNavigatorUi?.root.getElementById('nano-page-translation-status');
+    if (status && state.translating) {
+        status.textContent = progress;
+    }
+    return true;
+}
+
+/**
+ * Shows (or updates) the bar at the top of a page being translated: `message`, a Stop button while
+ * `translating`, a switch between the original and the translated text, and ✕ to restore the page.
+ */
+function showPageTranslationBar(message, translating) {
+    const state = window.nanoNavigatorPageTranslation;
+    if (!state) return;
+    state.translating = translating;
+
+    const ui = window.nanoNavigatorUi;
+    ui.mount();
+    let bar = ui.root.getElementById('nano-page-translation-bar');
+    if (!bar) {
+        bar = document.createElement('div');
+        bar.id = 'nano-page-translation-bar';
+        bar.className = 'nn-bar';
+        bar.setAttribute('role', 'region');
+        bar.setAttribute('aria-label', 'Page translation');
+        ui.root.append(bar);
+    }
+
+    // Nodes the page has changed since they were translated keep the page's text
+    const show = (showing) => {
+        state.showing = showing;
+        for (const entry of state.entries) {
+            if (entry.translated === null) continue;
+            const [from, to] = showing === "original" ? [entry.translated, entry.original] : [entry.original, entry.translated];
+            if (entry.node.nodeValue === from) {
+                entry.node.nodeValue = to;
+            }
+        }
+    };
+
+    const status = document.createElement('span');
+    status.id = 'nano-page-translation-status';
+    status.setAttribute('role', 'status');
+    status.textContent = message;
+    const stopButton = ui.button('■ Stop', () => chrome.runtime.sendMessage({ action: "stopPageTranslation" }), { variant: 'warning', action: 'stop' });
+    const toggleButton = ui.button(state.showing === "original" ? 'Show translation' : 'Show original', () => {
+        show(state.showing === "original" ? "translation" : "original");
+        toggleButton.textContent = state.showing === "original" ? 'Show translation' : 'Show original';
+    }, { variant: 'primary', action: 'toggle' });
+    const closeButton = ui.button('✕', () => {
+        show("original");
+        delete window.nanoNavigatorPageTranslation;
+        bar.remove();
+        chrome.runtime.sendMessage({ action: "stopPageTranslation", dismiss: true });
+    }, { action: 'close' });
+    closeButton.title = 'Restore the original page';
+    closeButton.setAttribute('aria-label', closeButton.title);
+    bar.replaceChildren(status, ...(translating ? [stopButton] : []), toggleButton, closeButton);
+}
@@ -0,0 +1,423 @@
+// The UI kit the pop-ups of page_scripts.js are built with: a Shadow DOM root that keeps the page's
+// CSS out (and the pop-ups' CSS in), light, dark and system themes, dialogs with keyboard handling,
+// buttons, and the copy, insert and download actions of a result.
+// Injected with chrome.scripting.executeScript({ files: ["page_ui.js"] }) before each pop-up (see
+// injectPageUi() in presenters.js). It stays in the extension's isolated world as
+// window.nanoNavigatorUi, where the page's own scripts cannot reach it, and is set up once per frame.
+
+if (!window.nanoNavigatorUi) {
+    window.nanoNavigatorUi = (() => {
+        const THEMES = ['system', 'light', 'dark'];
+        const DARK_THEME = `
+            --nn-bg: #111827; --nn-surface: #1f2937; --nn-text: #e5e7eb; --nn-muted: #9ca3af;
+            --nn-border: #374151; --nn-accent: #3b5bdb; --nn-heading: #93c5fd; --nn-accent-soft: #1e3a8a;
+            --nn-teal: #0d9488; --nn-teal-soft: #134e4a; --nn-notice: #b45309; --nn-notice-text: #fef3c7;
+            --nn-added-bg: #14532d; --nn-added: #bbf7d0; --nn-removed-bg: #7f1d1d; --nn-removed: #fecaca;
+            --nn-shadow: rgba(0, 0, 0, 0.7); color-scheme: dark;
+        `;
+        const STYLES = `
+            :host {
+                --nn-bg: #ffffff; --nn-surface: #f3f4f6; --nn-text: #1f2937; --nn-muted: #6b7280;
+                --nn-border: #d1d5db; --nn-accent: #1e3a8a; --nn-heading: #1e3a8a; --nn-accent-soft: #bfdbfe;
+                --nn-teal: #00796b; --nn-teal-soft: #e0f2f1; --nn-notice: #fbbf24; --nn-notice-text: #333333;
+                --nn-added-bg: #dcfce7; --nn-added: #166534; --nn-removed-bg: #fee2e2; --nn-removed: #991b1b;
+                --nn-shadow: rgba(0, 0, 0, 0.4); color-scheme: light;
+            }
+            :host([data-theme="dark"]) { ${DARK_THEME} }
+            @media (prefers-color-scheme: dark) {
+                :host([data-theme="system"]) { ${DARK_THEME} }
+            }
+            * { box-sizing: border-box; }
+            [hidden] { display: none !important; }
+
+            .nn-dialog, .nn-notice, .nn-bar {
+                font-family: 'Inter', system-ui, sans-serif; font-size: 15px; line-height: 1.5;
+                color: var(--nn-text); text-align: left;
+            }
+            .nn-dialog {
+                position: fixed; display: flex; flex-direction: column; background: var(--nn-bg);
+                border: 1px solid var(--nn-accent); border-radius: 10px; box-shadow: 0 6px 15px var(--nn-shadow);
+            }
+            :focus-visible { outline: 2px solid var(--nn-heading); outline-offset: 2px; }
+            .nn-dialog:focus { outline: none; }
+            .nn-dialog:focus-visible { outline: 2px solid var(--nn-heading); }
+
+            .nn-panel {
+                width: 380px; max-width: calc(100vw - 20px); height: auto; max-height: 85vh;
+                min-width: 260px; min-height: 120px; resize: both; overflow: hidden;
+            }
+            .nn-header {
+                display: flex; justify-content: space-between; align-items: center; gap: 8px;
+                margin: 0 15px; padding: 12px 0 8px; border-bottom: 2px solid var(--nn-accent);
+                cursor: move; user-select: none; touch-action: none;
+            }
+            .nn-title { margin: 0; color: var(--nn-heading); font-size: 1.1rem; overflow-wrap: anywhere; }
+            .nn-header-buttons { display: flex; gap: 6px; flex-shrink: 0; }
+            .nn-content { flex: 1; min-height: 0; overflow-y: auto; padding: 10px 15px 0; font-size: 0.95rem; overflow-wrap: anywhere; }
+            .nn-footer { padding: 0 15px 12px; }
+            .nn-row { display: flex; flex-wrap: wrap; gap: 6px; align-items: center; justify-content: flex-end; margin-top: 10px; }
+            .nn-status { font-size: 0.8rem; color: var(--nn-muted); margin-right: auto; }
+            .nn-error { font-size: 0.85rem; color: var(--nn-removed); margin: 0 0 10px; }
+            .nn-backend { margin-top: 10px; padding-top: 6px; border-top: 1px solid var(--nn-border); font-size: 0.75rem; color: var(--nn-muted); }
+            .nn-reply { margin-top: 10px; padding-top: 8px; border-top: 1px solid var(--nn-border); }
+            .nn-reply textarea { height: 60px; font-size: 0.9rem; }
+            .nn-reply-count { font-size: 0.75rem; color: var(--nn-muted); margin-right: auto; }
+
+            .nn-content h1, .nn-content h2, .nn-content h3,
+            .nn-content h4, .nn-content h5, .nn-content h6 { margin: 10px 0 6px; color: var(--nn-heading); font-size: 1rem; }
+            .nn-content p, .nn-content ul, .nn-content ol,
+            .nn-content blockquote, .nn-content pre, .nn-content table { margin: 0 0 8px; }
+            .nn-content ul, .nn-content ol { padding-left: 20px; }
+            .nn-content blockquote { padding-left: 10px; border-left: 3px solid var(--nn-accent-soft); color: var(--nn-muted); }
+            .nn-content code { background: var(--nn-surface); padding: 1px 4px; border-radius: 4px; font-size: 0.85em; }
+            .nn-content pre { background: var(--nn-surface); padding: 8px; border-radius: 6px; overflow-x: auto; }
+            .nn-content pre code { padding: 0; background: none; }
+            .nn-content table { border-collapse: collapse; }
+            .nn-content th, .nn-content td { border: 1px solid var(--nn-border); padding: 4px 8px; vertical-align: top; }
+            .nn-content hr { border: none; border-top: 1px solid var(--nn-border); }
+            .nn-content a { color: var(--nn-heading); }
+            .nn-records { width: 100%; font-size: 0.85rem; }
+            .nn-records th { padding: 0; text-align: left; white-space: nowrap; }
+            .nn-records th button {
+                width: 100%; padding: 4px 8px; text-align: inherit; font-size: inherit; color: var(--nn-heading);
+                background: none; border-radius: 0;
+            }
+            .nn-records td.nn-number, .nn-records th.nn-number { text-align: right; }
+            .nn-bilingual { width: 100%; font-size: 0.85rem; }
+            .nn-bilingual th, .nn-bilingual td { width: 50%; }
+
+            .nn-review { white-space: pre-wrap; line-height: 1.7; }
+            .nn-review-summary { margin-bottom: 8px; font-size: 0.8rem; color: var(--nn-muted); }
+            .nn-review del { background: var(--nn-removed-bg); color: var(--nn-removed); }
+            .nn-review ins { text-decoration: none; background: var(--nn-added-bg); color: var(--nn-added); }
+            .nn-review .nn-rejected del { text-decoration: none; background: var(--nn-surface); color: inherit; }
+            .nn-review .nn-rejected ins { text-decoration: line-through; background: none; color: var(--nn-muted); }
+
+            button {
+                font: inherit; font-size: 0.85rem; font-weight: bold; color: #ffffff; background: var(--nn-muted);
+                border: none; border-radius: 6px; padding: 4px 10px; cursor: pointer;
+            }
+            button:disabled { opacity: 0.55; cursor: default; }
+            button.nn-primary { background: var(--nn-accent); }
+            button.nn-danger { background: #ef4444; }
+            button.nn-warning { background: #f59e0b; }
+            button.nn-success { background: #059669; }
+            button.nn-off { background: var(--nn-border); color: var(--nn-text); }
+            button.nn-small { padding: 2px 6px; margin-left: 2px; font-size: 0.75rem; border-radius: 4px; }
+            button.nn-plain { background: none; color: var(--nn-heading); font-size: 1.1rem; padding: 0 4px; }
+            textarea, input {
+                width: 100%; padding: 10px; border: 2px solid var(--nn-border); border-radius: 8px;
+                background: var(--nn-bg); color: var(--nn-text); font: inherit; font-size: 1rem;
+            }
+            textarea { resize: vertical; }
+
+            .nn-backdrop {
+                position: fixed; inset: 0; display: flex; align-items: center; justify-content: center;
+                background: rgba(0, 0, 0, 0.35);
+            }
+            .nn-modal {
+                position: relative; width: 450px; max-width: 90vw; max-height: 90vh; overflow-y: auto;
+                padding: 20px 25px; border-width: 3px; border-radius: 16px; box-shadow: 0 12px 30px var(--nn-shadow);
+            }
+            .nn-modal.nn-teal { --nn-accent: var(--nn-teal); --nn-heading: var(--nn-teal); --nn-accent-soft: var(--nn-teal-soft); }
+            .nn-modal h3 { margin: 0 0 10px; padding-bottom: 10px; border-bottom: 2px solid var(--nn-accent-soft); color: var(--nn-heading); font-size: 1.2rem; }
+            .nn-modal textarea { height: 90px; margin-bottom: 10px; }
+            .nn-modal input { margin-bottom: 8px; }
+            .nn-modal .nn-row { margin-top: 0; }
+            .nn-modal .nn-row button { padding: 10px 18px; border-radius: 8px; font-size: 0.9rem; }
+            .nn-label { display: block; font-size: 0.85rem; color: var(--nn-muted); margin: 0 0 10px; }
+            .nn-label strong { color: var(--nn-heading); }
+            .nn-snippet {
+                display: block; max-height: 50px; overflow: hidden; text-overflow: ellipsis; padding: 5px;
+                background: var(--nn-surface); border: 1px solid var(--nn-border); border-radius: 6px;
+            }
+            .nn-hint { font-size: 0.75rem; color: var(--nn-muted); margin: 0 0 10px; }
+            .nn-listbox {
+                position: relative; max-height: 180px; overflow-y: auto; margin-bottom: 12px;
+                border: 1px solid var(--nn-border); border-radius: 8px;
+            }
+            .nn-option { display: flex; align-items: center; padding: 6px 10px; cursor: pointer; font-size: 0.9rem; }
+            .nn-option span { flex: 1; }
+            .nn-option:hover, .nn-option[aria-selected="true"] { background: var(--nn-teal-soft); }
+            .nn-preview-text {
+                max-height: 40vh; overflow-y: auto; white-space: pre-wrap; overflow-wrap: anywhere; margin: 0 0 15px;
+                padding: 10px; background: var(--nn-surface); border-radius: 8px; font-size: 0.85rem;
+            }
+
+            .nn-notice {
+                position: fixed; top: 10px; right: 10px; padding: 10px 20px; border-radius: 6px;
+                background: var(--nn-notice); color: var(--nn-notice-text); box-shadow: 0 2px 5px var(--nn-shadow);
+                font-size: 0.9rem; font-weight: bold;
+            }
+            .nn-bar {
+                position: fixed; top: 0; left: 50%; transform: translateX(-50%);
+                display: flex; gap: 8px; align-items: center; max-width: 90vw; padding: 8px 14px;
+                background: var(--nn-teal-soft); border: 2px solid var(--nn-teal); border-top: none;
+                border-radius: 0 0 10px 10px; box-shadow: 0 4px 10px var(--nn-shadow); font-size: 0.9rem;
+            }
+            .nn-bar button.nn-primary { background: var(--nn-teal); }
+            .nn-notice, .nn-bar { z-index: 1000000; }
+        `;
+
+        const host = document.createElement('div');
+        host.id = 'nano-navigator-ui';
+        // The page's CSS cannot reach into the shadow root, but it could still style the host itself
+        host.style.cssText = 'all: initial; position: fixed; top: 0; left: 0; z-index: 2147483647;';
+        const root = host.attachShadow({ mode: 'closed' });
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(STYLES);
+        root.adoptedStyleSheets = [sheet];
+
+        // Re-attached when the page has thrown it out, e.g. a single-page app rebuilding the document
+        const mount = () => {
+            if (!host.isConnected) document.documentElement.append(host);
+        };
+
+        // The theme is the user's "Pop-up theme" setting, followed as it changes
+        const setTheme = (theme) => {
+            host.dataset.theme = THEMES.includes(theme) ? theme : 'system';
+        };
+        setTheme('system');
+        chrome.storage.local.get('uiTheme').then(({ uiTheme }) => setTheme(uiTheme)).catch(() => {});
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.uiTheme) setTheme(changes.uiTheme.newValue);
+        });
+
+        // --- Dialogs ---
+
+        let topLayer = 0;
+        const bringToFront = (element) => {
+            element.style.zIndex = String(++topLayer);
+        };
+        // The page element each dialog hands the focus back to when it closes
+        const returnFocus = new WeakMap();
+
+        const focusableIn = (dialog) => [...dialog.querySelectorAll('button, textarea, input, a[href], [tabindex="0"]')]
+            .filter(element => !element.disabled && !element.closest('[hidden]'));
+
+        // Tab and Shift+Tab cycle through a modal dialog's controls instead of leaving for the page
+        const trapFocus = (dialog, event) => {
+            const focusable = focusableIn(dialog);
+            if (focusable.length === 0) {
+                event.preventDefault();
+                return;
+            }
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (event.shiftKey && (root.activeElement === first || root.activeElement === dialog)) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && root.activeElement === last) {
+                event.preventDefault();
+                first.focus();
+            }
+        };
+
+        // Result panels are dragged by their header; the header's buttons still work as buttons
+        const dragByHeader = (dialog) => {
+            dialog.addEventListener('pointerdown', (event) => {
+                const header = event.target.closest('.nn-header');
+                if (!header || event.button !== 0 || event.target.closest('button')) return;
+                const rect = dialog.getBoundingClientRect();
+                const offsetX = event.clientX - rect.left;
+                const offsetY = event.clientY - rect.top;
+                header.setPointerCapture(event.pointerId);
+                const move = (moveEvent) => {
+                    // Some of the header always stays on screen to drag it back
+                    const left = Math.min(Math.max(0, moveEvent.clientX - offsetX), window.innerWidth - 60);
+                    const top = Math.min(Math.max(0, moveEvent.clientY - offsetY), window.innerHeight - 40);
+                    dialog.style.left = `${left}px`;
+                    dialog.style.top = `${top}px`;
+                    dialog.style.right = 'auto';
+                };
+                const stop = () => {
+                    header.removeEventListener('pointermove', move);
+                    header.removeEventListener('pointerup', stop);
+                    header.removeEventListener('pointercancel', stop);
+                };
+                header.addEventListener('pointermove', move);
+                header.addEventListener('pointerup', stop);
+                header.addEventListener('pointercancel', stop);
+            });
+        };
+
+        /**
+         * Adds a dialog named by the element with id `labelledBy`. A `modal` dialog (the input
+         * pop-ups) sits on a backdrop and keeps the focus until it is closed; the others are result
+         * panels, which stack up from the top right, can be dragged by their `.nn-header` and resized,
+         * and come to the front when used. Escape clicks the dialog's `[data-escape]` button (its
+         * Close or Cancel), or else closes it. Returns the empty dialog; remove it with close().
+         */
+        function createDialog({ id, labelledBy, modal = false, className = '' }) {
+            mount();
+            const dialog = document.createElement('section');
+            dialog.id = id;
+            dialog.className = `nn-dialog ${modal ? 'nn-modal' : 'nn-panel'} ${className}`.trim();
+            dialog.setAttribute('role', 'dialog');
+            dialog.setAttribute('aria-modal', String(modal));
+            dialog.setAttribute('aria-labelledby', labelledBy);
+            dialog.tabIndex = -1;
+            const previous = document.activeElement;
+            returnFocus.set(dialog, previous && previous !== host ? previous : null);
+
+            dialog.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    const escapeButton = dialog.querySelector('[data-escape]');
+                    if (escapeButton) {
+                        escapeButton.click();
+                    } else {
+                        close(dialog);
+                    }
+                } else if (event.key === 'Tab' && modal) {
+                    trapFocus(dialog, event);
+                }
+            });
+
+            if (modal) {
+                const backdrop = document.createElement('div');
+                backdrop.className = 'nn-backdrop';
+                // A click beside the dialog keeps the focus in it rather than closing it
+                backdrop.addEventListener('mousedown', (event) => {
+                    if (event.target !== backdrop) return;
+                    event.preventDefault();
+                    dialog.focus();
+                });
+                backdrop.append(dialog);
+                root.append(backdrop);
+                bringToFront(backdrop);
+            } else {
+                const offset = (root.querySelectorAll('.nn-panel').length % 8) * 28;
+                dialog.style.top = `calc(10% + ${offset}px)`;
+                dialog.style.right = `${10 + offset}px`;
+                dialog.addEventListener('pointerdown', () => bringToFront(dialog));
+                dialog.addEventListener('focusin', () => bringToFront(dialog));
+                dragByHeader(dialog);
+                root.append(dialog);
+                bringToFront(dialog);
+            }
+            return dialog;
+        }
+
+        /**
+         * Removes a dialog of createDialog(), handing the focus back to the page when it had it.
+         */
+        function close(dialog) {
+            const hadFocus = dialog.contains(root.activeElement);
+            (dialog.parentElement?.classList.contains('nn-backdrop') ? dialog.parentElement : dialog).remove();
+            const previous = returnFocus.get(dialog);
+            if (hadFocus && previous?.isConnected) previous.focus({ preventScroll: true });
+        }
+
+        /**
+         * A button. `variant` is its color: "primary", "secondary", "danger", "warning", "success",
+         * "off" or "plain"; `small` is for buttons inside text. `action` names it in `data-action`,
+         * which keeps the focus on it across re-renders.
+         */
+        function button(label, onClick, { variant = 'secondary', small = false, action } = {}) {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.textContent = label;
+            element.className = `nn-${variant}${small ? ' nn-small' : ''}`;
+            if (action) element.dataset.action = action;
+            element.addEventListener('click', onClick);
+            return element;
+        }
+
+        // --- Result actions ---
+
+        const isTextField = (element) => element instanceof HTMLTextAreaElement
+            || (element instanceof HTMLInputElement && ['text', 'search', 'url', 'email', ''].includes(element.type));
+
+        // Where "Insert below selection" goes: the last selection on the page outside the kit's UI
+        let rememberedSelection = null;
+
+        /**
+         * Records the page's current selection for insertBelowSelection(): a text field's caret or a
+         * range in the page. An empty selection keeps the one recorded before.
+         */
+        function rememberSelection() {
+            const field = document.activeElement;
+            if (isTextField(field) && field.selectionEnd > field.selectionStart) {
+                rememberedSelection = { field, end: field.selectionEnd };
+                return;
+            }
+            const selection = window.getSelection();
+            if (selection && selection.rangeCount > 0 && !selection.isCollapsed && !host.contains(selection.anchorNode)) {
+                rememberedSelection = { range: selection.getRangeAt(0).cloneRange() };
+            }
+        }
+
+        /**
+         * Inserts a result under the selection: `text` after the selected text of a text field, or
+         * `html` (already sanitized by markdown.js) after the block holding the selection. Returns
+         * `{ status, message?, undo? }`; `undo()` removes the insertion while the page still has it.
+         */
+        function insertBelowSelection(html, text) {
+            rememberSelection();
+            const remembered = rememberedSelection;
+            if (!remembered) {
+                return { status: 'error', message: 'Select some text on the page first; the result goes below it.' };
+            }
+
+            if (remembered.field) {
+                const { field, end } = remembered;
+                if (!field.isConnected) return { status: 'error', message: 'The field is no longer on the page.' };
+                const before = field.value;
+                field.setRangeText(`${field instanceof HTMLTextAreaElement ? '\n\n' : ' '}${text}`, end, end, 'end');
+                const after = field.value;
+                field.dispatchEvent(new Event('input', { bubbles: true }));
+                return {
+                    status: 'success',
+                    undo: () => {
+                        if (field.value !== after) return false;
+                        field.value = before;
+                        field.dispatchEvent(new Event('input', { bubbles: true }));
+                        return true;
+                    }
+                };
+            }
+
+            const endNode = remembered.range.endContainer;
+            const endElement = endNode.nodeType === Node.ELEMENT_NODE ? endNode : endNode.parentElement;
+            if (!endElement?.isConnected) return { status: 'error', message: 'The selected text is no longer on the page.' };
+            const block = endElement.closest('p, li, dd, h1, h2, h3, h4, h5, h6, blockquote, pre, figcaption, div, section, article, main, body');
+            const inserted = document.createElement('div');
+            inserted.dataset.nanoNavigatorInserted = '';
+            inserted.innerHTML = html;
+            // List items and the body get the result inside, everything else right after it
+            if (!block || block === document.body || block.matches('li, dd')) {
+                (block || document.body).append(inserted);
+            } else {
+                block.after(inserted);
+            }
+            inserted.closest('[contenteditable]:not([contenteditable="false"])')?.dispatchEvent(new Event('input', { bubbles: true }));
+            return {
+                status: 'success',
+                undo: () => {
+                    if (!inserted.isConnected) return false;
+                    inserted.remove();
+                    return true;
+                }
+            };
+        }
+
+        /**
+         * Saves `text` as a file named after `title`: Markdown, unless another `extension` and `type` are given.
+         */
+        function download(title, text, { extension = 'md', type = 'text/markdown' } = {}) {
+            const name = title.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').toLowerCase().slice(0, 60) || 'result';
+            const url = URL.createObjectURL(new Blob([text], { type }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${name}.${extension}`;
+            root.append(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+
+        return { root, mount, createDialog, close, button, rememberSelection, insertBelowSelection, download };
+    })();
+}
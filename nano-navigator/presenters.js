@@ -0,0 +1,188 @@
+// Presenters: where a running task reports its status and result - the in-page modals of a tab,
+// the side panel workspace (workspace.js) or nobody, for re-runs from the history page - and the
+// worker-side helpers that inject the modals and edit the page (see page_scripts.js).
+// Loaded into the service worker via importScripts(); plain globals.
+
+// --- Presenters: where a running task reports its status and result ---
+// `result(title, content, backend, streaming, details)` takes optional `details`:
+// - `thread`: `{ id, followUps, maxFollowUps }` for the follow-up reply box
+// - `proofread`: `{ original, changes }` for the proofread review
+// - `extraction`: `{ fields, records, invalid }` for the records of an extract task (see extract.js)
+// - `target`: `{ tabId, frameId }` of the text field the selection came from
+// - `inPlace`: `{ original, replacement, applied?, message? }` when the output can replace that selection
+// - `imageAlt`: `{ text, frameId, editable }` for generated alt text
+// - `translation`: `{ targetLanguage, sourceLanguage }` for a translation, the source once detected
+// - `bilingual`: `[{ source, translation }]` sentence pairs for the bilingual view
+// `error(title, message, details)` takes optional `details.actions`: the ERROR_ACTION_* to offer (see errors.js)
+// `confirmCloudSend(preview, signal)` shows what a cloud request will send and resolves to the user's
+// Send (true) or Cancel (false); see createCloudProvider() for the preview's fields
+
+/**
+ * Presenter for the in-page pop-ups injected into a tab. Each task's results go to a panel of its
+ * own, `panelId`; the panel's follow-ups and bilingual view pass its id back to update it in place.
+ */
+function createModalPresenter(tabId, panelId = crypto.randomUUID()) {
+  return {
+    key: panelTaskKey(tabId, panelId),
+    supportsFollowUps: true,
+    processing: (message) => injectProcessingModal(tabId, message),
+    result: (title, content, backend = "", streaming = false, details = {}) => injectResultModal(tabId, { id: panelId, markdown: content }, title, content, backend, streaming, details),
+    error: (title, message, details = {}) => injectResultModal(tabId, { id: panelId }, title, message, "", false, details),
+    confirmCloudSend: (preview, signal) => {
+      const id = crypto.randomUUID();
+      injectPageUi({ tabId }, showCloudPreviewModal, [preview, id]);
+      return waitForPreviewAnswer(id, signal);
+    },
+    idle: () => hideProcessingModal(tabId)
+  };
+}
+
+/**
+ * Presenter for the side panel workspace, which renders whatever is in the session `workspace` state.
+ */
+function createSidePanelPresenter() {
+  return {
+    key: SIDE_PANEL_TASK_KEY,
+    supportsFollowUps: true,
+    processing: (message) => updateWorkspace({ status: "running", statusMessage: message, output: "", backend: "", thread: null, proofread: null, extraction: null, inPlace: null, translation: null, bilingual: null, preview: null, errorActions: [] }),
+    // The editable target is kept in the workspace itself, set when the selection arrives
+    result: (title, content, backend = "", streaming = false, details = {}) => updateWorkspace({
+      status: streaming ? "streaming" : "done",
+      statusMessage: "",
+      title,
+      output: content,
+      backend,
+      thread: details.thread || null,
+      proofread: details.proofread || null,
+      extraction: details.extraction || null,
+      inPlace: details.inPlace || null,
+      translation: details.translation || null,
+      bilingual: details.bilingual || null,
+      preview: null,
+      errorActions: []
+    }),
+    error: (title, message, details = {}) => updateWorkspace({
+      status: "error",
+      statusMessage: "",
+      title,
+      output: message,
+      backend: "",
+      thread: null,
+      proofread: null,
+      extraction: null,
+      inPlace: null,
+      translation: null,
+      bilingual: null,
+      preview: null,
+      errorActions: details.actions || []
+    }),
+    // The preview replaces the status line until it is answered
+    confirmCloudSend: async (preview, signal) => {
+      const id = crypto.randomUUID();
+      await updateWorkspace({ status: "confirm-send", statusMessage: "", preview: { ...preview, id } });
+      const send = await waitForPreviewAnswer(id, signal);
+      await updateWorkspace({ status: "running", statusMessage: send ? "Sending..." : "", preview: null });
+      return send;
+    },
+    idle: () => {}
+  };
+}
+
+/**
+ * Presenter for re-runs started from the history page, which only needs the final response.
+ */
+function createHistoryPresenter() {
+  return {
+    key: "history",
+    supportsFollowUps: false,
+    processing: () => {},
+    result: () => {},
+    error: () => {},
+    // The history page has nowhere to show a preview
+    confirmCloudSend: async () => {
+      throw new CloudSendDeclinedError("Re-runs from history cannot be previewed. Run the task from the page or the side panel, or turn off request previews.");
+    },
+    idle: () => {}
+  };
+}
+
+// --- In-page UI ---
+// Worker-side wrappers around the functions of page_scripts.js, which run in the tab.
+
+/**
+ * Runs one of the pop-ups of page_scripts.js in `target`, after the UI kit it is built with
+ * (page_ui.js). Resolves like chrome.scripting.executeScript().
+ */
+async function injectPageUi(target, func, args = []) {
+    await chrome.scripting.executeScript({ target, files: ["page_ui.js"] });
+    return chrome.scripting.executeScript({ target, func, args });
+}
+
+/**
+ * Shows a result in the tab, in the panel `panel.id` (see displayResultModal()). The Markdown is
+ * rendered (and sanitized) here, and extracted records written out as CSV and JSON, since the
+ * injected function cannot reach markdown.js or extract.js.
+ */
+function injectResultModal(tabId, panel, title, content, backend = "", streaming = false, details = {}) {
+    const extraction = details.extraction && {
+        ...details.extraction,
+        csv: recordsToCsv(details.extraction.fields, details.extraction.records),
+        json: recordsToJson(details.extraction.records)
+    };
+    const shown = extraction ? { ...details, extraction } : details;
+    injectPageUi({ tabId }, displayResultModal, [title, renderMarkdown(content), backend, streaming, shown, panel])
+        .catch(error => console.warn("Could not show the result in the tab:", error));
+}
+
+/**
+ * Records the selection in the editable field the context menu was opened on, in that frame
+ * (which may be an iframe). Resolves to `{ tabId, frameId, text }` with the field's exact selected
+ * text, or null when the selection is not in a text field (or the frame cannot be scripted).
+ */
+async function captureEditableTarget(tabId, frameId = 0) {
+    try {
+        const [injection] = await chrome.scripting.executeScript({
+            target: { tabId, frameIds: [frameId] },
+            func: captureEditableSelection
+        });
+        return injection.result ? { tabId, frameId, text: injection.result } : null;
+    } catch (error) {
+        console.warn("Could not read the editable selection:", error);
+        return null;
+    }
+}
+
+/**
+ * Replaces the recorded selection in `target` ({ tabId, frameId }) with `text`. Resolves to `{ status, message? }`.
+ */
+async function replaceInPage(target, original, text) {
+    return runInTargetFrame(target, replaceEditableSelection, [original, text]);
+}
+
+/**
+ * Reverts the last replaceInPage() in `target`. Resolves to `{ status, message? }`.
+ */
+async function undoInPage(target) {
+    return runInTargetFrame(target, undoEditableReplacement, []);
+}
+
+async function runInTargetFrame({ tabId, frameId }, func, args) {
+    try {
+        const [injection] = await chrome.scripting.executeScript({ target: { tabId, frameIds: [frameId] }, func, args });
+        return injection.result;
+    } catch (error) {
+        return { status: "error", message: `Could not reach the page: ${error.message}` };
+    }
+}
+
+function injectProcessingModal(tabId, message) {
+    injectPageUi({ tabId }, showProcessingModal, [message])
+        .catch(error => console.warn("Could not show the progress in the tab:", error));
+}
+
+function hideProcessingModal(tabId) {
+    chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        func: removeProcessingModal
+    });
+}
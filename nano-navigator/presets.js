@@ -0,0 +1,331 @@
+// User-defined task presets.
+// Each preset becomes an entry under the "AI Tasks" context menu and in the side panel's task picker.
+// Shared by the service worker (importScripts) and the extension pages (<script>), after extract.js;
+// plain globals.
+
+// Context-menu ids for presets are this prefix + the preset id
+const PRESET_MENU_PREFIX = "PRESET_";
+
+// What a preset asks the user for before it runs
+const PRESET_INPUT_NONE = "none";
+const PRESET_INPUT_INSTRUCTION = "instruction";
+const PRESET_INPUT_LANGUAGE = "language";
+
+const OUTPUT_FORMAT_MARKDOWN = "markdown";
+const OUTPUT_FORMAT_PLAIN_TEXT = "plain-text";
+
+// The kind decides which on-device API a preset can use (same values as the TASK_* types in providers.js)
+const PRESET_KINDS = {
+  summarize: "Summarize",
+  rewrite: "Rewrite",
+  proofread: "Proofread",
+  translate: "Translate",
+  prompt: "General prompt",
+  extract: "Extract data"
+};
+
+const DEFAULT_PRESET_TEMPERATURE = 0.2;
+
+// Cloud safety filtering, applied to every harm category (mapped to thresholds in providers.js)
+const SAFETY_LEVELS = {
+  "default": "Model default",
+  "block-none": "Block nothing",
+  "block-few": "Block only high-risk content",
+  "block-some": "Block medium- and high-risk content",
+  "block-most": "Block low-risk content and above"
+};
+const DEFAULT_SAFETY_LEVEL = "default";
+
+// The built-in tasks. Users may edit or delete them; "Reset to defaults" brings them back, and
+// built-ins added in an update are merged into saved presets (see upgradeSavedPresets()).
+const DEFAULT_PRESETS = [
+  {
+    id: "summarize",
+    title: "Summarize (Key Points)",
+    kind: "summarize",
+    input: PRESET_INPUT_NONE,
+    systemPrompt: "You are an expert summarizer. Provide the key points from the context as a short, concise, bulleted list using markdown format.",
+    temperature: DEFAULT_PRESET_TEMPERATURE,
+    outputFormat: OUTPUT_FORMAT_MARKDOWN
+  },
+  {
+    id: "rewrite-simplify",
+    title: "Rewrite: Simplify",
+    kind: "rewrite",
+    input: PRESET_INPUT_NONE,
+    systemPrompt: "Rewrite the following text to simplify it for a 5th-grade reading level. Keep the length similar.",
+    temperature: DEFAULT_PRESET_TEMPERATURE,
+    outputFormat: OUTPUT_FORMAT_PLAIN_TEXT
+  },
+  {
+    id: "proofread",
+    title: "Proofread & Correct",
+    kind: "proofread",
+    input: PRESET_INPUT_NONE,
+    systemPrompt: "Proofread the text provided. Correct spelling, grammar, punctuation and syntax, keeping the original meaning, tone, wording and line breaks wherever they are already correct. List every change you make.",
+    temperature: DEFAULT_PRESET_TEMPERATURE,
+    outputFormat: OUTPUT_FORMAT_MARKDOWN
+  },
+  {
+    id: "translate",
+    title: "Translate to...",
+    kind: "translate",
+    input: PRESET_INPUT_LANGUAGE,
+    systemPrompt: "You are an expert translator. Translate the following text strictly into {{language}} and provide only the translated text as the output.",
+    temperature: DEFAULT_PRESET_TEMPERATURE,
+    outputFormat: OUTPUT_FORMAT_PLAIN_TEXT
+  },
+  {
+    id: "custom",
+    title: "Custom Prompt...",
+    kind: "prompt",
+    input: PRESET_INPUT_INSTRUCTION,
+    systemPrompt: "{{instruction}}",
+    temperature: DEFAULT_PRESET_TEMPERATURE,
+    outputFormat: OUTPUT_FORMAT_MARKDOWN
+  },
+  // Extraction presets answer with one record per item found, with the `fields` below (see extract.js)
+  {
+    id: "extract-action-items",
+    title: "Extract: Action Items",
+    kind: "extract",
+    input: PRESET_INPUT_NONE,
+    systemPrompt: "Extract every action item from the text: each task someone has agreed or been asked to do.",
+    fields: [
+      { name: "task", type: "text", description: "What needs to be done, in a few words." },
+      { name: "owner", type: "text", description: "Who is responsible." },
+      { name: "due date", type: "date", description: "When it is due." },
+      { name: "status", type: "text", description: "open, in progress or done." }
+    ],
+    temperature: 0,
+    outputFormat: OUTPUT_FORMAT_MARKDOWN
+  },
+  {
+    id: "extract-entities",
+    title: "Extract: Key Entities",
+    kind: "extract",
+    input: PRESET_INPUT_NONE,
+    systemPrompt: "Extract the key named entities of the text: the people, organizations, places, products and events it is about.",
+    fields: [
+      { name: "name", type: "text", description: "The entity's name as the text gives it." },
+      { name: "type", type: "text", description: "person, organization, place, product, event or other." },
+      { name: "description", type: "text", description: "Who or what it is, in a few words." },
+      { name: "mentions", type: "number", description: "How many times the text mentions it." }
+    ],
+    temperature: 0,
+    outputFormat: OUTPUT_FORMAT_MARKDOWN
+  },
+  {
+    id: "extract-dates",
+    title: "Extract: Dates & Events",
+    kind: "extract",
+    input: PRESET_INPUT_NONE,
+    systemPrompt: "Extract every dated event, deadline and appointment from the text.",
+    fields: [
+      { name: "event", type: "text", description: "What happens." },
+      { name: "date", type: "date", description: "The day it happens." },
+      { name: "time", type: "text", description: "The time of day as written, e.g. 14:00." },
+      { name: "location", type: "text", description: "Where it happens." }
+    ],
+    temperature: 0,
+    outputFormat: OUTPUT_FORMAT_MARKDOWN
+  },
+  {
+    id: "extract-contacts",
+    title: "Extract: Contact Details",
+    kind: "extract",
+    input: PRESET_INPUT_NONE,
+    systemPrompt: "Extract the contact details of every person and organization in the text.",
+    fields: [
+      { name: "name", type: "text", description: "The person's or organization's name." },
+      { name: "organization", type: "text", description: "The organization a person belongs to." },
+      { name: "role", type: "text", description: "Job title or role." },
+      { name: "email", type: "text", description: "" },
+      { name: "phone", type: "text", description: "" },
+      { name: "address", type: "text", description: "Postal address." },
+      { name: "website", type: "text", description: "" }
+    ],
+    temperature: 0,
+    outputFormat: OUTPUT_FORMAT_MARKDOWN
+  },
+  // The fields are typed in when the task runs, e.g. "product, price: number"
+  {
+    id: "extract-custom",
+    title: "Extract Fields...",
+    kind: "extract",
+    input: PRESET_INPUT_INSTRUCTION,
+    systemPrompt: "Extract every record the text contains with the fields the user asked for.",
+    fields: [],
+    temperature: 0,
+    outputFormat: OUTPUT_FORMAT_MARKDOWN
+  }
+];
+
+/**
+ * Validates a preset (e.g. from an imported file) and fills in defaults. Throws on invalid input.
+ */
+function normalizePreset(raw) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("Each preset must be an object.");
+  }
+  const title = typeof raw.title === "string" ? raw.title.trim() : "";
+  if (!title) {
+    throw new Error("Every preset needs a title.");
+  }
+  if (!PRESET_KINDS[raw.kind]) {
+    throw new Error(`Preset "${title}" has an unknown kind "${raw.kind}".`);
+  }
+  const input = [PRESET_INPUT_NONE, PRESET_INPUT_INSTRUCTION, PRESET_INPUT_LANGUAGE].includes(raw.input)
+    ? raw.input
+    : PRESET_INPUT_NONE;
+  const systemPrompt = typeof raw.systemPrompt === "string" ? raw.systemPrompt.trim() : "";
+  if (!systemPrompt && input !== PRESET_INPUT_INSTRUCTION) {
+    throw new Error(`Preset "${title}" needs a system instruction.`);
+  }
+  const targetLanguage = typeof raw.targetLanguage === "string" ? raw.targetLanguage.trim() : "";
+  if (raw.kind === "translate" && input !== PRESET_INPUT_LANGUAGE && !targetLanguage) {
+    throw new Error(`Translate preset "${title}" needs a target language or must ask for one.`);
+  }
+  // An extract preset has fields, unless they are asked for when it runs (see extract.js)
+  const fields = input === PRESET_INPUT_INSTRUCTION ? []
+    : typeof raw.fields === "string" ? parseExtractFields(raw.fields) : normalizeExtractFields(raw.fields);
+  if (raw.kind === "extract" && input !== PRESET_INPUT_INSTRUCTION && fields.length === 0) {
+    throw new Error(`Extract preset "${title}" needs at least one field.`);
+  }
+  const temperature = Number(raw.temperature);
+  // Left empty, the generation limits fall back to the model's own defaults
+  const maxOutputTokens = parseInt(raw.maxOutputTokens, 10);
+  const topP = raw.topP === "" || raw.topP === null ? NaN : Number(raw.topP);
+
+  return {
+    id: typeof raw.id === "string" && raw.id ? raw.id : crypto.randomUUID(),
+    title,
+    kind: raw.kind,
+    input,
+    systemPrompt: systemPrompt || "{{instruction}}",
+    targetLanguage: targetLanguage || undefined,
+    fields: raw.kind === "extract" ? fields : undefined,
+    temperature: Number.isFinite(temperature) ? Math.min(2, Math.max(0, temperature)) : DEFAULT_PRESET_TEMPERATURE,
+    maxOutputTokens: maxOutputTokens > 0 ? maxOutputTokens : undefined,
+    topP: Number.isFinite(topP) ? Math.min(1, Math.max(0, topP)) : undefined,
+    safety: Object.hasOwn(SAFETY_LEVELS, raw.safety) ? raw.safety : DEFAULT_SAFETY_LEVEL,
+    outputFormat: raw.outputFormat === OUTPUT_FORMAT_PLAIN_TEXT ? OUTPUT_FORMAT_PLAIN_TEXT : OUTPUT_FORMAT_MARKDOWN
+  };
+}
+
+// The built-in presets of the versions that did not record which ones a user has seen
+// (`knownDefaultPresetIds` in chrome.storage.local); one missing from a saved list was deleted
+const LEGACY_DEFAULT_PRESET_IDS = ["summarize", "rewrite-simplify", "proofread", "translate", "custom"];
+
+// Earlier system instructions of built-in presets. A saved built-in that still has one was never
+// edited, so it is read with the current instruction (see reviseDefaultPrompt())
+const REVISED_DEFAULT_PROMPTS = {
+  "proofread": ["Proofread the text provided. First, output the fully corrected text. Second, list all significant changes made (grammar, spelling, syntax) in a bulleted list format."]
+};
+
+/**
+ * Returns the preset with the current instruction of its built-in when it still has an earlier
+ * one, or the preset itself.
+ */
+function reviseDefaultPrompt(preset) {
+  const current = DEFAULT_PRESETS.find(builtIn => builtIn.id === preset.id);
+  if (!current || !REVISED_DEFAULT_PROMPTS[preset.id]?.includes(preset.systemPrompt)) return preset;
+  return { ...preset, systemPrompt: current.systemPrompt };
+}
+
+/**
+ * Resolves to the saved presets, or the built-in defaults when none were saved yet.
+ */
+async function getPresets() {
+  const { taskPresets } = await chrome.storage.local.get("taskPresets");
+  return Array.isArray(taskPresets) ? taskPresets.map(reviseDefaultPrompt) : DEFAULT_PRESETS.map(preset => ({ ...preset }));
+}
+
+/**
+ * Saves the presets. Every current built-in has been offered in the list they were edited from,
+ * so the ones missing from it were deleted and are not added back by upgradeSavedPresets().
+ */
+async function savePresets(presets) {
+  await chrome.storage.local.set({
+    taskPresets: presets.map(normalizePreset),
+    knownDefaultPresetIds: DEFAULT_PRESETS.map(preset => preset.id)
+  });
+}
+
+/**
+ * Brings saved presets up to date with the built-ins: adds the built-ins that are not in
+ * `knownIds` (the ones offered before), and updates unedited built-ins whose instruction was
+ * revised since. Returns the presets, or null when nothing changed.
+ */
+function mergeDefaultPresets(presets, knownIds) {
+  let changed = false;
+  const merged = presets.map(preset => {
+    const revised = reviseDefaultPrompt(preset);
+    if (revised !== preset) changed = true;
+    return revised;
+  });
+  for (const builtIn of DEFAULT_PRESETS) {
+    if (!knownIds.includes(builtIn.id) && !merged.some(preset => preset.id === builtIn.id)) {
+      merged.push({ ...builtIn });
+      changed = true;
+    }
+  }
+  return changed ? merged : null;
+}
+
+/**
+ * Merges new and revised built-ins into the saved presets after an update (see mergeDefaultPresets()).
+ */
+async function upgradeSavedPresets() {
+  const { taskPresets, knownDefaultPresetIds } = await chrome.storage.local.get(["taskPresets", "knownDefaultPresetIds"]);
+  if (!Array.isArray(taskPresets)) return;
+  const merged = mergeDefaultPresets(taskPresets, knownDefaultPresetIds || LEGACY_DEFAULT_PRESET_IDS);
+  if (merged) {
+    await savePresets(merged);
+  } else if (!knownDefaultPresetIds) {
+    await chrome.storage.local.set({ knownDefaultPresetIds: DEFAULT_PRESETS.map(preset => preset.id) });
+  }
+}
+
+async function getPreset(id) {
+  return (await getPresets()).find(preset => preset.id === id) || null;
+}
+
+/**
+ * Parses an exported presets file. Accepts `{ presets: [...] }` or a bare array.
+ */
+function parsePresetsJson(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error("The file is not valid JSON.");
+  }
+  const presets = Array.isArray(data) ? data : data?.presets;
+  if (!Array.isArray(presets) || presets.length === 0) {
+    throw new Error("The file does not contain any presets.");
+  }
+  return presets.map(normalizePreset);
+}
+
+function presetsToJson(presets) {
+  return JSON.stringify({ version: 1, presets }, null, 2);
+}
+
+/**
+ * Fills the `{{instruction}}` / `{{language}}` placeholders of a preset's system instruction.
+ * Input the user typed but the template has no placeholder for is appended, so it is never dropped.
+ */
+function fillPresetPrompt(preset, { instruction, targetLanguage } = {}) {
+  let prompt = preset.systemPrompt;
+  const fill = (placeholder, value, askedFor) => {
+    if (prompt.includes(placeholder)) {
+      prompt = prompt.split(placeholder).join(value || "");
+    } else if (askedFor && value) {
+      prompt = `${prompt}\n\n${value}`;
+    }
+  };
+  fill("{{instruction}}", instruction, preset.input === PRESET_INPUT_INSTRUCTION);
+  fill("{{language}}", targetLanguage, preset.input === PRESET_INPUT_LANGUAGE);
+  return prompt.trim();
+}
@@ -0,0 +1,192 @@
+// Privacy guard for cloud requests.
+// Before any text leaves the device, personal data in it (emails, phone numbers, card and ID
+// numbers, API keys and the user's own patterns) is replaced by placeholders such as [EMAIL_1], and
+// the placeholders in the answer are replaced back, so the cloud model never sees the real values.
+// Sites on the user's list are kept off the cloud altogether: tasks there run on-device only.
+// Settings live in chrome.storage.local and are edited on the options page.
+// Shared by the service worker (importScripts, before providers.js), the options page and the
+// tests; plain globals.
+
+// Built-in detectors, applied in this order: keys and emails first, so their digits are never
+// taken for phone or card numbers
+const PII_TYPES = [
+  {
+    id: "api-key",
+    label: "API keys and tokens",
+    placeholder: "API_KEY",
+    pattern: /\b(?:AIza[0-9A-Za-z_-]{35}|sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16})(?![\w-])/g
+  },
+  {
+    id: "email",
+    label: "Email addresses",
+    placeholder: "EMAIL",
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g
+  },
+  {
+    id: "credit-card",
+    label: "Credit card numbers",
+    placeholder: "CARD",
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    validate: (match) => passesLuhnCheck(match.replace(/\D/g, ""))
+  },
+  {
+    id: "id-number",
+    label: "ID numbers (social security numbers, IBANs)",
+    placeholder: "ID",
+    pattern: /\b(?:\d{3}-\d{2}-\d{4}|[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?)\b/g
+  },
+  {
+    id: "phone",
+    label: "Phone numbers",
+    placeholder: "PHONE",
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}(?!\w)/g,
+    // Seven digits or more, and not a date such as 2024-01-15
+    validate: (match) => {
+      const digits = match.replace(/\D/g, "").length;
+      return digits >= 7 && digits <= 15 && !/^\d{1,4}[-./]\d{1,2}[-./]\d{1,4}$/.test(match);
+    }
+  }
+];
+
+// Placeholder for matches of the user's own patterns
+const CUSTOM_PII_PLACEHOLDER = "CUSTOM";
+
+/**
+ * The Luhn checksum every payment card number passes, which tells card numbers from other long numbers.
+ */
+function passesLuhnCheck(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+}
+
+/**
+ * Parses a custom pattern as typed on the options page: a regular expression source, or
+ * `/source/flags`. Returns a global RegExp; throws a SyntaxError when the pattern is invalid or
+ * matches empty text. Patterns that match empty text only in places (`\b`) are left to the
+ * redactor, which skips zero-length matches.
+ */
+function parseCustomPattern(pattern) {
+  const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  const [source, flags] = literal ? [literal[1], literal[2]] : [pattern, ""];
+  const regex = new RegExp(source, flags.includes("g") ? flags : `${flags}g`);
+  if (regex.test("")) {
+    throw new SyntaxError("The pattern matches empty text.");
+  }
+  return regex;
+}
+
+/**
+ * The privacy settings: whether to redact (`redact`), which built-in detectors are on (`types`),
+ * the user's own `customPatterns`, whether cloud requests are previewed first (`preview`) and the
+ * domains kept off the cloud (`blockedSites`).
+ */
+async function getPrivacySettings() {
+  const settings = await chrome.storage.local.get(["redactPii", "redactedPiiTypes", "customPiiPatterns", "previewCloudRequests", "cloudBlockedSites"]);
+  return {
+    redact: settings.redactPii !== false,
+    types: settings.redactedPiiTypes || PII_TYPES.map(type => type.id),
+    customPatterns: settings.customPiiPatterns || [],
+    preview: settings.previewCloudRequests === true,
+    blockedSites: settings.cloudBlockedSites || []
+  };
+}
+
+/**
+ * Creates a redactor for one task run. `redact(text)` replaces personal data with numbered
+ * placeholders, the same value always getting the same placeholder; `restore(text)` puts the
+ * values back in text written by the model. `findings` counts the values masked per detector.
+ * Custom patterns that do not compile are skipped (the options page refuses to save them).
+ */
+function createRedactor({ redact = true, types = [], customPatterns = [] } = {}) {
+  const detectors = redact ? PII_TYPES.filter(type => types.includes(type.id)) : [];
+  if (redact) {
+    for (const pattern of customPatterns) {
+      try {
+        detectors.push({ id: "custom", label: "Custom patterns", placeholder: CUSTOM_PII_PLACEHOLDER, pattern: parseCustomPattern(pattern) });
+      } catch (error) {
+        console.warn(`Skipping the invalid custom pattern ${pattern}:`, error.message);
+      }
+    }
+  }
+  const values = new Map();
+  const placeholders = new Map();
+  const counts = new Map();
+
+  const placeholderFor = (detector, value) => {
+    const key = `${detector.placeholder}\u0000${value}`;
+    if (!placeholders.has(key)) {
+      const count = (counts.get(detector.placeholder) || 0) + 1;
+      counts.set(detector.placeholder, count);
+      const placeholder = `[${detector.placeholder}_${count}]`;
+      placeholders.set(key, placeholder);
+      values.set(placeholder, { value, detector });
+    }
+    return placeholders.get(key);
+  };
+
+  return {
+    redact(text) {
+      let redacted = text;
+      for (const detector of detectors) {
+        redacted = redacted.replace(detector.pattern, (match) => {
+          // Zero-length matches (a custom `\b` or lookahead) mask nothing, and placeholders already
+          // inserted are never masked again
+          if (!match || values.has(match) || (detector.validate && !detector.validate(match))) return match;
+          return placeholderFor(detector, match);
+        });
+      }
+      return redacted;
+    },
+
+    restore(text) {
+      if (values.size === 0) return text;
+      return text.replace(/\[([A-Z_]+_\d+)\]/g, (placeholder) => values.get(placeholder)?.value ?? placeholder);
+    },
+
+    // `{ label, count }` per detector that masked anything
+    get findings() {
+      const byLabel = new Map();
+      for (const { detector } of values.values()) {
+        byLabel.set(detector.label, (byLabel.get(detector.label) || 0) + 1);
+      }
+      return [...byLabel].map(([label, count]) => ({ label, count }));
+    }
+  };
+}
+
+/**
+ * Normalizes a site typed on the options page ("https://www.Example.com/path", "*.example.com")
+ * to the domain it covers ("www.example.com", "example.com"), or null when it is not one.
+ */
+function normalizeSiteDomain(site) {
+  const trimmed = site.trim().toLowerCase().replace(/^\*\./, "");
+  if (!trimmed) return null;
+  try {
+    const hostname = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(trimmed) ? trimmed : `https://${trimmed}`).hostname;
+    return hostname.includes(".") || hostname === "localhost" ? hostname : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The entry of `blockedSites` that covers the page at `url` (the domain itself and its
+ * subdomains), or null when the page may use the cloud.
+ */
+function findBlockedSite(url, blockedSites) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+  return blockedSites.find(site => hostname === site || hostname.endsWith(`.${site}`)) || null;
+}
@@ -0,0 +1,190 @@
+// Structured proofreading: corrections come back as data rather than prose, so each one can be
+// reviewed, accepted or rejected, and the accepted text written back into the page.
+// Shared by the service worker (importScripts) and the side panel (<script>); plain globals.
+
+const PROOFREAD_CATEGORIES = ["spelling", "grammar", "punctuation", "style", "word-choice", "other"];
+
+// Gemini `responseSchema` for the cloud proofread task
+const PROOFREAD_RESPONSE_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    correctedText: { type: "STRING", description: "The full text with every correction applied and nothing else changed." },
+    corrections: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          original: { type: "STRING", description: "The exact span of the original text that was changed." },
+          replacement: { type: "STRING", description: "The text that replaces the span." },
+          category: { type: "STRING", enum: PROOFREAD_CATEGORIES },
+          explanation: { type: "STRING", description: "A short reason for the change." }
+        },
+        required: ["original", "replacement", "category"]
+      }
+    }
+  },
+  required: ["correctedText", "corrections"]
+};
+
+// Token pairs the word diff compares at most; beyond that the changed middle becomes one change
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Parses the cloud proofread response into `{ correctedText, corrections }`. Throws on malformed JSON
+ * (see parseStructuredAnswer()).
+ */
+function parseProofreadResponse(json) {
+  let data;
+  try {
+    data = parseStructuredAnswer(json);
+  } catch (error) {
+    throw new Error("The proofreader returned a malformed response.");
+  }
+  if (typeof data?.correctedText !== "string") {
+    throw new Error("The proofreader response did not include the corrected text.");
+  }
+  return { correctedText: data.correctedText, corrections: Array.isArray(data.corrections) ? data.corrections : [] };
+}
+
+/**
+ * Splits text into word and whitespace tokens; joining them gives the text back.
+ */
+function tokenizeWords(text) {
+  return text.match(/\s+|\S+/g) || [];
+}
+
+/**
+ * Word-level diff of `before` against `after`. Returns hunks `{ start, end, original, replacement }`,
+ * where `start`/`end` are character offsets into `before`.
+ */
+function diffWords(before, after) {
+  const a = tokenizeWords(before);
+  const b = tokenizeWords(after);
+
+  // Proofreading changes little, so most of the text is a common prefix or suffix
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+  const oldTokens = a.slice(prefix, a.length - suffix);
+  const newTokens = b.slice(prefix, b.length - suffix);
+
+  let operations;
+  if (oldTokens.length * newTokens.length > MAX_DIFF_CELLS) {
+    operations = [...oldTokens.map(token => ["delete", token]), ...newTokens.map(token => ["insert", token])];
+  } else {
+    // lcs[i * columns + j] = length of the longest common subsequence of oldTokens[i..] and newTokens[j..]
+    const columns = newTokens.length + 1;
+    const lcs = new Uint32Array((oldTokens.length + 1) * columns);
+    for (let i = oldTokens.length - 1; i >= 0; i--) {
+      for (let j = newTokens.length - 1; j >= 0; j--) {
+        lcs[i * columns + j] = oldTokens[i] === newTokens[j]
+          ? lcs[(i + 1) * columns + j + 1] + 1
+          : Math.max(lcs[(i + 1) * columns + j], lcs[i * columns + j + 1]);
+      }
+    }
+    operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldTokens.length && j < newTokens.length) {
+      if (oldTokens[i] === newTokens[j]) {
+        operations.push(["equal", oldTokens[i++]]);
+        j++;
+      } else if (lcs[(i + 1) * columns + j] >= lcs[i * columns + j + 1]) {
+        operations.push(["delete", oldTokens[i++]]);
+      } else {
+        operations.push(["insert", newTokens[j++]]);
+      }
+    }
+    while (i < oldTokens.length) operations.push(["delete", oldTokens[i++]]);
+    while (j < newTokens.length) operations.push(["insert", newTokens[j++]]);
+  }
+
+  const hunks = [];
+  let offset = a.slice(0, prefix).join("").length;
+  let hunk = null;
+  for (const [operation, token] of operations) {
+    if (operation === "equal") {
+      hunk = null;
+      offset += token.length;
+      continue;
+    }
+    if (!hunk) {
+      hunk = { start: offset, end: offset, original: "", replacement: "" };
+      hunks.push(hunk);
+    }
+    if (operation === "delete") {
+      hunk.original += token;
+      hunk.end += token.length;
+      offset += token.length;
+    } else {
+      hunk.replacement += token;
+    }
+  }
+  return hunks;
+}
+
+/**
+ * Turns a proofread response into reviewable changes `{ id, start, end, original, replacement, category, explanation }`.
+ * The changes come from a word diff against the corrected text, so they always add up to it; the
+ * model's correction list only supplies each change's category and explanation.
+ */
+function buildProofreadChanges(text, correctedText, corrections = []) {
+  return diffWords(text, correctedText).map((hunk, index) => {
+    const removed = hunk.original.trim();
+    const added = hunk.replacement.trim();
+    // Prefer the correction for exactly this span; the model's spans are often a few words wider
+    const match = corrections.find(correction => correction.original?.trim() === removed && correction.replacement?.trim() === added)
+      || corrections.find(correction => (removed && correction.original?.includes(removed)) || (added && correction.replacement?.includes(added)));
+    return {
+      id: index,
+      ...hunk,
+      category: PROOFREAD_CATEGORIES.includes(match?.category) ? match.category : "other",
+      explanation: match?.explanation || ""
+    };
+  });
+}
+
+/**
+ * Applies the changes whose ids are in `acceptedIds` (all of them by default) to the original text.
+ */
+function applyProofreadChanges(text, changes, acceptedIds = null) {
+  let result = text;
+  for (const change of [...changes].sort((x, y) => y.start - x.start)) {
+    if (acceptedIds && !acceptedIds.has(change.id)) continue;
+    result = result.slice(0, change.start) + change.replacement + result.slice(change.end);
+  }
+  return result;
+}
+
+/**
+ * Formats the corrected text and its changes as Markdown, for history, copies and follow-ups.
+ */
+function formatProofreadMarkdown(correctedText, changes) {
+  if (changes.length === 0) {
+    return `${correctedText}\n\n**Changes:** none - the text looks correct.`;
+  }
+  const describe = (change) => {
+    const removed = change.original.trim();
+    const added = change.replacement.trim();
+    if (!removed && !added) return "adjusted spacing";
+    if (!removed) return `added "${added}"`;
+    if (!added) return `removed "${removed}"`;
+    return `"${removed}" → "${added}"`;
+  };
+  const list = changes
+    .map(change => `- ${describe(change)} (${change.category}${change.explanation ? `: ${change.explanation}` : ""})`)
+    .join("\n");
+  return `${correctedText}\n\n**Changes:**\n${list}`;
+}
+
+/**
+ * Builds a provider result for a proofread task: `{ text, proofread: { original, changes } }`.
+ */
+function createProofreadResult(text, { correctedText, corrections }) {
+  const changes = buildProofreadChanges(text, correctedText, corrections);
+  return {
+    text: formatProofreadMarkdown(correctedText, changes),
+    proofread: { original: text, changes }
+  };
+}
@@ -0,0 +1,942 @@
+// Provider layer: every AI task is routed through here.
+// Tasks are first attempted with Chrome's built-in on-device APIs (Gemini Nano) when they report
+// availability, and fall back to the Cloud Gemini API according to the user's backend policy.
+// The Gemini API key comes from apikey.js, cloud failures are classified by errors.js, cloud
+// requests wait their turn in queue.js, language names are resolved by languages.js, personal
+// data is masked before sending by privacy.js and cloud usage is recorded and budgeted by usage.js;
+// all six must be loaded first. The structured tasks call on proofread.js, translate.js and extract.js.
+// Loaded into the service worker via importScripts(), so everything here is a worker global.
+
+// Defaults for the cloud settings on the options page (see getCloudSettings())
+const DEFAULT_GEMINI_MODEL = "gemini-2.5-flash";
+const API_URL_BASE = "https://generativelanguage.googleapis.com/v1beta/models/";
+
+// Cloud requests in flight at once; the rest wait in cloudRequestQueue
+const MAX_CONCURRENT_CLOUD_REQUESTS = 3;
+// Tries per cloud request, for failures that retrying can fix (see errors.js)
+const MAX_CLOUD_ATTEMPTS = 3;
+// A rate limit that asks for a longer wait is reported to the user instead of waited out
+const MAX_RETRY_AFTER_MS = 30000;
+
+// Request formats the cloud endpoint can speak (persisted in chrome.storage.local as `cloudApiFormat`)
+const API_FORMAT_GEMINI = "gemini";
+const API_FORMAT_OPENAI = "openai";
+
+// Gemini thresholds for the preset safety levels (SAFETY_LEVELS in presets.js), applied to every category
+const SAFETY_THRESHOLDS = {
+  "block-none": "BLOCK_NONE",
+  "block-few": "BLOCK_ONLY_HIGH",
+  "block-some": "BLOCK_MEDIUM_AND_ABOVE",
+  "block-most": "BLOCK_LOW_AND_ABOVE"
+};
+const SAFETY_CATEGORIES = [
+  "HARM_CATEGORY_HARASSMENT",
+  "HARM_CATEGORY_HATE_SPEECH",
+  "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+  "HARM_CATEGORY_DANGEROUS_CONTENT"
+];
+
+// Task types shared by the context-menu handler, the message handlers and the providers
+const TASK_SUMMARIZE = "summarize";
+const TASK_REWRITE = "rewrite";
+const TASK_PROOFREAD = "proofread";
+const TASK_TRANSLATE = "translate";
+const TASK_PROMPT = "prompt";
+const TASK_EXTRACT = "extract";
+
+// Backend policies (persisted in chrome.storage.local as `providerPolicy`)
+const POLICY_PREFER_LOCAL = "prefer-local";
+const POLICY_LOCAL_ONLY = "local-only";
+const POLICY_CLOUD_ONLY = "cloud-only";
+const DEFAULT_PROVIDER_POLICY = POLICY_PREFER_LOCAL;
+
+const DEFAULT_TEMPERATURE = 0.2;
+
+// Appended to the cloud system instruction so the preset's output format holds for any prompt
+const OUTPUT_FORMAT_INSTRUCTIONS = {
+  "markdown": "Format the response using Markdown.",
+  "plain-text": "Respond in plain text without any Markdown formatting."
+};
+
+/**
+ * Reads the configured backend policy from storage.
+ */
+async function getProviderPolicy() {
+  const { providerPolicy } = await chrome.storage.local.get("providerPolicy");
+  return providerPolicy || DEFAULT_PROVIDER_POLICY;
+}
+
+
+// --- On-device provider (Chrome built-in AI APIs) ---
+
+/**
+ * Normalizes the availability check across the current API shape (`Summarizer.availability()`)
+ * and the older origin-trial shape (`self.ai.summarizer.capabilities()`).
+ * Only models that are ready right now count; "downloadable" would block the task on a download.
+ */
+async function isOnDeviceApiReady(api, options) {
+  if (!api) return false;
+  try {
+    if (typeof api.availability === "function") {
+      return (await api.availability(options)) === "available";
+    }
+    if (typeof api.capabilities === "function") {
+      const capabilities = await api.capabilities();
+      return capabilities?.available === "readily";
+    }
+  } catch (error) {
+    console.warn("On-device availability check failed:", error);
+  }
+  return false;
+}
+
+/**
+ * Converts a Proofreader API result into the structured proofread result (see proofread.js).
+ */
+function toProofreadResult(text, result) {
+  return createProofreadResult(text, {
+    correctedText: result.correctedInput,
+    corrections: (result.corrections || []).map(correction => ({
+      original: text.slice(correction.startIndex, correction.endIndex),
+      replacement: correction.correction,
+      category: correction.type ?? correction.types?.[0],
+      explanation: correction.explanation
+    }))
+  });
+}
+
+/**
+ * The Prompt API, in the current (`LanguageModel`) or the older (`self.ai.languageModel`) shape.
+ */
+function getLanguageModelApi(scope) {
+  return scope.LanguageModel ?? scope.ai?.languageModel;
+}
+
+/**
+ * Per-task wiring to the built-in APIs. `getApi` looks the API up on the given global scope,
+ * `createOptions` returns the create()/availability() options (or null when the task cannot run
+ * on-device), `run` executes the task on a created instance, and the optional `stream` returns the
+ * API's streaming variant (undefined when the instance does not offer one).
+ * `run` resolves to the output text, or to `{ text, proofread }` for proofreading and
+ * `{ text, extraction }` for an extraction.
+ */
+const ON_DEVICE_TASKS = {
+  [TASK_SUMMARIZE]: {
+    label: "Summarizer API",
+    getApi: (scope) => scope.Summarizer ?? scope.ai?.summarizer,
+    createOptions: async (task) => ({
+      type: "key-points",
+      format: task.outputFormat === "plain-text" ? "plain-text" : "markdown",
+      length: "short",
+      sharedContext: task.systemPrompt
+    }),
+    run: (summarizer, task, signal) => summarizer.summarize(task.text, { signal }),
+    stream: (summarizer, task, signal) => summarizer.summarizeStreaming?.(task.text, { signal })
+  },
+  [TASK_REWRITE]: {
+    label: "Rewriter API",
+    getApi: (scope) => scope.Rewriter ?? scope.ai?.rewriter,
+    createOptions: async (task) => ({ sharedContext: task.systemPrompt, format: task.outputFormat || "plain-text", length: "as-is" }),
+    run: (rewriter, task, signal) => rewriter.rewrite(task.text, { context: task.systemPrompt, signal }),
+    stream: (rewriter, task, signal) => rewriter.rewriteStreaming?.(task.text, { context: task.systemPrompt, signal })
+  },
+  [TASK_PROOFREAD]: {
+    label: "Proofreader API",
+    getApi: (scope) => scope.Proofreader ?? scope.ai?.proofreader,
+    createOptions: async () => ({ expectedInputLanguages: ["en"] }),
+    run: async (proofreader, task, signal) => toProofreadResult(task.text, await proofreader.proofread(task.text, { signal }))
+  },
+  [TASK_TRANSLATE]: {
+    label: "Translator API",
+    getApi: (scope) => scope.Translator ?? scope.ai?.translator,
+    createOptions: async (task, scope) => {
+      const targetLanguage = toLanguageCode(task.targetLanguage);
+      if (!targetLanguage) return null;
+      const sourceLanguage = await detectLanguageOnDevice(task.text, scope);
+      if (!sourceLanguage) return null;
+      return { sourceLanguage, targetLanguage };
+    },
+    // A segmented translation (see translate.js) translates each segment on its own, keeping them aligned
+    run: async (translator, task, signal) => {
+      if (!task.segments) return translator.translate(task.text, { signal });
+      const segments = [];
+      for (const segment of task.segments) {
+        segments.push(await translator.translate(segment, { signal }));
+      }
+      return { text: segments.join(" "), segments };
+    },
+    stream: (translator, task, signal) => !task.segments && translator.translateStreaming?.(task.text, { signal })
+  },
+  [TASK_PROMPT]: {
+    label: "Prompt API",
+    getApi: getLanguageModelApi,
+    createOptions: async (task, scope) => {
+      // Follow-ups replay the earlier turns; the Prompt API calls the model role "assistant"
+      const history = (task.history || []).map(turn => ({
+        role: turn.role === "model" ? "assistant" : "user",
+        content: turn.text
+      }));
+      const options = { initialPrompts: [{ role: "system", content: task.systemPrompt }, ...history] };
+      // Asking for image input makes availability() report whether this model can see images
+      if (task.image) {
+        options.expectedInputs = [{ type: "text" }, { type: "image" }];
+      }
+      // The Prompt API only accepts temperature together with topK
+      const params = await getLanguageModelApi(scope)?.params?.();
+      if (params && task.temperature !== undefined) {
+        options.temperature = Math.min(task.temperature, params.maxTemperature);
+        options.topK = params.defaultTopK;
+      }
+      return options;
+    },
+    run: (session, task, signal) => session.prompt(formatOnDevicePrompt(task), { signal }),
+    stream: (session, task, signal) => session.promptStreaming?.(formatOnDevicePrompt(task), { signal })
+  },
+  // The Prompt API holds the answer to the extraction schema with `responseConstraint`
+  [TASK_EXTRACT]: {
+    label: "Prompt API",
+    getApi: getLanguageModelApi,
+    createOptions: async (task) => task.fields?.length ? { initialPrompts: [{ role: "system", content: task.systemPrompt }] } : null,
+    run: async (session, task, signal) => {
+      const json = await session.prompt(formatOriginalTextTurn(task.text), {
+        responseConstraint: toJsonSchema(buildExtractionSchema(task.fields)),
+        signal
+      });
+      return createExtractionResult(task.fields, parseExtractionResponse(json, task.fields));
+    }
+  }
+};
+
+/**
+ * The first user turn of a conversation: the selected text, stripped of any markup.
+ */
+function formatOriginalTextTurn(text) {
+  return `Original Text: ${text.replace(/<[^>]*>?/gm, '')}`;
+}
+
+/**
+ * The first user turn of an image task, which stands in for the image once the conversation continues.
+ */
+function formatImageTurn(source) {
+  return `[Image: ${source}]`;
+}
+
+/**
+ * The user turn for a task: the selection (or image) for a new task, the user's message for a follow-up.
+ */
+function formatPromptTurn(task) {
+  if (task.history?.length) return task.text;
+  return task.image ? formatImageTurn(task.text) : formatOriginalTextTurn(task.text);
+}
+
+/**
+ * The Prompt API input for a task: the user turn, with the image attached for an image task.
+ */
+function formatOnDevicePrompt(task) {
+  if (!task.image) return formatPromptTurn(task);
+  const image = new Blob([base64ToBytes(task.image.data)], { type: task.image.mimeType });
+  return [{
+    role: "user",
+    content: [{ type: "text", value: formatPromptTurn(task) }, { type: "image", value: image }]
+  }];
+}
+
+/**
+ * Detects the language of `text` with the LanguageDetector API, or returns null.
+ */
+async function detectLanguageOnDevice(text, scope) {
+  const detectorApi = scope.LanguageDetector ?? scope.ai?.languageDetector;
+  if (!(await isOnDeviceApiReady(detectorApi))) return null;
+
+  const detector = await detectorApi.create();
+  try {
+    const [best] = await detector.detect(text);
+    return best && best.detectedLanguage !== "und" ? best.detectedLanguage : null;
+  } finally {
+    detector.destroy?.();
+  }
+}
+
+/**
+ * Detects the source language of a translation: on-device when the LanguageDetector API is ready,
+ * else by asking the cloud model, unless the policy keeps text on-device. Resolves to a BCP 47
+ * code, or null when the language could not be told.
+ */
+async function detectSourceLanguage(text, { policy = DEFAULT_PROVIDER_POLICY, scope = self, signal } = {}) {
+  // The start of a text tells its language as well as all of it
+  const sample = text.slice(0, 1000);
+  try {
+    const detected = await detectLanguageOnDevice(sample, scope);
+    if (detected || policy === POLICY_LOCAL_ONLY) return detected;
+
+    // A side request the user would not expect to approve, so it is skipped while requests are previewed
+    const privacy = await getPrivacySettings();
+    const settings = await getCloudSettings();
+    if (privacy.preview || !(await createCloudProvider(settings).isAvailable())) return null;
+    const answer = await executeCloudAiTask(createRedactor(privacy).redact(sample), "Identify the language of the text. Respond with its BCP 47 language code only, such as \"en\" or \"pt-BR\".", {
+      ...settings,
+      temperature: 0,
+      taskType: USAGE_TASK_DETECT_LANGUAGE,
+      signal
+    });
+    const code = answer.trim().replace(/^["'`]+|["'`.]+$/g, "");
+    return /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/i.test(code) ? code : null;
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    console.warn("Could not detect the source language:", error);
+    return null;
+  }
+}
+
+/**
+ * Drains a built-in API stream, reporting the accumulated text after every chunk.
+ * Current Chrome versions emit deltas, so chunks are concatenated.
+ */
+async function collectOnDeviceStream(stream, onChunk) {
+  let text = "";
+  for await (const chunk of stream) {
+    text += chunk;
+    onChunk(text);
+  }
+  return text;
+}
+
+/**
+ * Creates the on-device provider. `scope` defaults to the worker global and can be replaced with a
+ * mock exposing `Summarizer`, `ai.summarizer`, etc.
+ */
+function createLocalProvider(scope = self) {
+  return {
+    id: "local",
+
+    describe(task) {
+      return `On-device Gemini Nano (${ON_DEVICE_TASKS[task.type].label})`;
+    },
+
+    async isAvailable(task) {
+      const handler = ON_DEVICE_TASKS[task.type];
+      if (!handler) return false;
+      const options = await handler.createOptions(task, scope);
+      return options !== null && isOnDeviceApiReady(handler.getApi(scope), options);
+    },
+
+    async run(task, { onChunk, signal } = {}) {
+      const handler = ON_DEVICE_TASKS[task.type];
+      const api = handler.getApi(scope);
+      const instance = await api.create({ ...(await handler.createOptions(task, scope)), signal });
+      try {
+        const stream = onChunk && handler.stream?.(instance, task, signal);
+        const result = stream
+          ? await collectOnDeviceStream(stream, onChunk)
+          : await handler.run(instance, task, signal);
+        if (!result) {
+          throw new Error("The on-device model returned an empty response.");
+        }
+        return result;
+      } finally {
+        instance.destroy?.();
+      }
+    }
+  };
+}
+
+
+// --- Cloud provider (Gemini API or an OpenAI-compatible server) ---
+
+/**
+ * Reads the cloud endpoint settings from storage, with the defaults filled in:
+ * `{ baseUrl, model, apiFormat }`, where `baseUrl` always ends in a slash.
+ */
+async function getCloudSettings() {
+  const { cloudBaseUrl, cloudModel, cloudApiFormat } = await chrome.storage.local.get(["cloudBaseUrl", "cloudModel", "cloudApiFormat"]);
+  const baseUrl = cloudBaseUrl || API_URL_BASE;
+  return {
+    baseUrl: baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`,
+    model: cloudModel || DEFAULT_GEMINI_MODEL,
+    apiFormat: cloudApiFormat === API_FORMAT_OPENAI ? API_FORMAT_OPENAI : API_FORMAT_GEMINI
+  };
+}
+
+const cloudRequestQueue = createRequestQueue(MAX_CONCURRENT_CLOUD_REQUESTS);
+
+/**
+ * Extracts the generated text from a generateContent response (or one streamed chunk of it).
+ * Throws a SafetyBlockedError when the prompt or the output was filtered.
+ */
+function extractCandidateText(result) {
+  throwIfGeminiBlocked(result);
+  return (result.candidates?.[0]?.content?.parts || []).map(part => part.text || "").join("");
+}
+
+/**
+ * Extracts the generated text from a chat/completions response, or from one streamed chunk when
+ * `field` is "delta". Throws a SafetyBlockedError when the server's content filter stopped it.
+ */
+function extractChoiceText(result, field = "message") {
+  const choice = result.choices?.[0];
+  if (choice?.finish_reason === "content_filter") {
+    throw new SafetyBlockedError("The answer was stopped by the server's content filter. Rephrase the text and try again.", "content_filter");
+  }
+  return choice?.[field]?.content || "";
+}
+
+/**
+ * The token counts of a generateContent response, or of one streamed chunk (each carries the
+ * totals so far): `{ promptTokens, outputTokens }`, or null when it has none. Thinking tokens are
+ * billed as output.
+ */
+function extractGeminiUsage(result) {
+  const usage = result.usageMetadata;
+  if (!usage) return null;
+  return {
+    promptTokens: usage.promptTokenCount || 0,
+    outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0)
+  };
+}
+
+/**
+ * The token counts of a chat/completions response, or of the last streamed chunk, which carries
+ * them when asked to with `stream_options`; null when the server reports none.
+ */
+function extractOpenAiUsage(result) {
+  const usage = result.usage;
+  if (!usage) return null;
+  return { promptTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+}
+
+/**
+ * Parses one JSON response or event, throwing a MalformedResponseError for anything else.
+ */
+function parseResponseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new MalformedResponseError("The AI service sent a response that could not be read. Try again, or check the base URL on the options page.", { cause: error });
+  }
+}
+
+/**
+ * Reads a server-sent event stream of JSON chunks, reporting the accumulated text after every event.
+ * `extractChunkText` pulls the new text out of one parsed chunk. Resolves to the full generated text.
+ */
+async function readEventStream(response, onChunk, extractChunkText) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  let text = "";
+
+  const handleEvent = (rawEvent) => {
+    const data = rawEvent
+      .split("\n")
+      .filter(line => line.startsWith("data:"))
+      .map(line => line.slice(5).trim())
+      .join("");
+    // OpenAI-compatible servers end the stream with a literal [DONE]
+    if (!data || data === "[DONE]") return;
+    const chunkText = extractChunkText(parseResponseJson(data));
+    if (chunkText) {
+      text += chunkText;
+      onChunk(text);
+    }
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value.replace(/\r\n/g, "\n");
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      handleEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+  handleEvent(buffer);
+  return text;
+}
+
+/**
+ * Builds a generateContent / streamGenerateContent request for the Gemini API from `{ role, text, image? }`
+ * turns.
+ * Returns `{ url, headers, body, extractText, extractChunkText, extractUsage, countTokens }`, as
+ * buildOpenAiRequest() does; `countTokens` is the `{ url, body }` of a countTokens request for the
+ * same prompt, or null where the API has no such endpoint.
+ */
+function buildGeminiRequest({ baseUrl, model, apiKey, systemPrompt, turns, generation, responseSchema, stream }) {
+  const { temperature, maxOutputTokens, topP, safety } = generation;
+  const threshold = SAFETY_THRESHOLDS[safety];
+  const contents = turns.map(turn => ({
+    role: turn.role,
+    parts: [...(turn.image ? [{ inlineData: turn.image }] : []), { text: turn.text }]
+  }));
+  const systemInstruction = { parts: [{ text: systemPrompt }] };
+  return {
+    url: `${baseUrl}${model}:${stream ? "streamGenerateContent?alt=sse" : "generateContent"}`,
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+    body: {
+      contents,
+      systemInstruction,
+      generationConfig: {
+        temperature,
+        ...(topP !== undefined && { topP }),
+        ...(maxOutputTokens && { maxOutputTokens }),
+        ...(responseSchema && { responseMimeType: "application/json", responseSchema })
+      },
+      ...(threshold && { safetySettings: SAFETY_CATEGORIES.map(category => ({ category, threshold })) })
+    },
+    extractText: extractCandidateText,
+    extractChunkText: extractCandidateText,
+    extractUsage: extractGeminiUsage,
+    countTokens: {
+      url: `${baseUrl}${model}:countTokens`,
+      body: { generateContentRequest: { model: `models/${model}`, contents, systemInstruction } }
+    }
+  };
+}
+
+/**
+ * Builds a chat/completions request for an OpenAI-compatible server (a proxy or a local model
+ * server). Safety settings have no equivalent there; a response schema is asked for in the prompt.
+ */
+function buildOpenAiRequest({ baseUrl, model, apiKey, systemPrompt, turns, generation, responseSchema, stream }) {
+  const { temperature, maxOutputTokens, topP } = generation;
+  const instructions = responseSchema
+    ? `${systemPrompt}\n\nRespond only with a JSON object matching this schema: ${JSON.stringify(responseSchema)}`
+    : systemPrompt;
+  return {
+    url: `${baseUrl}chat/completions`,
+    headers: { 'Content-Type': 'application/json', ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }) },
+    body: {
+      model,
+      messages: [
+        { role: "system", content: instructions },
+        ...turns.map(turn => ({
+          role: turn.role === "model" ? "assistant" : "user",
+          content: turn.image
+            ? [{ type: "text", text: turn.text }, { type: "image_url", image_url: { url: `data:${turn.image.mimeType};base64,${turn.image.data}` } }]
+            : turn.text
+        }))
+      ],
+      temperature,
+      stream,
+      // Without this, streamed responses carry no token counts
+      ...(stream && { stream_options: { include_usage: true } }),
+      ...(topP !== undefined && { top_p: topP }),
+      ...(maxOutputTokens && { max_tokens: maxOutputTokens }),
+      ...(responseSchema && { response_format: { type: "json_object" } })
+    },
+    extractText: (result) => extractChoiceText(result),
+    extractChunkText: (result) => extractChoiceText(result, "delta"),
+    extractUsage: extractOpenAiUsage,
+    countTokens: null
+  };
+}
+
+/**
+ * Parses the JSON answer to a request with a `responseSchema`. Servers without structured output
+ * sometimes wrap the JSON in a Markdown code fence, which is ignored. Throws on malformed JSON.
+ */
+function parseStructuredAnswer(json) {
+  return JSON.parse(json.trim().replace(/^```(?:json)?\s*/, "").replace(/\s*```$/, ""));
+}
+
+/**
+ * The prompt tokens of a request, for the budget check: `estimate` (see estimatePromptTokens()),
+ * or for large requests the count from the countTokens endpoint where the API has one. Counting
+ * failures fall back to the estimate.
+ */
+async function countPromptTokens(request, estimate, signal) {
+  if (estimate <= LARGE_REQUEST_TOKENS || !request.countTokens) return estimate;
+  try {
+    const response = await fetch(request.countTokens.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.countTokens.body),
+      signal
+    });
+    const bodyText = await response.text();
+    if (!response.ok) {
+      throw classifyHttpError(response.status, bodyText, response.headers);
+    }
+    const { totalTokens } = parseResponseJson(bodyText);
+    if (Number.isInteger(totalTokens)) return totalTokens;
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    console.warn("Could not count the request's tokens; using an estimate:", error);
+  }
+  return estimate;
+}
+
+/**
+ * Executes a cloud task.
+ * The endpoint, model and request format come from the settings in storage (see getCloudSettings())
+ * unless `options` overrides them (e.g. to point at a local stub server); the key is read from
+ * storage too (see apikey.js) and sent in a header, never in the URL.
+ * With `options.onChunk` the streaming endpoint is used and `onChunk(textSoFar)` fires as text
+ * arrives; `options.signal` aborts the request, also while it waits in cloudRequestQueue, and
+ * `options.onWait(message)` reports that wait and any retry delay. `options.temperature`, `maxOutputTokens`, `topP`
+ * and `safety` (a SAFETY_LEVELS key from presets.js) come from the task preset.
+ * `options.history` holds the earlier `{ role: "user" | "model", text }` turns of a follow-up
+ * conversation, in which case `text` is the user's new message rather than a selection.
+ * `options.responseSchema` asks for JSON matching the schema; the JSON text is returned unparsed.
+ * `options.image` (`{ mimeType, data }`, base64) is attached to the new user turn.
+ * Failures are thrown as the typed errors of errors.js; only retryable ones are retried, and never
+ * once output has been streamed.
+ * Every request sent is passed to `options.onUsage(record)` (recordCloudUsage() by default, see
+ * usage.js) with its tokens, latency and outcome; `options.taskType` labels it. When a daily token
+ * budget is set (`options.budget` overrides getBudgetState()), the prompt is counted first and the
+ * expected output added, counting the requests still running: going over the soft budget is
+ * reported through `onWait`, going over the hard one throws a BudgetExceededError before anything is sent.
+ */
+async function executeCloudAiTask(text, systemPrompt, options = {}) {
+  const settings = await getCloudSettings();
+  const {
+    baseUrl = settings.baseUrl,
+    model = settings.model,
+    apiFormat = settings.apiFormat,
+    temperature = DEFAULT_TEMPERATURE,
+    maxOutputTokens,
+    topP,
+    safety,
+    history = [],
+    image,
+    responseSchema,
+    onChunk,
+    onWait = () => {},
+    onUsage = recordCloudUsage,
+    taskType = TASK_PROMPT,
+    signal
+  } = options;
+  const apiKey = options.apiKey ?? await getGeminiApiKey();
+
+  const turns = [...history, { role: "user", text: formatPromptTurn({ text, history, image }), image }];
+  const buildRequest = apiFormat === API_FORMAT_OPENAI ? buildOpenAiRequest : buildGeminiRequest;
+  const request = buildRequest({
+    baseUrl,
+    model,
+    apiKey,
+    systemPrompt,
+    turns,
+    generation: { temperature, maxOutputTokens, topP, safety },
+    responseSchema,
+    stream: Boolean(onChunk)
+  });
+  const promptEstimate = estimatePromptTokens(systemPrompt, turns);
+
+  const budget = options.budget ?? await getBudgetState();
+  // The request's tokens stay reserved against the budget until every attempt is recorded
+  let releaseBudget = () => {};
+  const usageRecorded = [];
+  if (budget.softLimit || budget.hardLimit) {
+    const promptTokens = await countPromptTokens(request, promptEstimate, signal);
+    const { exceeded, release } = reserveTokenBudget(budget, estimateRequestTokens(promptTokens, maxOutputTokens));
+    if (exceeded?.level === "hard") {
+      throw new BudgetExceededError(exceeded.message);
+    }
+    if (exceeded) onWait(exceeded.message);
+    releaseBudget = release;
+  }
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      let streamStarted = false;
+      try {
+        return await cloudRequestQueue.run(async () => {
+          const startedAt = Date.now();
+          // The server's counts, or, for servers that report none, an estimate once an answer arrived
+          let usage = null;
+          const report = (status, generatedText, error) => usageRecorded.push(onUsage({
+            model,
+            apiFormat,
+            taskType,
+            promptTokens: usage?.promptTokens ?? (generatedText ? promptEstimate : 0),
+            outputTokens: usage?.outputTokens ?? (generatedText ? estimateTokens(generatedText) : 0),
+            estimated: !usage && Boolean(generatedText),
+            latencyMs: Date.now() - startedAt,
+            status,
+            ...(error && { errorName: error.name })
+          }));
+          const readUsage = (result) => {
+            usage = request.extractUsage(result) || usage;
+            return result;
+          };
+
+          try {
+            let response;
+            try {
+              response = await fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: JSON.stringify(request.body),
+                signal
+              });
+            } catch (error) {
+              throw classifyFetchError(error);
+            }
+            if (!response.ok) {
+              const errorText = await response.text();
+              console.warn(`Cloud request failed with HTTP ${response.status}:`, errorText);
+              throw classifyHttpError(response.status, errorText, response.headers);
+            }
+
+            const generatedText = onChunk
+              ? await readEventStream(response, (textSoFar) => {
+                  streamStarted = true;
+                  onChunk(textSoFar);
+                }, (chunk) => request.extractChunkText(readUsage(chunk)))
+              : request.extractText(readUsage(parseResponseJson(await response.text())));
+            if (!generatedText) {
+              throw new MalformedResponseError("The AI service returned an empty response. Try again, or raise the preset's max output tokens.");
+            }
+            report(USAGE_STATUS_OK, generatedText);
+            return generatedText;
+          } catch (error) {
+            report(USAGE_STATUS_FAILED, "", error);
+            throw error;
+          }
+        }, {
+          signal,
+          onWait: (ahead) => onWait(`Waiting for ${ahead} earlier request${ahead === 1 ? "" : "s"} to finish...`)
+        });
+      } catch (error) {
+        // Aborts are deliberate, and a half-streamed answer cannot be retried without repeating output
+        const retryable = error.retryable && !streamStarted && attempt < MAX_CLOUD_ATTEMPTS - 1;
+        if (!retryable || error.retryAfterMs > MAX_RETRY_AFTER_MS) throw error;
+        const delay = getRetryDelay(error, attempt);
+        console.warn(`Cloud request failed (${error.name}), retrying in ${delay} ms:`, error.message);
+        onWait(`${error instanceof QuotaError ? "Rate limited" : "The request failed"}; retrying in ${Math.ceil(delay / 1000)} s...`);
+        await waitBeforeRetry(delay, signal);
+      }
+    }
+  } finally {
+    Promise.allSettled(usageRecorded).then(releaseBudget);
+  }
+}
+
+/**
+ * Waits `delay` ms before a retry; rejects with the abort reason as soon as `signal` aborts.
+ */
+function waitBeforeRetry(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Lists the models the endpoint offers for text generation, which doubles as a check that the key
+ * works. Resolves to model ids ("gemini-2.5-flash", ...); throws a typed error (see errors.js) otherwise.
+ */
+async function fetchCloudModels(apiKey, { baseUrl, apiFormat }, { signal } = {}) {
+  const openAi = apiFormat === API_FORMAT_OPENAI;
+  const headers = openAi
+    ? (apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+    : { 'x-goog-api-key': apiKey };
+  let response;
+  try {
+    response = await fetch(openAi ? `${baseUrl}models` : baseUrl.replace(/\/$/, ""), { headers, signal });
+  } catch (error) {
+    throw classifyFetchError(error);
+  }
+  const bodyText = await response.text();
+  if (!response.ok) {
+    throw classifyHttpError(response.status, bodyText, response.headers);
+  }
+  const data = parseResponseJson(bodyText);
+  if (openAi) {
+    return (data.data || []).map(model => model.id);
+  }
+  return (data.models || [])
+    .filter(model => !model.supportedGenerationMethods || model.supportedGenerationMethods.includes("generateContent"))
+    .map(model => model.name.replace(/^models\//, ""));
+}
+
+/**
+ * The text of a cloud request preview: the instructions, the conversation so far and the text, as
+ * they will be sent.
+ */
+function describeCloudRequest(instructions, history, text) {
+  const sections = [`Instructions:\n${instructions}`];
+  if (history?.length) {
+    sections.push(`Conversation so far:\n${history.map(turn => `${turn.role === "user" ? "You" : "Model"}: ${turn.text}`).join("\n\n")}`);
+  }
+  sections.push(`Text:\n${text}`);
+  return sections.join("\n\n");
+}
+
+/**
+ * Creates the cloud provider for getCloudSettings()-shaped settings (the production Gemini
+ * endpoint and default model when omitted). `getApiKey` may return the key or a promise of it.
+ */
+function createCloudProvider({ baseUrl = API_URL_BASE, model = DEFAULT_GEMINI_MODEL, apiFormat = API_FORMAT_GEMINI, getApiKey = getGeminiApiKey } = {}) {
+  return {
+    id: "cloud",
+
+    describe() {
+      if (apiFormat === API_FORMAT_OPENAI) {
+        return `OpenAI-compatible server at ${new URL(baseUrl).host} (${model})`;
+      }
+      return baseUrl === API_URL_BASE ? `Cloud Gemini (${model})` : `Cloud Gemini via ${new URL(baseUrl).host} (${model})`;
+    },
+
+    // A custom OpenAI-compatible server (e.g. a local one) may not need a key at all
+    async isAvailable() {
+      return apiFormat === API_FORMAT_OPENAI || Boolean(await getApiKey());
+    },
+
+    // Why isAvailable() is false, for the error shown to the user
+    async unavailableReason() {
+      return (await getApiKeyState()) === API_KEY_LOCKED
+        ? "Your Gemini API key is encrypted and locked. Unlock it with your passphrase on the options page (right-click → ⚙️ Set Gemini API Key...)."
+        : "Please set your Gemini API key on the options page (right-click → ⚙️ Set Gemini API Key...) before running AI tasks.";
+    },
+
+    // Personal data in the selection, the instructions (which hold what the user typed), the
+    // conversation and the segments is masked before sending and restored in the answer (see
+    // privacy.js). With previews on, `confirmSend(preview)` must approve each request before it is
+    // sent: `{ text, image, findings, destination }`, `text` being all of it (see describeCloudRequest()).
+    async run(task, { onChunk, onWait, signal, confirmSend } = {}) {
+      const privacy = await getPrivacySettings();
+      const redactor = createRedactor(privacy);
+      const text = redactor.redact(task.text);
+      const segments = task.segments?.map(segment => redactor.redact(segment));
+      const instructions = redactor.redact(task.systemPrompt);
+      const history = task.history?.map(turn => ({ ...turn, text: redactor.redact(turn.text) }));
+      if (privacy.preview) {
+        const preview = {
+          text: describeCloudRequest(instructions, history, segments ? segments.join("\n") : text),
+          image: Boolean(task.image),
+          findings: redactor.findings,
+          destination: this.describe()
+        };
+        if (!confirmSend || !(await confirmSend(preview))) {
+          throw new CloudSendDeclinedError();
+        }
+      }
+      const options = {
+        baseUrl,
+        model,
+        apiFormat,
+        apiKey: await getApiKey(),
+        temperature: task.temperature,
+        maxOutputTokens: task.maxOutputTokens,
+        topP: task.topP,
+        safety: task.safety,
+        history,
+        image: task.image,
+        taskType: task.type,
+        onWait,
+        signal
+      };
+
+      // A segmented translation asks for one translation per segment (see translate.js)
+      if (task.type === TASK_TRANSLATE && segments) {
+        const json = await executeCloudAiTask(JSON.stringify(segments), instructions, { ...options, responseSchema: TRANSLATED_SEGMENTS_SCHEMA });
+        const translations = parseTranslatedSegments(json, segments.length).map(segment => segment && redactor.restore(segment));
+        return { text: translations.join(" "), segments: translations };
+      }
+
+      // Proofreading asks for structured corrections; half-streamed JSON is of no use to the reader.
+      // The corrections are restored before they are lined up with the original text.
+      if (task.type === TASK_PROOFREAD) {
+        const json = await executeCloudAiTask(text, instructions, { ...options, responseSchema: PROOFREAD_RESPONSE_SCHEMA });
+        const { correctedText, corrections } = parseProofreadResponse(json);
+        return createProofreadResult(task.text, {
+          correctedText: redactor.restore(correctedText),
+          corrections: corrections.map(correction => ({
+            ...correction,
+            original: correction.original && redactor.restore(correction.original),
+            replacement: correction.replacement && redactor.restore(correction.replacement)
+          }))
+        });
+      }
+
+      // An extraction asks for records with the task's fields. Values are restored one by one, so a
+      // masked email address comes back in its own cell.
+      if (task.type === TASK_EXTRACT) {
+        if (!task.fields?.length) {
+          throw new Error("Name at least one field to extract, e.g. \"product, price: number\".");
+        }
+        const json = await executeCloudAiTask(text, instructions, { ...options, responseSchema: buildExtractionSchema(task.fields) });
+        const { records, invalid } = parseExtractionResponse(json, task.fields);
+        const restored = records.map(record => Object.fromEntries(Object.entries(record).map(
+          ([name, value]) => [name, typeof value === "string" ? redactor.restore(value) : value]
+        )));
+        return createExtractionResult(task.fields, { records: restored, invalid });
+      }
+
+      const formatInstruction = OUTPUT_FORMAT_INSTRUCTIONS[task.outputFormat];
+      const systemPrompt = formatInstruction ? `${instructions}\n\n${formatInstruction}` : instructions;
+      const output = await executeCloudAiTask(text, systemPrompt, {
+        ...options,
+        onChunk: onChunk && ((textSoFar) => onChunk(redactor.restore(textSoFar)))
+      });
+      return redactor.restore(output);
+    }
+  };
+}
+
+
+// --- Routing ---
+
+/**
+ * Runs a task `{ type, text, systemPrompt, targetLanguage?, temperature?, maxOutputTokens?, topP?, safety?,
+ * outputFormat?, history?, image?, segments?, fields? }` on the first suitable provider; the cloud provider follows the cloud
+ * settings in storage unless `cloud` is given. Follow-ups carry the earlier turns in `history` and run as prompts.
+ * Resolves to `{ text, backend, proofread?, segments?, extraction? }`, where `backend` names the provider that answered,
+ * `proofread` holds the reviewable changes of a proofread task, `segments` the translations of a
+ * segmented translate task, one per segment, and `extraction` the `{ fields, records, invalid }` of an
+ * extract task (see extract.js).
+ * `onChunk(textSoFar, backend)` receives streamed output; `onWait(message)` reports waits for the
+ * cloud request queue and retries; `confirmSend(preview)` approves a cloud request when previews are
+ * on (see createCloudProvider()); `signal` cancels the task.
+ */
+async function runTaskWithProviders(task, {
+  policy = DEFAULT_PROVIDER_POLICY,
+  local = createLocalProvider(),
+  cloud = null,
+  onChunk,
+  onWait,
+  confirmSend,
+  signal
+} = {}) {
+  cloud = cloud || createCloudProvider(await getCloudSettings());
+  const runOn = async (provider) => {
+    const backend = provider.describe(task);
+    const output = await provider.run(task, {
+      onChunk: onChunk && ((textSoFar) => onChunk(textSoFar, backend)),
+      onWait,
+      confirmSend,
+      signal
+    });
+    return typeof output === "string" ? { text: output, backend } : { ...output, backend };
+  };
+
+  if (policy !== POLICY_CLOUD_ONLY) {
+    if (await local.isAvailable(task)) {
+      try {
+        return await runOn(local);
+      } catch (error) {
+        if (policy === POLICY_LOCAL_ONLY || error.name === "AbortError") throw error;
+        console.warn(`On-device ${task.type} failed, falling back to Cloud Gemini:`, error);
+      }
+    } else if (policy === POLICY_LOCAL_ONLY) {
+      throw new Error(`On-device ${task.type} is not available in this browser. Choose "Prefer on-device" or "Cloud only" under the AI Backend menu to use Cloud Gemini instead.`);
+    }
+  }
+
+  if (!(await cloud.isAvailable(task))) {
+    throw new AuthError(await cloud.unavailableReason?.() || "Please set your Gemini API key before running AI tasks.");
+  }
+  return runOn(cloud);
+}
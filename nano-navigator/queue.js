@@ -0,0 +1,68 @@
+// Request queue for the service worker.
+// Caps how many cloud requests run at once, however many context-menu clicks, side panel runs and
+// long-document parts ask for one. Requests wait their turn in order; a request whose abort signal
+// fires while it waits (Stop, a closed modal or tab) leaves the queue without ever being sent.
+// Shared by the service worker (importScripts) and the tests; plain globals.
+
+/**
+ * Creates a queue running at most `limit` jobs at a time.
+ * `queue.run(job, { signal, onWait })` resolves or rejects like `job()` once it has run; `onWait(ahead)`
+ * is called when the job has to wait, with the number of jobs ahead of it.
+ */
+function createRequestQueue(limit) {
+  let running = 0;
+  const waiting = [];
+
+  const startNext = () => {
+    while (running < limit && waiting.length) {
+      waiting.shift().start();
+    }
+  };
+
+  return {
+    get running() {
+      return running;
+    },
+
+    get waiting() {
+      return waiting.length;
+    },
+
+    run(job, { signal, onWait } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(signal.reason);
+          return;
+        }
+        const onAbort = () => {
+          const index = waiting.indexOf(entry);
+          if (index !== -1) {
+            waiting.splice(index, 1);
+            reject(signal.reason);
+          }
+        };
+        const entry = {
+          start() {
+            signal?.removeEventListener("abort", onAbort);
+            running++;
+            Promise.resolve()
+              .then(job)
+              .then(resolve, reject)
+              .finally(() => {
+                running--;
+                startNext();
+              });
+          }
+        };
+
+        if (running < limit) {
+          entry.start();
+          return;
+        }
+        signal?.addEventListener("abort", onAbort, { once: true });
+        waiting.push(entry);
+        onWait?.(waiting.length);
+      });
+    }
+  };
+}
@@ -0,0 +1,652 @@
+// Side panel workspace. Renders the session `workspace` state written by the service worker and
+// sends task requests back to it; nothing here talks to the AI backends directly.
+
+const elements = {
+  source: document.getElementById('source'),
+  sourceLink: document.getElementById('source-link'),
+  selection: document.getElementById('selection'),
+  task: document.getElementById('task'),
+  instructionField: document.getElementById('instruction-field'),
+  instructionLabel: document.getElementById('instruction-label'),
+  instruction: document.getElementById('instruction'),
+  languageField: document.getElementById('language-field'),
+  targetLanguage: document.getElementById('target-language'),
+  favoriteLanguage: document.getElementById('favorite-language'),
+  languageOptions: document.getElementById('language-options'),
+  favoriteLanguages: document.getElementById('favorite-languages'),
+  run: document.getElementById('run'),
+  summarizePage: document.getElementById('summarize-page'),
+  stop: document.getElementById('stop'),
+  status: document.getElementById('status'),
+  cloudPreview: document.getElementById('cloud-preview'),
+  cloudPreviewDestination: document.getElementById('cloud-preview-destination'),
+  cloudPreviewFindings: document.getElementById('cloud-preview-findings'),
+  cloudPreviewText: document.getElementById('cloud-preview-text'),
+  cloudPreviewCancel: document.getElementById('cloud-preview-cancel'),
+  cloudPreviewSend: document.getElementById('cloud-preview-send'),
+  result: document.getElementById('result'),
+  resultTitle: document.getElementById('result-title'),
+  output: document.getElementById('output'),
+  backend: document.getElementById('backend'),
+  translation: document.getElementById('translation'),
+  translationInfo: document.getElementById('translation-info'),
+  bilingualToggle: document.getElementById('bilingual-toggle'),
+  bilingual: document.getElementById('bilingual'),
+  bilingualSourceLanguage: document.getElementById('bilingual-source-language'),
+  bilingualTargetLanguage: document.getElementById('bilingual-target-language'),
+  bilingualPairs: document.getElementById('bilingual-pairs'),
+  errorActions: document.getElementById('error-actions'),
+  openSettings: document.getElementById('open-settings'),
+  retryTask: document.getElementById('retry-task'),
+  copy: document.getElementById('copy'),
+  proofread: document.getElementById('proofread'),
+  proofreadSummary: document.getElementById('proofread-summary'),
+  proofreadReview: document.getElementById('proofread-review'),
+  proofreadStatus: document.getElementById('proofread-status'),
+  copyCorrected: document.getElementById('copy-corrected'),
+  applyCorrected: document.getElementById('apply-corrected'),
+  undoCorrected: document.getElementById('undo-corrected'),
+  extraction: document.getElementById('extraction'),
+  extractionTable: document.getElementById('extraction-table'),
+  extractionStatus: document.getElementById('extraction-status'),
+  copyCsv: document.getElementById('copy-csv'),
+  copyJson: document.getElementById('copy-json'),
+  downloadCsv: document.getElementById('download-csv'),
+  downloadJson: document.getElementById('download-json'),
+  inPlace: document.getElementById('in-place'),
+  inPlaceStatus: document.getElementById('in-place-status'),
+  replaceSelection: document.getElementById('replace-selection'),
+  undoReplace: document.getElementById('undo-replace'),
+  followUp: document.getElementById('follow-up'),
+  followUpInput: document.getElementById('follow-up-input'),
+  followUpCount: document.getElementById('follow-up-count'),
+  startFresh: document.getElementById('start-fresh'),
+  sendFollowUp: document.getElementById('send-follow-up'),
+  keyState: document.getElementById('key-state'),
+  manageKey: document.getElementById('manage-key'),
+  policy: document.getElementById('policy'),
+  uiMode: document.getElementById('ui-mode'),
+  popUpTheme: document.getElementById('pop-up-theme'),
+  applyInPlace: document.getElementById('apply-in-place'),
+  managePresets: document.getElementById('manage-presets'),
+  historyLimit: document.getElementById('history-limit')
+};
+
+// Last `inputsAt` applied, so re-renders never clobber what the user is typing
+let appliedInputsAt = 0;
+// Last rendered state; its source page is recorded with the task in history
+let currentWorkspace = {};
+let presets = [];
+// Proofread result under review and the ids of the changes the user accepted
+let reviewedProofread = null;
+let acceptedChanges = new Set();
+// Extracted records shown (see extract.js), and the column they are sorted by (-1: as extracted)
+let shownExtraction = null;
+let extractionSort = { index: -1, direction: 1 };
+// In-place replacement last shown, so its status survives re-renders of the same result
+let shownInPlace = null;
+// Sentence pairs last rendered, and whether they are shown instead of the plain translation
+let shownBilingual = null;
+let showingBilingual = false;
+// Favorite target languages (see languages.js)
+let favoriteLanguages = [];
+
+function getSelectedPreset() {
+  return presets.find(preset => preset.id === elements.task.value) || null;
+}
+
+// The instruction field's example, restored when an extract preset is no longer picked
+const INSTRUCTION_PLACEHOLDER = elements.instruction.placeholder;
+
+/**
+ * Shows only the input fields the selected preset needs. An extract preset that asks for input
+ * asks for the fields to extract.
+ */
+function updateTaskFields() {
+  const preset = getSelectedPreset();
+  elements.instructionField.hidden = preset?.input !== PRESET_INPUT_INSTRUCTION;
+  elements.languageField.hidden = preset?.input !== PRESET_INPUT_LANGUAGE;
+  const extracting = preset?.kind === "extract";
+  elements.instructionLabel.textContent = extracting ? "Fields to extract" : "Instruction";
+  elements.instruction.placeholder = extracting ? EXTRACT_FIELDS_PLACEHOLDER : INSTRUCTION_PLACEHOLDER;
+}
+
+/**
+ * Fills the task picker from the presets, keeping the current choice when it still exists.
+ */
+async function loadPresets() {
+  presets = await getPresets();
+  const selectedId = elements.task.value;
+  elements.task.replaceChildren(...presets.map(preset => new Option(preset.title, preset.id)));
+  if (presets.some(preset => preset.id === selectedId)) {
+    elements.task.value = selectedId;
+  }
+  updateTaskFields();
+}
+
+/**
+ * Renders the workspace state. Model output is never trusted as HTML: it goes through the
+ * sanitizing Markdown renderer (markdown.js), everything else is set as text.
+ */
+function renderWorkspace(workspace) {
+  currentWorkspace = workspace;
+
+  if (workspace.inputsAt && workspace.inputsAt !== appliedInputsAt) {
+    appliedInputsAt = workspace.inputsAt;
+    elements.selection.value = workspace.selection || "";
+    if (workspace.presetId) elements.task.value = workspace.presetId;
+    if (workspace.instruction) elements.instruction.value = workspace.instruction;
+    if (workspace.targetLanguage) elements.targetLanguage.value = workspace.targetLanguage;
+    updateTaskFields();
+    updateFavoriteToggle();
+
+    if (workspace.status === "awaiting-input") {
+      (elements.languageField.hidden ? elements.instruction : elements.targetLanguage).focus();
+    }
+  }
+
+  elements.source.hidden = !workspace.sourceUrl;
+  elements.sourceLink.href = workspace.sourceUrl || "";
+  elements.sourceLink.textContent = workspace.sourceTitle || workspace.sourceUrl || "";
+
+  const busy = workspace.status === "running" || workspace.status === "streaming" || workspace.status === "confirm-send";
+  elements.run.disabled = busy;
+  elements.summarizePage.disabled = busy;
+  elements.stop.hidden = !busy;
+  elements.status.hidden = workspace.status !== "running";
+  elements.status.textContent = workspace.statusMessage || "";
+
+  // A cloud request waiting for approval shows what it will send (see privacy.js)
+  const preview = workspace.status === "confirm-send" ? workspace.preview : null;
+  elements.cloudPreview.hidden = !preview;
+  if (preview) {
+    elements.cloudPreviewDestination.textContent = `To: ${preview.destination}${preview.image ? " (with the image)" : ""}`;
+    elements.cloudPreviewFindings.textContent = preview.findings.length
+      ? `Masked: ${preview.findings.map(finding => `${finding.count} × ${finding.label}`).join(", ")}`
+      : "No personal data was found to mask.";
+    elements.cloudPreviewText.textContent = preview.text;
+  }
+
+  const hasResult = Boolean(workspace.title) && workspace.status !== "running" && !preview;
+  elements.result.hidden = !hasResult;
+  elements.result.classList.toggle('error', workspace.status === "error");
+  elements.resultTitle.textContent = workspace.title || "";
+  elements.output.innerHTML = renderMarkdown(workspace.output || "");
+
+  // A proofread result is reviewed as a diff instead of the Markdown summary
+  const proofread = workspace.status === "done" ? workspace.proofread : null;
+  elements.output.hidden = Boolean(proofread);
+  elements.proofread.hidden = !proofread;
+  if (proofread && JSON.stringify(proofread) !== JSON.stringify(reviewedProofread)) {
+    reviewedProofread = proofread;
+    acceptedChanges = new Set(proofread.changes.map(change => change.id));
+    elements.proofreadStatus.textContent = "";
+    elements.applyCorrected.disabled = false;
+    elements.undoCorrected.hidden = true;
+  }
+  if (proofread) {
+    elements.applyCorrected.hidden = !workspace.target;
+    renderProofreadReview();
+  }
+  // Extracted records are shown as a table that sorts by any column, instead of the Markdown table
+  const extraction = workspace.status === "done" ? workspace.extraction : null;
+  elements.extraction.hidden = !extraction;
+  if (extraction && JSON.stringify(extraction) !== JSON.stringify(shownExtraction)) {
+    shownExtraction = extraction;
+    extractionSort = { index: -1, direction: 1 };
+    const count = `${extraction.records.length} record${extraction.records.length === 1 ? "" : "s"}`;
+    elements.extractionStatus.textContent = extraction.invalid
+      ? `${count}; ${extraction.invalid} value${extraction.invalid === 1 ? "" : "s"} did not match the field type and ${extraction.invalid === 1 ? "was" : "were"} left empty.`
+      : count;
+  }
+  if (extraction) {
+    elements.output.hidden = extraction.records.length > 0;
+    elements.extractionTable.hidden = extraction.records.length === 0;
+    renderExtractionTable();
+  }
+  // A translation names its detected source language and can be lined up with it sentence by sentence
+  const translation = workspace.status === "done" ? workspace.translation : null;
+  elements.translation.hidden = !translation;
+  if (translation) {
+    elements.translationInfo.textContent = translation.sourceLanguage
+      ? `Detected: ${translation.sourceLanguage} → ${translation.targetLanguage}`
+      : `Translated to ${translation.targetLanguage}`;
+    elements.bilingualToggle.disabled = false;
+  }
+  const bilingual = translation ? workspace.bilingual : null;
+  if (bilingual && JSON.stringify(bilingual) !== JSON.stringify(shownBilingual)) {
+    shownBilingual = bilingual;
+    showingBilingual = true;
+    renderBilingual(translation, bilingual);
+  }
+  if (!bilingual) {
+    shownBilingual = null;
+    showingBilingual = false;
+  }
+  elements.bilingual.hidden = !showingBilingual;
+  elements.output.hidden = elements.output.hidden || showingBilingual;
+  elements.bilingualToggle.textContent = showingBilingual ? "Translation only" : "Bilingual view";
+
+  // Rewrite / translate / prompt output can replace the selection in the page's text field
+  const inPlace = workspace.status === "done" && workspace.target ? workspace.inPlace : null;
+  elements.inPlace.hidden = !inPlace;
+  if (inPlace && JSON.stringify(inPlace) !== JSON.stringify(shownInPlace)) {
+    shownInPlace = inPlace;
+    showInPlaceOutcome(inPlace.applied === true, inPlace.message);
+  }
+
+  // A classified failure offers what can fix it (see errors.js)
+  const errorActions = workspace.status === "error" ? workspace.errorActions || [] : [];
+  elements.errorActions.hidden = errorActions.length === 0;
+  elements.openSettings.hidden = !errorActions.includes("open-options");
+  elements.retryTask.hidden = !errorActions.includes("retry");
+
+  elements.backend.hidden = !workspace.backend;
+  elements.backend.textContent = workspace.backend ? `Answered by: ${workspace.backend}` : "";
+
+  // The reply box continues the conversation on a completed result (see threads.js)
+  const thread = workspace.status === "done" ? workspace.thread : null;
+  elements.followUp.hidden = !thread;
+  if (thread) {
+    const limitReached = thread.followUps >= thread.maxFollowUps;
+    elements.followUpCount.textContent = limitReached
+      ? "Follow-up limit reached. Start fresh to keep asking."
+      : `${thread.followUps}/${thread.maxFollowUps} follow-ups`;
+    elements.followUpInput.disabled = limitReached;
+    elements.sendFollowUp.disabled = limitReached;
+    elements.startFresh.hidden = thread.followUps === 0;
+  }
+}
+
+/**
+ * Fills the bilingual table with the source and translated sentences; all set as text.
+ */
+function renderBilingual(translation, pairs) {
+  elements.bilingualSourceLanguage.textContent = translation.sourceLanguage || "Original";
+  elements.bilingualTargetLanguage.textContent = translation.targetLanguage;
+  elements.bilingualPairs.replaceChildren(...pairs.map(pair => {
+    const row = document.createElement('tr');
+    for (const text of [pair.source, pair.translation]) {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.append(cell);
+    }
+    return row;
+  }));
+}
+
+/**
+ * Switches between the translation and the bilingual view, asking the worker for the sentence
+ * pairs the first time; a failure is reported next to the button.
+ */
+async function toggleBilingual() {
+  if (shownBilingual) {
+    showingBilingual = !showingBilingual;
+    renderWorkspace(currentWorkspace);
+    return;
+  }
+  elements.bilingualToggle.disabled = true;
+  elements.translationInfo.textContent = "Lining up the sentences...";
+  const response = await chrome.runtime.sendMessage({ action: "showBilingual" });
+  if (response?.status === "error") {
+    elements.bilingualToggle.disabled = false;
+    elements.translationInfo.textContent = response.message;
+  }
+}
+
+/**
+ * Fills the language suggestions (favorites first) and the favorite shortcuts, and starts an empty
+ * target language at the last one used.
+ */
+async function loadLanguages() {
+  const { favorites, lastTarget } = await getLanguagePreferences();
+  favoriteLanguages = favorites;
+  elements.languageOptions.replaceChildren(...orderLanguageOptions(favorites).map(language => new Option(language)));
+  elements.favoriteLanguages.hidden = favorites.length === 0;
+  elements.favoriteLanguages.replaceChildren(...favorites.map(language => {
+    const shortcut = document.createElement('button');
+    shortcut.textContent = language;
+    shortcut.title = `Translate to ${language}`;
+    shortcut.onclick = () => {
+      elements.targetLanguage.value = language;
+      updateFavoriteToggle();
+    };
+    return shortcut;
+  }));
+  if (!elements.targetLanguage.value) {
+    elements.targetLanguage.value = lastTarget;
+  }
+  updateFavoriteToggle();
+}
+
+function updateFavoriteToggle() {
+  const language = elements.targetLanguage.value.trim().toLowerCase();
+  const isFavorite = favoriteLanguages.some(favorite => favorite.toLowerCase() === language);
+  elements.favoriteLanguage.textContent = isFavorite ? "★" : "☆";
+  elements.favoriteLanguage.title = isFavorite ? "Remove from favorite languages" : "Add to favorite languages";
+  elements.favoriteLanguage.setAttribute('aria-label', elements.favoriteLanguage.title);
+  elements.favoriteLanguage.disabled = !language;
+}
+
+/**
+ * Renders the proofread word diff with accept / reject buttons on every change.
+ */
+function renderProofreadReview() {
+  const { original, changes } = reviewedProofread;
+  elements.proofreadSummary.textContent = changes.length === 0
+    ? "No corrections needed ✓"
+    : `${acceptedChanges.size} of ${changes.length} changes accepted. Hover a change for its reason.`;
+
+  const nodes = [];
+  let position = 0;
+  for (const change of changes) {
+    nodes.push(original.slice(position, change.start));
+    position = change.end;
+
+    const state = acceptedChanges.has(change.id) ? "accepted" : "rejected";
+    const wrapper = document.createElement('span');
+    wrapper.title = change.explanation ? `${change.category}: ${change.explanation}` : change.category;
+    if (change.original) {
+      const removed = document.createElement('del');
+      removed.className = state;
+      removed.textContent = change.original;
+      wrapper.append(removed);
+    }
+    if (change.replacement) {
+      const added = document.createElement('ins');
+      added.className = state;
+      added.textContent = change.replacement;
+      wrapper.append(added);
+    }
+    const accept = document.createElement('button');
+    accept.className = `accept ${state === "accepted" ? "active" : ""}`;
+    accept.textContent = "✓";
+    accept.title = "Accept";
+    accept.onclick = () => { acceptedChanges.add(change.id); renderProofreadReview(); };
+    const reject = document.createElement('button');
+    reject.className = `reject ${state === "rejected" ? "active" : ""}`;
+    reject.textContent = "✗";
+    reject.title = "Reject";
+    reject.onclick = () => { acceptedChanges.delete(change.id); renderProofreadReview(); };
+    wrapper.append(accept, reject);
+    nodes.push(wrapper);
+  }
+  nodes.push(original.slice(position));
+  elements.proofreadReview.replaceChildren(...nodes);
+}
+
+/**
+ * Renders the extracted records, sorted by the column whose header was clicked last (again to
+ * reverse). Values are model output, so they are set as text.
+ */
+function renderExtractionTable() {
+  const { fields, records } = shownExtraction;
+  const { index: sortIndex, direction } = extractionSort;
+  const head = document.createElement('tr');
+  fields.forEach((field, index) => {
+    const header = document.createElement('th');
+    header.scope = "col";
+    header.setAttribute('aria-sort', index !== sortIndex ? "none" : direction === 1 ? "ascending" : "descending");
+    if (field.description) header.title = field.description;
+    const sort = document.createElement('button');
+    sort.textContent = `${field.name}${index !== sortIndex ? "" : direction === 1 ? " ▲" : " ▼"}`;
+    sort.onclick = () => {
+      extractionSort = { index, direction: index === sortIndex ? -direction : 1 };
+      renderExtractionTable();
+      elements.extractionTable.querySelectorAll('th button')[index].focus();
+    };
+    header.append(sort);
+    head.append(header);
+  });
+
+  const sortField = fields[sortIndex];
+  const sorted = sortField
+    ? [...records].sort((a, b) => compareExtractValues(a[sortField.name], b[sortField.name], direction))
+    : records;
+  const rows = sorted.map(record => {
+    const row = document.createElement('tr');
+    for (const field of fields) {
+      const cell = document.createElement('td');
+      if (field.type === "number") cell.className = "number";
+      cell.textContent = formatExtractValue(record[field.name]);
+      row.append(cell);
+    }
+    return row;
+  });
+  const thead = document.createElement('thead');
+  thead.append(head);
+  const tbody = document.createElement('tbody');
+  tbody.append(...rows);
+  elements.extractionTable.replaceChildren(thead, tbody);
+}
+
+/**
+ * Saves the extracted records as a file named after the result's title.
+ */
+function downloadExtraction(text, extension, type) {
+  const name = (currentWorkspace.title || "").replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-+|-+$/g, "").toLowerCase().slice(0, 60) || "extraction";
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name}.${extension}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  elements.extractionStatus.textContent = "Downloaded ✓";
+}
+
+async function copyExtraction(text, message) {
+  try {
+    await navigator.clipboard.writeText(text);
+    elements.extractionStatus.textContent = message;
+  } catch (error) {
+    elements.extractionStatus.textContent = "Could not copy to the clipboard.";
+  }
+}
+
+function getCorrectedText() {
+  return applyProofreadChanges(reviewedProofread.original, reviewedProofread.changes, acceptedChanges);
+}
+
+function showInPlaceOutcome(applied, message) {
+  elements.inPlaceStatus.textContent = applied ? "Replaced in the page ✓" : (message || "");
+  elements.replaceSelection.hidden = applied;
+  elements.replaceSelection.disabled = false;
+  elements.undoReplace.hidden = !applied;
+}
+
+/**
+ * Writes `text` over the selection recorded in the page's text field. Resolves to `{ status, message? }`.
+ */
+function applyToPage(original, text) {
+  const { tabId, frameId } = currentWorkspace.target;
+  return chrome.runtime.sendMessage({ action: "applyEditableText", tabId, frameId, original, text });
+}
+
+/**
+ * Reverts the last write into the page's text field. Resolves to `{ status, message? }`.
+ */
+function undoInPage() {
+  const { tabId, frameId } = currentWorkspace.target;
+  return chrome.runtime.sendMessage({ action: "undoEditableText", tabId, frameId });
+}
+
+function sendFollowUp() {
+  const thread = currentWorkspace.thread;
+  const message = elements.followUpInput.value.trim();
+  if (!thread || !message || elements.sendFollowUp.disabled) return;
+  elements.followUpInput.value = "";
+  chrome.runtime.sendMessage({ action: "continueThread", threadId: thread.id, message });
+}
+
+function runTask() {
+  const preset = getSelectedPreset();
+  const selectedText = elements.selection.value.trim();
+  const instruction = elements.instruction.value.trim();
+  const targetLanguage = elements.targetLanguage.value.trim();
+
+  if (!selectedText) {
+    alert("Please select or paste some text first.");
+    return;
+  }
+  if (!preset) {
+    alert("Please pick a task.");
+    return;
+  }
+  if (preset.input === PRESET_INPUT_INSTRUCTION && !instruction) {
+    alert("Please enter a custom instruction.");
+    return;
+  }
+  if (preset.input === PRESET_INPUT_LANGUAGE && !targetLanguage) {
+    alert("Please enter a target language.");
+    return;
+  }
+
+  chrome.runtime.sendMessage({
+    action: "runWorkspaceTask",
+    presetId: preset.id,
+    selectedText,
+    instruction,
+    targetLanguage,
+    sourceUrl: currentWorkspace.sourceUrl,
+    sourceTitle: currentWorkspace.sourceTitle
+  });
+}
+
+// --- Settings ---
+
+async function loadSettings() {
+  const { providerPolicy, uiMode, uiTheme, applyInPlace } = await chrome.storage.local.get(['providerPolicy', 'uiMode', 'uiTheme', 'applyInPlace']);
+  elements.policy.value = providerPolicy || "prefer-local";
+  elements.uiMode.value = uiMode || "sidepanel";
+  elements.popUpTheme.value = uiTheme || "system";
+  elements.applyInPlace.value = applyInPlace || "ask";
+  elements.historyLimit.value = await getHistoryLimit();
+}
+
+const API_KEY_STATE_TEXT = {
+  [API_KEY_MISSING]: "Not set.",
+  [API_KEY_PLAIN]: "Saved.",
+  [API_KEY_LOCKED]: "Saved encrypted, locked.",
+  [API_KEY_UNLOCKED]: "Saved encrypted, unlocked."
+};
+
+async function renderKeyState() {
+  elements.keyState.textContent = API_KEY_STATE_TEXT[await getApiKeyState()];
+}
+
+elements.policy.onchange = () => chrome.storage.local.set({ providerPolicy: elements.policy.value });
+elements.uiMode.onchange = () => chrome.storage.local.set({ uiMode: elements.uiMode.value });
+elements.popUpTheme.onchange = () => chrome.storage.local.set({ uiTheme: elements.popUpTheme.value });
+elements.applyInPlace.onchange = () => chrome.storage.local.set({ applyInPlace: elements.applyInPlace.value });
+elements.historyLimit.onchange = () => {
+  const historyLimit = Math.max(0, parseInt(elements.historyLimit.value, 10) || 0);
+  elements.historyLimit.value = historyLimit;
+  chrome.storage.local.set({ historyLimit });
+  pruneHistory(historyLimit);
+};
+
+// --- Wiring ---
+
+elements.task.onchange = updateTaskFields;
+elements.targetLanguage.oninput = updateFavoriteToggle;
+elements.favoriteLanguage.onclick = () => toggleFavoriteLanguage(elements.targetLanguage.value);
+elements.bilingualToggle.onclick = toggleBilingual;
+elements.manageKey.onclick = (event) => {
+  event.preventDefault();
+  chrome.runtime.openOptionsPage();
+};
+elements.managePresets.onclick = (event) => {
+  event.preventDefault();
+  chrome.runtime.openOptionsPage();
+};
+elements.run.onclick = runTask;
+elements.retryTask.onclick = runTask;
+elements.openSettings.onclick = () => chrome.runtime.openOptionsPage();
+elements.summarizePage.onclick = () => chrome.runtime.sendMessage({ action: "summarizePage" });
+elements.stop.onclick = () => chrome.runtime.sendMessage({ action: "stopTask" });
+elements.cloudPreviewSend.onclick = () => chrome.runtime.sendMessage({ action: "answerCloudPreview", id: currentWorkspace.preview?.id, send: true });
+elements.cloudPreviewCancel.onclick = () => chrome.runtime.sendMessage({ action: "answerCloudPreview", id: currentWorkspace.preview?.id, send: false });
+elements.copyCorrected.onclick = async () => {
+  await navigator.clipboard.writeText(getCorrectedText());
+  elements.proofreadStatus.textContent = "Copied ✓";
+};
+elements.applyCorrected.onclick = async () => {
+  elements.applyCorrected.disabled = true;
+  const response = await applyToPage(reviewedProofread.original, getCorrectedText());
+  elements.proofreadStatus.textContent = response?.status === "success" ? "Applied ✓" : (response?.message || "Could not update the page.");
+  elements.applyCorrected.disabled = response?.status === "success";
+  elements.undoCorrected.hidden = response?.status !== "success";
+};
+elements.undoCorrected.onclick = async () => {
+  elements.undoCorrected.disabled = true;
+  const response = await undoInPage();
+  elements.undoCorrected.disabled = false;
+  if (response?.status === "success") {
+    elements.proofreadStatus.textContent = "Restored the original text.";
+    elements.undoCorrected.hidden = true;
+    elements.applyCorrected.disabled = false;
+  } else {
+    elements.proofreadStatus.textContent = response?.message || "Could not undo the change.";
+  }
+};
+elements.copyCsv.onclick = () => copyExtraction(recordsToCsv(shownExtraction.fields, shownExtraction.records), "Copied as CSV ✓");
+elements.copyJson.onclick = () => copyExtraction(recordsToJson(shownExtraction.records), "Copied as JSON ✓");
+elements.downloadCsv.onclick = () => downloadExtraction(recordsToCsv(shownExtraction.fields, shownExtraction.records), "csv", "text/csv");
+elements.downloadJson.onclick = () => downloadExtraction(recordsToJson(shownExtraction.records), "json", "application/json");
+elements.replaceSelection.onclick = async () => {
+  elements.replaceSelection.disabled = true;
+  const { original, replacement } = currentWorkspace.inPlace;
+  const response = await applyToPage(original, replacement);
+  showInPlaceOutcome(response?.status === "success", response?.message || "Could not update the page.");
+};
+elements.undoReplace.onclick = async () => {
+  elements.undoReplace.disabled = true;
+  const response = await undoInPage();
+  elements.undoReplace.disabled = false;
+  if (response?.status === "success") {
+    showInPlaceOutcome(false, "Restored the original text.");
+  } else {
+    elements.inPlaceStatus.textContent = response?.message || "Could not undo the change.";
+  }
+};
+elements.sendFollowUp.onclick = sendFollowUp;
+elements.followUpInput.onkeydown = (event) => {
+  if (event.key === "Enter" && !event.shiftKey) {
+    event.preventDefault();
+    sendFollowUp();
+  }
+};
+elements.startFresh.onclick = () => {
+  chrome.runtime.sendMessage({ action: "resetThread", threadId: currentWorkspace.thread?.id });
+};
+elements.copy.onclick = async () => {
+  await navigator.clipboard.writeText(currentWorkspace.output || "");
+  elements.copy.textContent = "Copied ✓";
+  setTimeout(() => { elements.copy.textContent = "Copy"; }, 1500);
+};
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "session" && changes.workspace) {
+    renderWorkspace(changes.workspace.newValue || {});
+  }
+  if (areaName === "local" && (changes.providerPolicy || changes.uiMode || changes.uiTheme || changes.applyInPlace || changes.historyLimit)) {
+    loadSettings();
+  }
+  if (areaName === "local" && changes.taskPresets) {
+    loadPresets();
+  }
+  if (areaName === "local" && changes.favoriteLanguages) {
+    loadLanguages();
+  }
+  if (changes[API_KEY_STORAGE_KEY] || changes[ENCRYPTED_API_KEY_STORAGE_KEY] || changes[UNLOCKED_API_KEY_STORAGE_KEY]) {
+    renderKeyState();
+  }
+});
+
+loadSettings();
+renderKeyState();
+loadLanguages();
+// The picker must be filled before the workspace selects a preset in it
+loadPresets()
+  .then(() => chrome.storage.session.get("workspace"))
+  .then(({ workspace }) => renderWorkspace(workspace || {}));
@@ -0,0 +1,166 @@
+// Long-document summarization.
+// Text too long for one request (a whole page, or a very long selection) is split into parts that
+// are summarized a few at a time, and the part summaries are then merged into one (map-reduce).
+// Every part runs through runTaskWithProviders(), so it gets the same backend routing and cloud
+// retries as any other task. Sizes use estimateTokens() from threads.js.
+// Loaded into the service worker via importScripts(), so everything here is a worker global.
+
+// Summarize tasks above this size are chunked
+const LONG_TEXT_THRESHOLD_TOKENS = 3000;
+// Size of one part; small enough for the on-device Summarizer's input quota
+const CHUNK_MAX_TOKENS = 2000;
+// Parts summarized at the same time
+const MAX_CONCURRENT_CHUNKS = 3;
+// Parts summarized at most; text beyond them is left out, and the summary says so
+const MAX_DOCUMENT_CHUNKS = 40;
+
+/**
+ * Whether a task should be summarized part by part rather than in one request.
+ */
+function isLongDocumentTask(task) {
+  return task.type === TASK_SUMMARIZE && !task.history?.length && estimateTokens(task.text) > LONG_TEXT_THRESHOLD_TOKENS;
+}
+
+/**
+ * Splits text into parts of at most `maxTokens`, breaking between paragraphs where possible, then
+ * between sentences, and only inside a sentence when it is longer than a whole part.
+ */
+function splitIntoChunks(text, maxTokens = CHUNK_MAX_TOKENS) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  // Each piece remembers what joins it to the previous one, so sentences of a paragraph stay together
+  const pieces = [];
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    if (!paragraph.trim()) continue;
+    if (paragraph.length <= maxChars) {
+      pieces.push({ text: paragraph, joiner: "\n\n" });
+      continue;
+    }
+    let joiner = "\n\n";
+    for (const sentence of paragraph.match(/[^.!?]*[.!?]+\s*|[^.!?]+$/g)) {
+      for (let start = 0; start < sentence.length; start += maxChars) {
+        pieces.push({ text: sentence.slice(start, start + maxChars), joiner });
+        joiner = "";
+      }
+    }
+  }
+
+  const chunks = [];
+  let current = "";
+  for (const { text: piece, joiner } of pieces) {
+    if (current && current.length + joiner.length + piece.length > maxChars) {
+      chunks.push(current.trim());
+      current = "";
+    }
+    current = current ? current + joiner + piece : piece;
+  }
+  if (current.trim()) chunks.push(current.trim());
+  return chunks;
+}
+
+/**
+ * Runs `worker(item, index)` over `items` with at most `limit` running at once. Resolves to the
+ * results in order; after the first failure no further items are started and the failure is thrown.
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length && !failed) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+/**
+ * A text progress bar for `done` of `total` parts, e.g. "▰▰▱▱ 2/4".
+ */
+function formatChunkProgress(done, total) {
+  return `${"▰".repeat(done)}${"▱".repeat(total - done)} ${done}/${total}`;
+}
+
+/**
+ * The leading part summaries that fit in one request of at most `maxTokens`, joined, and how many
+ * they are. A first summary longer than that is cut to fit.
+ */
+function fitSummariesInOneRequest(summaries, maxTokens = CHUNK_MAX_TOKENS) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  let text = summaries[0].slice(0, maxChars);
+  let count = 1;
+  while (count < summaries.length && text.length + 2 + summaries[count].length <= maxChars) {
+    text += `\n\n${summaries[count]}`;
+    count++;
+  }
+  return { text, count };
+}
+
+/**
+ * Summarizes a long summarize task part by part and merges the part summaries into one summary.
+ * Takes runTaskWithProviders() options (policy, providers, `onChunk`, `signal`); only the final
+ * merge is streamed. `onProgress(message)` reports each finished part.
+ * Resolves like runTaskWithProviders(), plus `condensedText`: the part summaries the final summary
+ * was written from, which stand in for the full text in a follow-up conversation.
+ */
+async function summarizeLongDocument(task, { onProgress = () => {}, onChunk, ...routing } = {}) {
+  const allChunks = splitIntoChunks(task.text);
+  const truncated = allChunks.length > MAX_DOCUMENT_CHUNKS;
+  let parts = allChunks.slice(0, MAX_DOCUMENT_CHUNKS);
+  let round = 1;
+  let condensedText;
+  let merged = null;
+
+  while (true) {
+    let done = 0;
+    const describeRound = round === 1 ? "Summarizing the text in parts" : "Condensing the part summaries";
+    onProgress(`${describeRound}: ${formatChunkProgress(done, parts.length)}`);
+    const summaries = await mapWithConcurrency(parts, MAX_CONCURRENT_CHUNKS, async (part, index) => {
+      const { text } = await runTaskWithProviders({
+        ...task,
+        text: part,
+        systemPrompt: `${task.systemPrompt}\n\nThis is part ${index + 1} of ${parts.length} of a longer text. Summarize only this part.`
+      }, routing);
+      done++;
+      onProgress(`${describeRound}: ${formatChunkProgress(done, parts.length)}`);
+      return text;
+    });
+
+    condensedText = summaries.join("\n\n");
+    // Part summaries that together are still too long for one request are summarized again. When
+    // that no longer shrinks them, only the ones that fit in one request are merged.
+    const nextParts = splitIntoChunks(condensedText);
+    if (nextParts.length <= 1) break;
+    if (nextParts.length >= parts.length) {
+      const fitting = fitSummariesInOneRequest(summaries);
+      condensedText = fitting.text;
+      merged = { count: fitting.count, total: summaries.length };
+      break;
+    }
+    parts = nextParts;
+    round++;
+  }
+
+  onProgress(`Combining ${merged ? merged.count : parts.length} part summaries...`);
+  const result = await runTaskWithProviders({
+    ...task,
+    text: condensedText,
+    systemPrompt: `${task.systemPrompt}\n\nThe text consists of summaries of consecutive parts of one long text. Merge them into a single summary of the whole text.`
+  }, { ...routing, onChunk });
+
+  const notes = [];
+  if (truncated) {
+    notes.push(`_Only the first ${MAX_DOCUMENT_CHUNKS} of ${allChunks.length} parts of the text were summarized._`);
+  }
+  if (merged) {
+    notes.push(`_The part summaries were too long to merge at once; only the first ${merged.count} of ${merged.total} were combined._`);
+  }
+  const note = notes.map(line => `\n\n${line}`).join("");
+  return { ...result, text: result.text + note, condensedText };
+}
@@ -0,0 +1,597 @@
+// Running tasks: routing a preset, image task, follow-up, bilingual view or page translation to the
+// provider layer (providers.js), streaming its progress to a presenter (presenters.js), and keeping
+// what Stop, Retry, the bilingual view and cloud previews need while it runs.
+// Loaded into the service worker via importScripts(); plain globals.
+
+// activeTaskControllers key for the side panel (result panels in tabs use panelTaskKey())
+const SIDE_PANEL_TASK_KEY = "sidepanel";
+
+// Preset kinds whose output can replace the selection in a text field
+const IN_PLACE_TASK_KINDS = [TASK_REWRITE, TASK_TRANSLATE, TASK_PROMPT];
+// What happens to such output (persisted in chrome.storage.local as `applyInPlace`)
+const APPLY_IN_PLACE_ASK = "ask";
+const APPLY_IN_PLACE_AUTO = "auto";
+
+// In-flight task per result panel (or the side panel), so the panel's Stop button can abort it
+const activeTaskControllers = new Map();
+// Last failed task per result panel whose error offers "Retry", re-run by the panel's Retry button
+const retryableTasks = new Map();
+// Last translation shown per result panel (or the side panel), which "Bilingual view" lines up with its source
+const shownTranslations = new Map();
+// Cloud request previews awaiting Send / Cancel, by preview id (see waitForPreviewAnswer())
+const pendingCloudPreviews = new Map();
+// Minimum delay between progressive re-renders of a streaming result
+const STREAM_RENDER_INTERVAL_MS = 150;
+
+/**
+ * Without a key only cloud-only is guaranteed to fail; the other policies may run on-device, as
+ * does every task on a site the privacy rules keep off the cloud.
+ * Shows what to set up in `tab` and resolves to false when the task cannot run at all.
+ */
+async function checkCloudConfigured(tab) {
+    const cloud = createCloudProvider(await getCloudSettings());
+    if ((await getTaskRouting(tab.url)).policy === POLICY_CLOUD_ONLY && !(await cloud.isAvailable())) {
+        createModalPresenter(tab.id).error("Configuration Required", await cloud.unavailableReason(), { actions: [ERROR_ACTION_OPEN_OPTIONS] });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * The backend policy for a task on the page at `url`: the user's policy, or on-device only on a site
+ * the privacy rules keep off the cloud. Resolves to `{ policy, blockedSite }`, `blockedSite` being
+ * the matching entry of that list, if any.
+ */
+async function getTaskRouting(url) {
+    const blockedSite = findBlockedSite(url, (await getPrivacySettings()).blockedSites);
+    return { policy: blockedSite ? POLICY_LOCAL_ONLY : await getProviderPolicy(), blockedSite };
+}
+
+/**
+ * The `confirmSend` for one task run (see runTaskWithProviders()): `presenter` previews each of the
+ * run's cloud requests (every part of a long text and their merge, every batch of a page) on its own.
+ */
+function confirmEachSend(presenter, signal) {
+    return (preview) => presenter.confirmCloudSend(preview, signal);
+}
+
+/**
+ * Resolves with the Send (true) or Cancel (false) answer to the preview shown with `id`. Rejects
+ * when `signal` aborts first (Stop, a closed tab), like the task it belongs to.
+ */
+function waitForPreviewAnswer(id, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            pendingCloudPreviews.delete(id);
+            reject(signal.reason);
+        };
+        signal?.addEventListener("abort", onAbort, { once: true });
+        pendingCloudPreviews.set(id, (send) => {
+            signal?.removeEventListener("abort", onAbort);
+            pendingCloudPreviews.delete(id);
+            resolve(send);
+        });
+    });
+}
+
+/**
+ * Asks for a target language in the tab (see showTranslationModal), starting from the last one used.
+ * `action` is the message the choice is sent back with: "runTranslation" for a preset or image task,
+ * "translatePage" for the whole page.
+ */
+async function injectLanguagePicker(tabId, selectedText, presetId, target, action = "runTranslation") {
+    hideProcessingModal(tabId);
+    const { favorites, lastTarget } = await getLanguagePreferences();
+    injectPageUi({ tabId }, showTranslationModal, [selectedText, presetId, target, { action, favorites, lastTarget, languages: orderLanguageOptions(favorites) }]);
+}
+
+/**
+ * Starts an image task from the context menu. Image results always open in the page's modal, next
+ * to the image, whichever UI mode is set; tasks that need input ask for it there first.
+ */
+async function startImageTask(imageTask, info, tab) {
+    if (!imageTask || !(await checkCloudConfigured(tab))) {
+        return;
+    }
+    if (imageTask.input === PRESET_INPUT_LANGUAGE) {
+        injectLanguagePicker(tab.id, info.srcUrl, imageTask.id, { frameId: info.frameId });
+        return;
+    }
+    if (imageTask.input === PRESET_INPUT_INSTRUCTION) {
+        hideProcessingModal(tab.id);
+        injectPageUi({ tabId: tab.id }, showPromptModal, [info.srcUrl, imageTask.id, imageTask.title, { frameId: info.frameId }]);
+        return;
+    }
+    const frame = { tabId: tab.id, frameId: info.frameId };
+    // Alt text can be set on the image itself when the page is being edited (e.g. in a rich-text editor)
+    const imageTarget = imageTask.id === IMAGE_TASK_ALT_TEXT
+        ? { ...frame, ...(await runInTargetFrame(frame, captureImageElement, [info.srcUrl])) }
+        : null;
+    runImageTask(imageTask, info.srcUrl, createModalPresenter(tab.id), { source: tab, frame, imageTarget });
+}
+
+/**
+ * Builds the provider task for a preset, along with the texts shown while and after it runs.
+ * `instruction` and `targetLanguage` are what the user typed for presets that ask for input;
+ * `image` is the inline image of an image task.
+ */
+function buildPresetTask(preset, text, { instruction, targetLanguage, image } = {}) {
+  const language = preset.input === PRESET_INPUT_LANGUAGE ? targetLanguage : preset.targetLanguage;
+  // Titles like "Translate to..." read as "Translate to Spanish" once the input is known
+  const baseTitle = preset.title.replace(/(\.\.\.|…)$/, "").trim();
+  const title = preset.input === PRESET_INPUT_LANGUAGE ? `${baseTitle} ${targetLanguage}` : baseTitle;
+
+  return {
+    task: {
+      type: preset.kind,
+      text,
+      systemPrompt: fillPresetPrompt(preset, { instruction, targetLanguage: language }),
+      targetLanguage: language,
+      temperature: preset.temperature,
+      maxOutputTokens: preset.maxOutputTokens,
+      topP: preset.topP,
+      safety: preset.safety,
+      outputFormat: preset.outputFormat,
+      // An extract preset that asks for input takes its fields from what the user typed
+      ...(preset.kind === TASK_EXTRACT && { fields: preset.input === PRESET_INPUT_INSTRUCTION ? parseExtractFields(instruction) : preset.fields }),
+      ...(image && { image })
+    },
+    title,
+    processingMessage: preset.input === PRESET_INPUT_LANGUAGE ? `Translating to ${targetLanguage}...` : `Running "${baseTitle}"...`,
+    errorTitle: `${baseTitle} Error`
+  };
+}
+
+/**
+ * Routes and executes a preset, reporting progress and the result to `presenter`.
+ * `options.source` is the `{ url, title }` of the page the text came from, recorded in history;
+ * `options.target` is the editable field it was selected in (see captureEditableTarget), if any;
+ * `options.image` and `options.imageTarget` are set for image tasks (see runImageTask).
+ * Resolves to a `{ status, message?, historyId? }` response suitable for sendResponse.
+ */
+async function runAiTask(preset, selectedText, presenter, options = {}) {
+  const { task, title, processingMessage, errorTitle } = buildPresetTask(preset, selectedText, options);
+  const { policy, blockedSite } = await getTaskRouting(options.source?.url);
+  if (blockedSite && !(await createLocalProvider().isAvailable(task))) {
+    const errorMessage = `Your privacy settings keep ${blockedSite} off the cloud, and this task cannot run on-device in this browser.`;
+    presenter.error(errorTitle, `Error: ${errorMessage}`, { actions: [ERROR_ACTION_OPEN_OPTIONS] });
+    presenter.idle();
+    return { status: "error", message: errorMessage };
+  }
+  // The id is handed to the result view up front so its reply box can continue the conversation
+  const threadId = presenter.supportsFollowUps ? crypto.randomUUID() : null;
+  const target = options.target;
+  const details = {
+    thread: threadId && { id: threadId, followUps: 0, maxFollowUps: MAX_FOLLOW_UP_TURNS },
+    target: target && { tabId: target.tabId, frameId: target.frameId },
+    inPlace: target && IN_PLACE_TASK_KINDS.includes(preset.kind) ? { original: task.text } : null,
+    imageAlt: options.imageTarget && { frameId: options.imageTarget.frameId, editable: options.imageTarget.editable === true },
+    translation: preset.kind === TASK_TRANSLATE ? { targetLanguage: task.targetLanguage, sourceLanguage: null } : null
+  };
+  shownTranslations.delete(presenter.key);
+  if (preset.input === PRESET_INPUT_LANGUAGE && options.targetLanguage) {
+    rememberTargetLanguage(options.targetLanguage);
+  }
+  // The source language is told alongside the translation and shown once both are known;
+  // Stop cancels the detection together with the task, and so does the end of a failed one
+  const controller = new AbortController();
+  const detection = details.translation
+    ? detectSourceLanguage(task.text, { policy, signal: controller.signal }).catch(() => null)
+    : null;
+  try {
+    presenter.processing(processingMessage);
+    const result = await streamTask(presenter, title, task, { details, policy, controller });
+    // Re-shown once with what is known after the output: the detected language, the auto-applied replacement
+    let completed = result && completeResultDetails(details, result);
+    let updated = false;
+    const sourceLanguage = result && detection ? await detection : null;
+    if (sourceLanguage) {
+      completed = { ...completed, translation: { ...completed.translation, sourceLanguage: languageName(sourceLanguage) } };
+      updated = true;
+    }
+    if (result && details.inPlace && (await getApplyInPlaceMode()) === APPLY_IN_PLACE_AUTO) {
+      const applied = await replaceInPage(target, completed.inPlace.original, completed.inPlace.replacement);
+      completed = { ...completed, inPlace: { ...completed.inPlace, applied: applied.status === "success", message: applied.message } };
+      updated = true;
+    }
+    if (updated) {
+      presenter.result(title, result.text, result.backend, false, completed);
+    }
+    if (result && details.translation) {
+      shownTranslations.set(presenter.key, { title, text: result.text, backend: result.backend, source: task.text, policy, details: completed });
+    }
+    if (result && threadId) {
+      // A long text is continued from the part summaries its summary was written from
+      const threadTask = result.condensedText ? { ...task, text: result.condensedText } : task;
+      await saveThread(startThread(threadId, title, threadTask, result));
+    }
+    const historyId = result ? await recordHistory(preset, task, title, result, options) : null;
+    return { status: "success", historyId };
+
+  } catch (error) {
+    console.error(`AI Task Error for ${preset.id}:`, error);
+    const { message: errorMessage, actions } = describeTaskError(error);
+    if (actions.includes(ERROR_ACTION_RETRY)) {
+      retryableTasks.set(presenter.key, () => runAiTask(preset, selectedText, presenter, options));
+    }
+    presenter.error(errorTitle, `Error: ${errorMessage}`, { actions });
+    return { status: "error", message: errorMessage };
+  } finally {
+    controller.abort();
+    presenter.idle();
+  }
+}
+
+/**
+ * Sends a follow-up `message` on a stored thread, streaming the updated conversation to `presenter`.
+ * `sourceUrl` is the page the conversation is about, whose privacy rules it follows.
+ * Errors are shown under the conversation so it can still be continued.
+ */
+async function continueThread(threadId, message, presenter, sourceUrl) {
+  const thread = await getThread(threadId);
+  if (!thread) {
+    const errorMessage = "This conversation is no longer available. Run the task again to start a new one.";
+    presenter.error("Follow-up Error", `Error: ${errorMessage}`);
+    return { status: "error", message: errorMessage };
+  }
+  const followUps = countFollowUps(thread);
+  if (followUps >= MAX_FOLLOW_UP_TURNS) {
+    return { status: "error", message: `This conversation reached its limit of ${MAX_FOLLOW_UP_TURNS} follow-ups. Start fresh to keep asking.` };
+  }
+
+  const question = { role: "user", text: message };
+  const task = {
+    type: TASK_PROMPT,
+    text: message,
+    history: trimThreadHistory(thread.contents),
+    systemPrompt: thread.systemPrompt,
+    temperature: thread.temperature,
+    maxOutputTokens: thread.maxOutputTokens,
+    topP: thread.topP,
+    safety: thread.safety,
+    outputFormat: thread.outputFormat
+  };
+  try {
+    presenter.processing("Thinking about your follow-up...");
+    const result = await streamTask(presenter, thread.title, task, {
+      transcript: `${formatThreadTranscript([...thread.contents, question])}\n\n`,
+      policy: (await getTaskRouting(sourceUrl)).policy,
+      details: { thread: describeThread(thread, followUps + 1) },
+      // A stopped answer is not kept, so the thread continues from where it was
+      stoppedDetails: { thread: describeThread(thread) }
+    });
+    if (result) {
+      await saveThread({ ...thread, contents: [...thread.contents, question, { role: "model", text: result.text }] });
+    }
+    return { status: "success" };
+
+  } catch (error) {
+    console.error("Follow-up Error:", error);
+    const { message: errorMessage } = describeTaskError(error);
+    presenter.result(thread.title, `${formatThreadTranscript(thread.contents)}\n\n**Follow-up failed:** ${errorMessage}`, thread.backend, false, { thread: describeThread(thread) });
+    return { status: "error", message: errorMessage };
+  } finally {
+    presenter.idle();
+  }
+}
+
+/**
+ * Drops a thread's follow-ups and shows its original result again.
+ */
+async function startThreadFresh(threadId, presenter) {
+  const thread = await getThread(threadId);
+  if (!thread) {
+    presenter.error("Follow-up Error", "Error: This conversation is no longer available. Run the task again to start a new one.");
+    return { status: "error" };
+  }
+  const fresh = resetThread(thread);
+  await saveThread(fresh);
+  presenter.result(fresh.title, formatThreadTranscript(fresh.contents), fresh.backend, false, { thread: describeThread(fresh) });
+  return { status: "success" };
+}
+
+/**
+ * Shows the last translation of `presenter` next to its source, sentence by sentence. The sentences
+ * are translated again one by one so each pair lines up. Resolves to `{ status, message? }`; on
+ * failure the translation stays on screen as it was.
+ */
+async function showBilingualView(presenter) {
+  const shown = shownTranslations.get(presenter.key);
+  if (!shown) {
+    return { status: "error", message: "This translation is no longer available. Run it again." };
+  }
+  const sentences = splitIntoSentences(shown.source);
+  try {
+    const { translations } = await translateSegments(sentences, shown.details.translation.targetLanguage, {
+      policy: shown.policy,
+      confirmSend: confirmEachSend(presenter)
+    });
+    const bilingual = sentences.map((source, index) => ({ source, translation: translations[index] ?? "" }));
+    presenter.result(shown.title, shown.text, shown.backend, false, { ...shown.details, bilingual });
+    return { status: "success" };
+  } catch (error) {
+    console.error("Could not line up the translation:", error);
+    return { status: "error", message: describeTaskError(error).message };
+  }
+}
+
+// activeTaskControllers key for a result panel in a tab; the panels of one tab run side by side
+function panelTaskKey(tabId, panelId) {
+  return `${tabId}:${panelId}`;
+}
+
+// activeTaskControllers key for a tab's page translation, which runs beside the tab's other tasks
+function pageTranslationKey(tabId) {
+  return `page-${tabId}`;
+}
+
+/**
+ * Translates the visible text of `tab` into `targetLanguage` in place, batch by batch (see
+ * translate.js). A bar at the top of the page reports progress and can stop the translation,
+ * switch between the original and the translated text, or restore the page.
+ */
+async function translatePage(tab, targetLanguage) {
+  const key = pageTranslationKey(tab.id);
+  activeTaskControllers.get(key)?.abort();
+  const controller = new AbortController();
+  activeTaskControllers.set(key, controller);
+  rememberTargetLanguage(targetLanguage);
+  const showBar = (message, translating) => injectPageUi({ tabId: tab.id }, showPageTranslationBar, [message, translating]);
+
+  try {
+    const [{ result: segments }] = await chrome.scripting.executeScript({ target: { tabId: tab.id }, func: collectPageText, args: [MAX_PAGE_SEGMENTS] });
+    if (!segments.length) {
+      await showBar("No text to translate was found on this page.", false);
+      return { status: "error", message: "No text to translate was found on this page." };
+    }
+    await showBar(`Translating this page to ${targetLanguage}...`, true);
+    const { backend } = await translateSegments(segments, targetLanguage, {
+      policy: (await getTaskRouting(tab.url)).policy,
+      confirmSend: confirmEachSend(createModalPresenter(tab.id), controller.signal),
+      signal: controller.signal,
+      onBatch: (start, translations, done, total) => {
+        chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          func: applyPageTranslation,
+          args: [start, translations, `Translating this page to ${targetLanguage}... ${Math.round(done / total * 100)}%`]
+        })
+          // The page was reloaded, left or restored: nothing is left to translate
+          .then(([{ result: applied }]) => { if (!applied) controller.abort(); })
+          .catch(() => controller.abort());
+      }
+    });
+    await showBar(`Translated to ${targetLanguage} by ${backend}.`, false);
+    return { status: "success" };
+
+  } catch (error) {
+    const stopped = error.name === "AbortError";
+    const errorMessage = stopped ? "Stopped; the rest of the page keeps its original text." : describeTaskError(error).message;
+    if (!stopped) console.error("Page translation error:", error);
+    if (!controller.dismissed) {
+      showBar(stopped ? errorMessage : `Translation failed: ${errorMessage}`, false).catch(() => {});
+    }
+    return { status: "error", message: errorMessage };
+  } finally {
+    if (activeTaskControllers.get(key) === controller) {
+      activeTaskControllers.delete(key);
+    }
+  }
+}
+
+/**
+ * Summarizes the readable main content of `tab` with the user's first summarize preset, in the
+ * side panel or the tab's modal. Resolves like runAiTask().
+ */
+async function summarizePage(tab, inSidePanel) {
+  const presenter = inSidePanel ? createSidePanelPresenter() : createModalPresenter(tab.id);
+  const errorTitle = "Summarize Page Error";
+  presenter.processing("Reading the page...");
+  let pageText;
+  try {
+    [{ result: pageText }] = await chrome.scripting.executeScript({ target: { tabId: tab.id }, func: extractReadableText });
+  } catch (error) {
+    const errorMessage = `This page cannot be read (${error.message}).`;
+    presenter.error(errorTitle, `Error: ${errorMessage}`);
+    presenter.idle();
+    return { status: "error", message: errorMessage };
+  }
+  if (!pageText) {
+    const errorMessage = "No readable text was found on this page.";
+    presenter.error(errorTitle, `Error: ${errorMessage}`);
+    presenter.idle();
+    return { status: "error", message: errorMessage };
+  }
+
+  const preset = (await getPresets()).find(candidate => candidate.kind === TASK_SUMMARIZE)
+    || DEFAULT_PRESETS.find(candidate => candidate.kind === TASK_SUMMARIZE);
+  if (inSidePanel) {
+    await sendSelectionToWorkspace(preset, pageText, tab);
+  }
+  return runAiTask(preset, pageText, presenter, { source: tab });
+}
+
+/**
+ * Downloads the image of an image task and runs the task on it, like runAiTask().
+ * `options.frame` ({ tabId, frameId }) is where the image was clicked: images the worker cannot
+ * download (behind a login, or blob: URLs) are read by the page there instead.
+ */
+async function runImageTask(imageTask, srcUrl, presenter, options = {}) {
+  presenter.processing("Loading the image...");
+  let image;
+  try {
+    image = await loadImage(srcUrl, options.frame);
+  } catch (error) {
+    console.error("Could not load the image:", error);
+    presenter.error(`${imageTask.title} Error`, `Error: ${error.message}`);
+    presenter.idle();
+    return { status: "error", message: error.message };
+  }
+  return runAiTask(imageTask, describeImageSource(srcUrl), presenter, { ...options, image });
+}
+
+async function loadImage(srcUrl, frame) {
+  let blob;
+  try {
+    blob = await fetchImageBlob(srcUrl);
+  } catch (error) {
+    if (!frame) throw error;
+    const dataUrl = await runInTargetFrame(frame, readImageInPage, [srcUrl]);
+    if (typeof dataUrl !== "string") throw error;
+    blob = await (await fetch(dataUrl)).blob();
+  }
+  return toInlineImage(blob);
+}
+
+/**
+ * Runs a preset or image task on text sent back by a page, the side panel or the history store;
+ * for an image task the "text" is the image's URL.
+ */
+function runTaskOn(preset, text, presenter, options) {
+  return isImageTask(preset)
+    ? runImageTask(preset, text, presenter, options)
+    : runAiTask(preset, text, presenter, options);
+}
+
+/**
+ * Resolves a preset id sent by a page or the history store, falling back to the built-in preset
+ * of the same kind when it has since been deleted.
+ */
+async function resolvePreset(presetId, fallbackKind) {
+  return getImageTask(presetId)
+    || (await getPreset(presetId))
+    || DEFAULT_PRESETS.find(preset => preset.id === presetId)
+    || DEFAULT_PRESETS.find(preset => preset.kind === fallbackKind);
+}
+
+/**
+ * Saves a completed task run to history. Failures are logged, never surfaced: the result is already on screen.
+ */
+async function recordHistory(preset, task, title, result, { instruction, targetLanguage, source = {} }) {
+  try {
+    return await addHistoryEntry({
+      presetId: preset.id,
+      taskType: task.type,
+      title,
+      selection: task.text,
+      instruction: preset.input === PRESET_INPUT_INSTRUCTION ? instruction : undefined,
+      targetLanguage: preset.input === PRESET_INPUT_LANGUAGE ? targetLanguage : undefined,
+      sourceUrl: source.url,
+      sourceTitle: source.title,
+      backend: result.backend,
+      output: result.text
+    });
+  } catch (error) {
+    console.error("Could not save the result to history:", error);
+    return null;
+  }
+}
+
+/**
+ * Runs a task through the provider layer, streaming partial output to the presenter.
+ * Any task already running for the same presenter is aborted first. Resolves to the provider
+ * result, or null when the user stopped the task.
+ * `view.transcript` is shown above the output (the conversation so far, for follow-ups);
+ * `view.details` / `view.stoppedDetails` are the presenter details shown once the answer is complete / stopped;
+ * `view.policy` is the backend policy for the page the task came from (see getTaskRouting());
+ * `view.controller` is the task's AbortController when the caller already uses its signal.
+ */
+async function streamTask(presenter, title, task, view = {}) {
+  const { transcript = "", details = {}, stoppedDetails = {} } = view;
+  const running = activeTaskControllers.get(presenter.key);
+  if (running) {
+    // The new task takes over the view; the one it replaces leaves it without a "stopped" result
+    running.superseded = true;
+    running.abort();
+  }
+  const controller = view.controller || new AbortController();
+  activeTaskControllers.set(presenter.key, controller);
+  retryableTasks.delete(presenter.key);
+
+  let partialText = "";
+  let lastRender = 0;
+  const onChunk = (textSoFar, backend) => {
+    partialText = textSoFar;
+    const now = Date.now();
+    if (now - lastRender >= STREAM_RENDER_INTERVAL_MS) {
+      lastRender = now;
+      presenter.result(title, transcript + partialText, `${backend} (streaming...)`, true);
+    }
+  };
+
+  try {
+    const routing = {
+      policy: view.policy || await getProviderPolicy(),
+      onChunk,
+      // Queue waits and retry delays show up in the processing message
+      onWait: (message) => presenter.processing(message),
+      confirmSend: confirmEachSend(presenter, controller.signal),
+      signal: controller.signal
+    };
+    const result = isLongDocumentTask(task)
+      ? await summarizeLongDocument(task, { ...routing, onProgress: (message) => presenter.processing(message) })
+      : await runTaskWithProviders(task, routing);
+    presenter.result(title, transcript + result.text, result.backend, false, completeResultDetails(details, result));
+    return result;
+  } catch (error) {
+    if (error.name !== "AbortError") throw error;
+    // Closing the modal mid-stream and starting another task in the view also abort; only a Stop
+    // click keeps the partial output on screen
+    if (!controller.dismissed && !controller.superseded) {
+      presenter.result(`${title} (stopped)`, transcript + (partialText || "Stopped before any output arrived."), "", false, stoppedDetails);
+    }
+    return null;
+  } finally {
+    if (activeTaskControllers.get(presenter.key) === controller) {
+      activeTaskControllers.delete(presenter.key);
+    }
+  }
+}
+
+/**
+ * The presenter details for a completed result: the view's own, plus the proofread review, the
+ * extracted records, the text that would replace the selection in place and the generated alt text.
+ */
+function completeResultDetails(details, result) {
+  return {
+    ...details,
+    proofread: result.proofread,
+    extraction: result.extraction,
+    inPlace: details.inPlace && {
+      original: details.inPlace.original,
+      replacement: keepSurroundingWhitespace(details.inPlace.original, result.text)
+    },
+    imageAlt: details.imageAlt && { ...details.imageAlt, text: result.text.trim() }
+  };
+}
+
+/**
+ * Trims the model output but keeps the whitespace around the original selection, so replacing it
+ * never glues the result onto the neighbouring words.
+ */
+function keepSurroundingWhitespace(original, output) {
+  if (!original.trim()) return output;
+  return original.match(/^\s*/)[0] + output.trim() + original.match(/\s*$/)[0];
+}
+
+async function getApplyInPlaceMode() {
+  const { applyInPlace } = await chrome.storage.local.get("applyInPlace");
+  return applyInPlace || APPLY_IN_PLACE_ASK;
+}
+
+/**
+ * Cancels the running or queued tasks of a closed tab (see queue.js) and forgets its failed ones.
+ */
+function cancelTabTasks(tabId) {
+    const ofTab = (key) => key === pageTranslationKey(tabId) || String(key).startsWith(panelTaskKey(tabId, ""));
+    for (const [key, controller] of activeTaskControllers) {
+        if (ofTab(key)) {
+            controller.dismissed = true;
+            controller.abort();
+        }
+    }
+    for (const tasks of [retryableTasks, shownTranslations]) {
+        for (const key of [...tasks.keys()].filter(ofTab)) {
+            tasks.delete(key);
+        }
+    }
+}
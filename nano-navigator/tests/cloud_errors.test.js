@@ -0,0 +1,380 @@
+// Tests for the cloud error classification (errors.js), the request queue (queue.js) and the
+// retries, usage records and budget checks in executeCloudAiTask() (providers.js, usage.js),
+// against a local mock server that answers with each failure mode.
+// Run with `node --test tests/` from the nano-navigator directory.
+
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const test = require("node:test");
+const { loadScripts } = require("./helpers/load_worker");
+const { startMockGeminiServer, geminiAnswer } = require("./helpers/mock_gemini_server");
+
+const { context, get } = loadScripts(["errors.js", "queue.js", "languages.js", "privacy.js", "threads.js", "usage.js", "providers.js"], {
+  // Only the cloud settings are read from storage, and every test overrides them
+  chrome: { storage: { local: { get: async () => ({}) } } }
+});
+const {
+  executeCloudAiTask, fetchCloudModels, createRequestQueue, describeTaskError, parseRetryAfter,
+  AuthError, QuotaError, SafetyBlockedError, OfflineError, NetworkError, MalformedResponseError, RequestError,
+  BudgetExceededError, ERROR_ACTION_RETRY, ERROR_ACTION_OPEN_OPTIONS, MAX_CLOUD_ATTEMPTS
+} = get([
+  "executeCloudAiTask", "fetchCloudModels", "createRequestQueue", "describeTaskError", "parseRetryAfter",
+  "AuthError", "QuotaError", "SafetyBlockedError", "OfflineError", "NetworkError", "MalformedResponseError", "RequestError",
+  "BudgetExceededError", "ERROR_ACTION_RETRY", "ERROR_ACTION_OPEN_OPTIONS", "MAX_CLOUD_ATTEMPTS"
+]);
+
+
+const geminiUsage = (prompt, output) => ({ promptTokenCount: prompt, candidatesTokenCount: output, totalTokenCount: prompt + output });
+
+/**
+ * Mock endpoint responses, keyed by the first path segment. Each handler gets the number of
+ * earlier requests for its mode, so a mode can fail first and succeed on a retry, and the path.
+ */
+const MODES = {
+  "ok": () => ({ status: 200, body: geminiAnswer("Hello") }),
+  "bad-key": () => ({
+    status: 400,
+    body: { error: { code: 400, message: "API key not valid. Please pass a valid API key.", status: "INVALID_ARGUMENT", details: [{ reason: "API_KEY_INVALID" }] } }
+  }),
+  "forbidden": () => ({ status: 403, body: { error: { code: 403, message: "Permission denied.", status: "PERMISSION_DENIED" } } }),
+  "rate-limited-once": (hits) => hits === 0
+    ? { status: 429, headers: { "Retry-After": "0" }, body: { error: { code: 429, message: "Resource has been exhausted.", status: "RESOURCE_EXHAUSTED" } } }
+    : { status: 200, body: geminiAnswer("After the wait") },
+  "rate-limited-long": () => ({ status: 429, headers: { "Retry-After": "3600" }, body: { error: { code: 429, message: "Quota exceeded." } } }),
+  "retry-info": () => ({
+    status: 429,
+    body: { error: { code: 429, message: "Quota exceeded.", details: [{ "@type": "type.googleapis.com/google.rpc.RetryInfo", retryDelay: "45s" }] } }
+  }),
+  "overloaded": () => ({ status: 503, body: { error: { code: 503, message: "The model is overloaded." } } }),
+  "overloaded-once": (hits) => hits === 0 ? { status: 503, body: "Service Unavailable" } : { status: 200, body: geminiAnswer("Recovered") },
+  "unknown-model": () => ({ status: 404, body: { error: { code: 404, message: "models/nope is not found." } } }),
+  "prompt-blocked": () => ({ status: 200, body: { promptFeedback: { blockReason: "SAFETY" } } }),
+  "answer-blocked": () => ({ status: 200, body: { candidates: [{ content: { parts: [{ text: "Partial" }] }, finishReason: "SAFETY" }] } }),
+  "malformed": () => ({ status: 200, body: "<html>Proxy login</html>" }),
+  "empty": () => ({ status: 200, body: { candidates: [] } }),
+  "stream-blocked": () => ({
+    status: 200,
+    sse: [geminiAnswer("Once upon"), { candidates: [{ content: { parts: [{ text: " a time" }] }, finishReason: "SAFETY" }] }]
+  }),
+  "openai-filtered": () => ({ status: 200, body: { choices: [{ message: { content: "" }, finish_reason: "content_filter" }] } }),
+  "openai-stream": () => ({
+    status: 200,
+    sse: [{ choices: [{ delta: { content: "Hel" } }] }, { choices: [{ delta: { content: "lo" } }] }, "[DONE]"]
+  }),
+  "with-usage": () => ({
+    status: 200,
+    body: { ...geminiAnswer("Hello"), usageMetadata: { ...geminiUsage(12, 3), thoughtsTokenCount: 5 } }
+  }),
+  "stream-usage": () => ({
+    status: 200,
+    sse: [{ ...geminiAnswer("Once upon"), usageMetadata: geminiUsage(20, 2) }, { ...geminiAnswer(" a time"), usageMetadata: geminiUsage(20, 4) }]
+  }),
+  "openai-stream-usage": () => ({
+    status: 200,
+    sse: [{ choices: [{ delta: { content: "Hi" } }] }, { choices: [], usage: { prompt_tokens: 9, completion_tokens: 1 } }, "[DONE]"]
+  }),
+  "counted": (hits, path) => path.endsWith(":countTokens")
+    ? { status: 200, body: { totalTokens: 7000 } }
+    : { status: 200, body: geminiAnswer("Counted") }
+};
+
+let server;
+let hits;
+let baseUrl;
+let closedPortUrl;
+
+test.before(async () => {
+  server = await startMockGeminiServer(MODES);
+  ({ hits, baseUrl } = server);
+
+  // A port that was just free: connections to it are refused
+  const probe = http.createServer();
+  await new Promise(resolve => probe.listen(0, "127.0.0.1", resolve));
+  closedPortUrl = `http://127.0.0.1:${probe.address().port}/`;
+  await new Promise(resolve => probe.close(resolve));
+});
+
+test.after(() => server.close());
+
+test.beforeEach(() => {
+  server.reset();
+  context.navigator.onLine = true;
+});
+
+/**
+ * Runs a Gemini-format request against the mock server in `mode`.
+ */
+function runMode(mode, options = {}) {
+  return executeCloudAiTask("Some text", "Summarize.", { baseUrl: `${baseUrl}/${mode}/`, model: "test-model", apiKey: "test-key", ...options });
+}
+
+test("a successful response returns the generated text", async () => {
+  assert.equal(await runMode("ok"), "Hello");
+});
+
+test("a rejected API key is an AuthError that is not retried", async () => {
+  await assert.rejects(runMode("bad-key"), (error) => {
+    assert.ok(error instanceof AuthError);
+    assert.match(error.message, /API key not valid/);
+    assert.deepEqual([...error.actions], [ERROR_ACTION_OPEN_OPTIONS]);
+    return true;
+  });
+  assert.equal(hits["bad-key"], 1);
+
+  await assert.rejects(runMode("forbidden"), AuthError);
+  assert.equal(hits["forbidden"], 1);
+});
+
+test("a 429 with a short Retry-After is retried after the wait", async () => {
+  const waits = [];
+  assert.equal(await runMode("rate-limited-once", { onWait: (message) => waits.push(message) }), "After the wait");
+  assert.equal(hits["rate-limited-once"], 2);
+  assert.match(waits[0], /^Rate limited; retrying/);
+});
+
+test("a 429 asking for a long wait is reported instead of waited out", async () => {
+  await assert.rejects(runMode("rate-limited-long"), (error) => {
+    assert.ok(error instanceof QuotaError);
+    assert.equal(error.retryAfterMs, 3600 * 1000);
+    assert.match(error.message, /Try again in 60 minutes/);
+    assert.deepEqual([...error.actions], [ERROR_ACTION_RETRY]);
+    return true;
+  });
+  assert.equal(hits["rate-limited-long"], 1);
+});
+
+test("a Gemini RetryInfo delay counts as Retry-After", async () => {
+  await assert.rejects(runMode("retry-info"), (error) => error instanceof QuotaError && error.retryAfterMs === 45000);
+  assert.equal(hits["retry-info"], 1);
+});
+
+test("server errors are retried, up to the attempt limit", async () => {
+  assert.equal(await runMode("overloaded-once"), "Recovered");
+  assert.equal(hits["overloaded-once"], 2);
+
+  await assert.rejects(runMode("overloaded"), (error) => {
+    assert.ok(error instanceof NetworkError);
+    assert.match(error.message, /HTTP 503/);
+    assert.match(error.message, /The model is overloaded/);
+    return true;
+  });
+  assert.equal(hits["overloaded"], MAX_CLOUD_ATTEMPTS);
+});
+
+test("other rejected requests point to the settings and are not retried", async () => {
+  await assert.rejects(runMode("unknown-model"), (error) => error instanceof RequestError && error.status === 404);
+  assert.equal(hits["unknown-model"], 1);
+});
+
+test("safety blocks carry the API's reason", async () => {
+  await assert.rejects(runMode("prompt-blocked"), (error) => error instanceof SafetyBlockedError && error.reason === "SAFETY");
+  await assert.rejects(runMode("answer-blocked"), (error) => error instanceof SafetyBlockedError && error.reason === "SAFETY");
+  assert.equal(hits["prompt-blocked"], 1);
+  assert.equal(hits["answer-blocked"], 1);
+});
+
+test("a block in the middle of a stream stops it after the text so far", async () => {
+  const chunks = [];
+  await assert.rejects(runMode("stream-blocked", { onChunk: (text) => chunks.push(text) }), SafetyBlockedError);
+  assert.deepEqual(chunks, ["Once upon"]);
+  assert.equal(hits["stream-blocked"], 1);
+});
+
+test("unreadable and empty responses are MalformedResponseErrors", async () => {
+  await assert.rejects(runMode("malformed"), MalformedResponseError);
+  await assert.rejects(runMode("empty"), MalformedResponseError);
+  assert.equal(hits["malformed"], 1);
+  assert.equal(hits["empty"], 1);
+});
+
+test("an unreachable server is a NetworkError, or an OfflineError when the browser is offline", async () => {
+  const options = { baseUrl: closedPortUrl, model: "test-model", apiKey: "test-key" };
+  await assert.rejects(executeCloudAiTask("Some text", "Summarize.", options), NetworkError);
+
+  context.navigator.onLine = false;
+  await assert.rejects(executeCloudAiTask("Some text", "Summarize.", options), (error) => {
+    assert.ok(error instanceof OfflineError);
+    assert.equal(error.retryable, false);
+    return true;
+  });
+});
+
+test("OpenAI-compatible servers stream until [DONE] and report content filtering", async () => {
+  const chunks = [];
+  const text = await runMode("openai-stream", { apiFormat: "openai", onChunk: (textSoFar) => chunks.push(textSoFar) });
+  assert.equal(text, "Hello");
+  assert.deepEqual(chunks, ["Hel", "Hello"]);
+
+  await assert.rejects(runMode("openai-filtered", { apiFormat: "openai" }), (error) => error instanceof SafetyBlockedError && error.reason === "content_filter");
+});
+
+test("listing models classifies failures too", async () => {
+  await assert.rejects(fetchCloudModels("test-key", { baseUrl: `${baseUrl}/bad-key/`, apiFormat: "gemini" }), AuthError);
+});
+
+test("an aborted request is not retried", async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(runMode("ok", { signal: controller.signal }), { name: "AbortError" });
+  assert.equal(hits["ok"], undefined);
+});
+
+test("stopping during a retry wait ends the request at once", async () => {
+  const controller = new AbortController();
+  // The wait before the retry never ends by itself
+  const timers = context.setTimeout;
+  context.setTimeout = () => 0;
+  try {
+    await assert.rejects(runMode("overloaded", {
+      signal: controller.signal,
+      onWait: () => controller.abort()
+    }), { name: "AbortError" });
+  } finally {
+    context.setTimeout = timers;
+  }
+  assert.equal(hits["overloaded"], 1);
+});
+
+test("each request's token counts, latency and outcome are recorded", async () => {
+  const records = [];
+  const onUsage = (record) => records.push(record);
+  await runMode("with-usage", { onUsage, taskType: "summarize" });
+  await runMode("stream-usage", { onUsage, onChunk: () => {} });
+  await runMode("openai-stream-usage", { onUsage, apiFormat: "openai", onChunk: () => {} });
+  // No counts in the response: estimated from the text
+  await runMode("ok", { onUsage });
+  await assert.rejects(runMode("bad-key", { onUsage }), AuthError);
+
+  const summary = records.map(({ taskType, promptTokens, outputTokens, estimated, status, errorName }) =>
+    ({ taskType, promptTokens, outputTokens, estimated, status, errorName }));
+  // Objects from the vm context have other prototypes, so they are compared as JSON
+  assert.equal(JSON.stringify(summary), JSON.stringify([
+    { taskType: "summarize", promptTokens: 12, outputTokens: 8, estimated: false, status: "ok" },
+    { taskType: "prompt", promptTokens: 20, outputTokens: 4, estimated: false, status: "ok" },
+    { taskType: "prompt", promptTokens: 9, outputTokens: 1, estimated: false, status: "ok" },
+    { taskType: "prompt", promptTokens: 9, outputTokens: 2, estimated: true, status: "ok" },
+    { taskType: "prompt", promptTokens: 0, outputTokens: 0, estimated: false, status: "failed", errorName: "AuthError" }
+  ]));
+  assert.ok(records.every(record => record.model === "test-model" && record.latencyMs >= 0));
+});
+
+test("retries are recorded as separate requests", async () => {
+  const records = [];
+  await runMode("overloaded-once", { onUsage: (record) => records.push(record) });
+  assert.deepEqual(records.map(record => record.status), ["failed", "ok"]);
+});
+
+test("a request over the hard budget is not sent, one over the soft budget is sent with a warning", async () => {
+  const records = [];
+  await assert.rejects(runMode("ok", { budget: { softLimit: null, hardLimit: 1000, usedToday: 998 }, onUsage: (record) => records.push(record) }), (error) => {
+    assert.ok(error instanceof BudgetExceededError);
+    assert.match(error.message, /daily cloud budget of 1,000 tokens/);
+    assert.deepEqual([...error.actions], [ERROR_ACTION_OPEN_OPTIONS]);
+    return true;
+  });
+  assert.equal(hits["ok"], undefined);
+  assert.equal(records.length, 0);
+
+  const waits = [];
+  assert.equal(await runMode("ok", { budget: { softLimit: 1000, hardLimit: 5000, usedToday: 998 }, onWait: (message) => waits.push(message) }), "Hello");
+  assert.match(waits[0], /soft budget of 1,000 tokens/);
+});
+
+test("requests sent together count each other's tokens, output included, against the budget", async () => {
+  // About 10 prompt and 1,000 expected output tokens each: the third would go over
+  const budget = { softLimit: null, hardLimit: 2500, usedToday: 0 };
+  const results = await Promise.allSettled([1, 2, 3].map(() => runMode("ok", { budget })));
+  assert.deepEqual(results.map(result => result.status), ["fulfilled", "fulfilled", "rejected"]);
+  assert.ok(results[2].reason instanceof BudgetExceededError);
+  assert.equal(hits["ok"], 2);
+
+  // Once recorded, the requests are in `usedToday` and their reservations are released
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(await runMode("ok", { budget }), "Hello");
+  // A preset's lower max output tokens is all the output it can use
+  const small = { softLimit: null, hardLimit: 200, usedToday: 0 };
+  assert.equal(await runMode("ok", { budget: small, maxOutputTokens: 100 }), "Hello");
+  await assert.rejects(runMode("ok", { budget: small }), BudgetExceededError);
+});
+
+test("large requests are counted with the countTokens endpoint before the budget check", async () => {
+  const budget = { softLimit: null, hardLimit: 6000, usedToday: 0 };
+  assert.equal(await executeCloudAiTask("Short text", "Summarize.", { baseUrl: `${baseUrl}/counted/`, model: "test-model", apiKey: "test-key", budget }), "Counted");
+  assert.equal(hits["counted"], 1);
+
+  // About 4,500 tokens estimated locally, 7,000 counted by the API, plus the expected output: over the budget
+  await assert.rejects(
+    executeCloudAiTask("x".repeat(18000), "Summarize.", { baseUrl: `${baseUrl}/counted/`, model: "test-model", apiKey: "test-key", budget }),
+    (error) => error instanceof BudgetExceededError && /about 8,000 tokens/.test(error.message)
+  );
+  assert.equal(hits["counted"], 2);
+});
+
+test("describeTaskError keeps unclassified errors without actions", () => {
+  const { message, actions } = describeTaskError(new Error("On-device model crashed."));
+  assert.equal(message, "On-device model crashed.");
+  assert.equal(actions.length, 0);
+  assert.deepEqual([...describeTaskError(new OfflineError("Offline.")).actions], [ERROR_ACTION_RETRY]);
+});
+
+test("parseRetryAfter reads seconds, HTTP dates and RetryInfo delays", () => {
+  assert.equal(parseRetryAfter("12"), 12000);
+  assert.equal(parseRetryAfter("1.5s"), 1500);
+  assert.equal(parseRetryAfter("Wed, 21 Oct 2015 07:28:10 GMT", Date.parse("Wed, 21 Oct 2015 07:28:00 GMT")), 10000);
+  assert.equal(parseRetryAfter("soon"), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+// --- Request queue ---
+
+/**
+ * A job that stays running until `finish()` is called.
+ */
+function deferredJob(value) {
+  let finish;
+  const done = new Promise(resolve => { finish = () => resolve(value); });
+  return { job: () => done, finish: () => finish() };
+}
+
+test("the queue runs at most `limit` jobs at a time, in order", async () => {
+  const queue = createRequestQueue(2);
+  const jobs = [deferredJob("a"), deferredJob("b"), deferredJob("c")];
+  const waits = [];
+  const results = jobs.map(({ job }) => queue.run(job, { onWait: (ahead) => waits.push(ahead) }));
+  assert.equal(queue.running, 2);
+  assert.equal(queue.waiting, 1);
+  assert.deepEqual(waits, [1]);
+
+  jobs[0].finish();
+  assert.equal(await results[0], "a");
+  assert.equal(queue.running, 2);
+  assert.equal(queue.waiting, 0);
+
+  jobs[1].finish();
+  jobs[2].finish();
+  assert.deepEqual(await Promise.all(results), ["a", "b", "c"]);
+  assert.equal(queue.running, 0);
+});
+
+test("aborting a queued job removes it without running it", async () => {
+  const queue = createRequestQueue(1);
+  const first = deferredJob("first");
+  const running = queue.run(first.job);
+
+  const controller = new AbortController();
+  let ran = false;
+  const queued = queue.run(() => { ran = true; }, { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(queued, { name: "AbortError" });
+  assert.equal(queue.waiting, 0);
+
+  first.finish();
+  assert.equal(await running, "first");
+  assert.equal(ran, false);
+});
+
+test("a failing job frees its slot", async () => {
+  const queue = createRequestQueue(1);
+  await assert.rejects(queue.run(async () => { throw new Error("boom"); }), /boom/);
+  assert.equal(await queue.run(async () => "next"), "next");
+});
@@ -0,0 +1,105 @@
+// End-to-end test: loads the unpacked extension into headless Chrome, points its cloud backend at
+// the mock Gemini server and runs a preset on a page. Puppeteer is a development dependency
+// (package.json) the extension does not ship; the test is skipped unless it is installed
+// (`npm install` in this directory, which also downloads a Chrome for Testing build).
+// Run with `node --test tests/` from the nano-navigator directory.
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { EXTENSION_DIR } = require("./helpers/load_worker");
+const { startMockGeminiServer, geminiAnswer } = require("./helpers/mock_gemini_server");
+
+let puppeteer = null;
+try {
+  puppeteer = require("puppeteer");
+} catch (error) {
+  // Skipped below
+}
+const skip = !puppeteer && "puppeteer is not installed (run npm install)";
+
+const ARTICLE = "Tides are caused by the gravitational pull of the moon and the sun on the oceans.";
+
+const MODES = {
+  // The page the preset runs on
+  "page": () => ({
+    status: 200,
+    headers: { "Content-Type": "text/html" },
+    body: `<!DOCTYPE html><title>Tides</title><p id="article">${ARTICLE}</p>`
+  }),
+  "answer": (hits, path) => path.includes("streamGenerateContent")
+    ? { sse: [geminiAnswer("Tides come from "), geminiAnswer("the moon and the sun.")] }
+    : { status: 200, body: geminiAnswer("Tides come from the moon and the sun.") }
+};
+
+test("a preset run from the context menu streams the cloud answer into the page", { skip, timeout: 60000 }, async (t) => {
+  const server = await startMockGeminiServer(MODES);
+  // Closed even when Chrome fails to start, or the server would keep the test process alive
+  t.after(() => server.close());
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: [
+      `--disable-extensions-except=${EXTENSION_DIR}`,
+      `--load-extension=${EXTENSION_DIR}`,
+      // Chrome will not start its sandbox as root, e.g. in CI containers
+      ...(process.getuid?.() === 0 ? ["--no-sandbox"] : [])
+    ]
+  });
+
+  try {
+    const workerTarget = await browser.waitForTarget(
+      target => target.type() === "service_worker" && target.url().endsWith("/service_worker.js")
+    );
+    const worker = await workerTarget.worker();
+
+    const page = await browser.newPage();
+    await page.goto(`${server.baseUrl}/page/article.html`);
+
+    // Context menu clicks cannot be simulated, so the worker's listener is called directly
+    await worker.evaluate(async (baseUrl, pageUrl, selectionText) => {
+      await chrome.storage.local.set({
+        geminiApiKey: "test-key",
+        cloudBaseUrl: `${baseUrl}/answer/`,
+        providerPolicy: "cloud-only",
+        uiMode: "modal"
+      });
+      const [tab] = await chrome.tabs.query({ url: pageUrl });
+      await handleContextMenuClick({ menuItemId: "PRESET_summarize", selectionText }, tab);
+    }, server.baseUrl, page.url(), ARTICLE);
+
+    // The pop-ups live in a closed shadow root in the extension's isolated world, out of the page's
+    // reach, so the worker reads them back through chrome.scripting
+    const readPanel = () => worker.evaluate(async (pageUrl) => {
+      const [tab] = await chrome.tabs.query({ url: pageUrl });
+      const [{ result }] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: () => {
+          const panel = window.nanoNavigatorUi?.root.querySelector(".nn-dialog[role=dialog]");
+          return panel && {
+            title: panel.querySelector(".nn-title").textContent,
+            body: panel.querySelector(".nn-content").textContent.trim(),
+            backend: panel.querySelector(".nn-backend")?.textContent || "",
+            stopShown: Boolean(panel.querySelector("[data-action=stop]"))
+          };
+        }
+      });
+      return result;
+    }, page.url());
+
+    let modal = null;
+    const deadline = Date.now() + 20000;
+    // Stop goes away once the answer has finished streaming
+    while (!modal || modal.stopShown) {
+      assert.ok(Date.now() < deadline, "the result panel did not finish");
+      await new Promise(resolve => setTimeout(resolve, 250));
+      modal = await readPanel();
+    }
+    assert.equal(modal.title, "Summarize (Key Points)");
+    assert.equal(modal.body, "Tides come from the moon and the sun.");
+    assert.match(modal.backend, /^Answered by: Cloud Gemini/);
+
+    const cloudRequest = server.requests.find(request => request.mode === "answer");
+    assert.match(JSON.stringify(cloudRequest.body.contents), /gravitational pull/);
+  } finally {
+    await browser.close();
+  }
+});
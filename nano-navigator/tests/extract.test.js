@@ -0,0 +1,126 @@
+// Tests for the structured extraction of extract.js and the extract presets of presets.js.
+// Run with `node --test tests/` from the nano-navigator directory.
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { loadScripts } = require("./helpers/load_worker");
+
+// providers.js (with the queue.js it needs) parses the structured answers
+const {
+  parseExtractFields, formatExtractFields, buildExtractionSchema, toJsonSchema, parseExtractionResponse,
+  formatExtractionMarkdown, recordsToCsv, compareExtractValues, normalizePreset, DEFAULT_PRESETS
+} = loadScripts(["queue.js", "providers.js", "extract.js", "presets.js"]).get([
+  "parseExtractFields", "formatExtractFields", "buildExtractionSchema", "toJsonSchema", "parseExtractionResponse",
+  "formatExtractionMarkdown", "recordsToCsv", "compareExtractValues", "normalizePreset", "DEFAULT_PRESETS"
+]);
+
+// Objects made in the vm's realm only compare equal once copied into this one
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+const FIELDS = [
+  { name: "product", type: "text", description: "" },
+  { name: "price", type: "number", description: "In dollars." },
+  { name: "in stock", type: "boolean", description: "" }
+];
+
+test("fields are read one per line, or comma-separated on a single line", () => {
+  assert.deepEqual(copy(parseExtractFields("product, price: number, in stock: yes/no")), FIELDS.map(field => ({ ...field, description: "" })));
+  assert.deepEqual(copy(parseExtractFields("price: number - In dollars, without tax\nnote: 10:30")), [
+    { name: "price", type: "number", description: "In dollars, without tax" },
+    // Not a known type, so part of the name
+    { name: "note: 10:30", type: "text", description: "" }
+  ]);
+  assert.deepEqual(copy(parseExtractFields("Name\n name \n\nNAME\nemail: Yes/No")), [
+    // Repeated names are kept once
+    { name: "Name", type: "text", description: "" },
+    { name: "email", type: "boolean", description: "" }
+  ]);
+  assert.deepEqual(copy(parseExtractFields("")), []);
+  assert.deepEqual(copy(parseExtractFields(formatExtractFields(FIELDS))), FIELDS);
+});
+
+test("the schema asks for records with every field, in order, and converts for the Prompt API", () => {
+  const schema = buildExtractionSchema(FIELDS);
+  const items = schema.properties.records.items;
+  assert.deepEqual(copy(items.propertyOrdering), ["product", "price", "in stock"]);
+  assert.deepEqual(copy(items.required), ["product", "price", "in stock"]);
+  assert.equal(items.properties.price.type, "NUMBER");
+  assert.equal(items.properties.price.nullable, true);
+  assert.match(items.properties.price.description, /^In dollars\. null when/);
+  assert.match(buildExtractionSchema([{ name: "due", type: "date", description: "" }]).properties.records.items.properties.due.description, /ISO 8601/);
+
+  const jsonSchema = copy(toJsonSchema(schema));
+  assert.equal(jsonSchema.type, "object");
+  assert.deepEqual(jsonSchema.properties.records.items.properties["in stock"].type, ["boolean", "null"]);
+  assert.equal(jsonSchema.properties.records.items.propertyOrdering, undefined);
+});
+
+test("the response is validated: values are coerced to their field type or left empty", () => {
+  const json = "```json\n" + JSON.stringify({
+    records: [
+      { product: "Kettle", price: "$1,299.50", "in stock": "yes" },
+      { Product: "  Toaster ", price: 24, "In Stock": false },
+      { product: "Lamp", price: "on request", "in stock": "maybe" },
+      { product: null, price: null },
+      "not a record"
+    ]
+  }) + "\n```";
+  const { records, invalid } = parseExtractionResponse(json, FIELDS);
+  assert.deepEqual(copy(records), [
+    { product: "Kettle", price: 1299.5, "in stock": true },
+    { product: "Toaster", price: 24, "in stock": false },
+    { product: "Lamp", price: null, "in stock": null }
+  ]);
+  assert.equal(invalid, 3);
+
+  assert.deepEqual(copy(parseExtractionResponse("[]", FIELDS)), { records: [], invalid: 0 });
+  assert.throws(() => parseExtractionResponse("{\"records\": [", FIELDS), /malformed/);
+  assert.throws(() => parseExtractionResponse("{\"items\": []}", FIELDS), /did not include any records/);
+});
+
+test("records are written as a Markdown table and as CSV", () => {
+  const records = [
+    { product: "Kettle | 1.7 l", price: 24.9, "in stock": true },
+    { product: "=HYPERLINK(\"http://x\")", price: -3, "in stock": null },
+    { product: "Quote \"deluxe\",\nnew", price: null, "in stock": false }
+  ];
+  assert.equal(formatExtractionMarkdown(FIELDS, records, 1), [
+    "| product | price | in stock |",
+    "| --- | ---: | --- |",
+    "| Kettle \\| 1.7 l | 24.9 | Yes |",
+    "| =HYPERLINK(\"http://x\") | -3 |  |",
+    "| Quote \"deluxe\", new |  | No |",
+    "",
+    "_1 value did not match the field type and was left empty._"
+  ].join("\n"));
+  assert.equal(formatExtractionMarkdown(FIELDS, []), "No matching records were found in the text.");
+
+  assert.equal(recordsToCsv(FIELDS, records), [
+    "product,price,in stock",
+    "Kettle | 1.7 l,24.9,true",
+    // A spreadsheet would run the formula; a negative number stays a number
+    "\"'=HYPERLINK(\"\"http://x\"\")\",-3,",
+    "\"Quote \"\"deluxe\"\",\nnew\",,false"
+  ].join("\r\n"));
+});
+
+test("values sort by type with empty cells last, in either direction", () => {
+  const sort = (values, direction) => [...values].sort((a, b) => compareExtractValues(a, b, direction));
+  assert.deepEqual(sort(["item 10", null, "Item 2", "apple"], 1), ["apple", "Item 2", "item 10", null]);
+  assert.deepEqual(sort([3, null, 12, -1], -1), [12, 3, -1, null]);
+  assert.deepEqual(sort([true, false, null], 1), [false, true, null]);
+});
+
+test("extract presets need fields unless they ask for them when they run", () => {
+  for (const preset of DEFAULT_PRESETS.filter(candidate => candidate.kind === "extract")) {
+    assert.deepEqual(copy(normalizePreset(preset).fields), copy(preset.fields), preset.title);
+  }
+
+  const edited = normalizePreset({ title: "Products", kind: "extract", systemPrompt: "Extract the products.", fields: "product\nprice: number" });
+  assert.deepEqual(copy(edited.fields), [{ name: "product", type: "text", description: "" }, { name: "price", type: "number", description: "" }]);
+  assert.throws(() => normalizePreset({ title: "Products", kind: "extract", systemPrompt: "Extract the products.", fields: " " }), /needs at least one field/);
+
+  const asking = normalizePreset({ title: "Ask", kind: "extract", input: "instruction", systemPrompt: "Extract.", fields: "stale" });
+  assert.deepEqual(copy(asking.fields), []);
+  assert.equal(normalizePreset({ title: "Sum", kind: "summarize", systemPrompt: "Sum.", fields: "x" }).fields, undefined);
+});
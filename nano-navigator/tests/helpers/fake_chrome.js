@@ -0,0 +1,179 @@
+// A fake of the `chrome.*` extension APIs the worker and the injected functions use, for running
+// them in Node. Storage is kept in memory and fires onChanged; context menus, injected scripts,
+// opened pages and side panels are recorded for the tests to inspect; events can be dispatched.
+
+/**
+ * An extension event (chrome.runtime.onMessage, ...). `dispatch(...args)` calls every listener
+ * and returns what they returned.
+ */
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: (listener) => listeners.includes(listener),
+    dispatch: (...args) => listeners.map(listener => listener(...args))
+  };
+}
+
+/**
+ * A chrome.storage area. Like the real one, get() and set() return promises and also take a
+ * callback; set() and remove() fire chrome.storage.onChanged.
+ */
+function createStorageArea(areaName, onChanged, initial = {}) {
+  const data = structuredClone(initial);
+  const settle = (value, callback) => {
+    callback?.(value);
+    return Promise.resolve(value);
+  };
+  const notify = (changes) => {
+    if (Object.keys(changes).length > 0) onChanged.dispatch(changes, areaName);
+  };
+
+  return {
+    data,
+    get(keys, callback) {
+      let result;
+      if (keys === null || keys === undefined) {
+        result = structuredClone(data);
+      } else if (typeof keys === "string" || Array.isArray(keys)) {
+        result = {};
+        for (const key of [].concat(keys)) {
+          if (key in data) result[key] = structuredClone(data[key]);
+        }
+      } else {
+        result = { ...keys };
+        for (const key of Object.keys(keys)) {
+          if (key in data) result[key] = structuredClone(data[key]);
+        }
+      }
+      return settle(result, callback);
+    },
+    set(items, callback) {
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { oldValue: data[key], newValue: structuredClone(value) };
+        data[key] = structuredClone(value);
+      }
+      notify(changes);
+      return settle(undefined, callback);
+    },
+    remove(keys, callback) {
+      const changes = {};
+      for (const key of [].concat(keys)) {
+        if (key in data) {
+          changes[key] = { oldValue: data[key] };
+          delete data[key];
+        }
+      }
+      notify(changes);
+      return settle(undefined, callback);
+    },
+    clear(callback) {
+      return this.remove(Object.keys(data), callback);
+    }
+  };
+}
+
+/**
+ * Creates the fake `chrome`. `local` and `session` are the initial storage contents; `tabs` is
+ * what chrome.tabs.query() finds. chrome.scripting.executeScript() records each injection and
+ * answers with `onExecuteScript(injection)`, by default `[{ frameId: 0, result: undefined }]`.
+ */
+function createFakeChrome({ local = {}, session = {}, tabs = [], onExecuteScript } = {}) {
+  const onChanged = createEvent();
+  const menuItems = new Map();
+
+  const chrome = {
+    storage: {
+      onChanged,
+      local: createStorageArea("local", onChanged, local),
+      session: createStorageArea("session", onChanged, session)
+    },
+
+    contextMenus: {
+      items: menuItems,
+      onClicked: createEvent(),
+      create(properties) {
+        if (menuItems.has(properties.id)) {
+          throw new Error(`Cannot create item with duplicate id ${properties.id}`);
+        }
+        menuItems.set(properties.id, { ...properties });
+        return properties.id;
+      },
+      update(id, properties) {
+        if (menuItems.has(id)) Object.assign(menuItems.get(id), properties);
+        return Promise.resolve();
+      },
+      removeAll() {
+        menuItems.clear();
+        return Promise.resolve();
+      }
+    },
+
+    scripting: {
+      injections: [],
+      onExecuteScript: onExecuteScript || (() => [{ frameId: 0, result: undefined }]),
+      async executeScript(injection) {
+        chrome.scripting.injections.push(injection);
+        return chrome.scripting.onExecuteScript(injection);
+      }
+    },
+
+    runtime: {
+      id: "fake-extension-id",
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      optionsPageOpened: 0,
+      sentMessages: [],
+      openOptionsPage() {
+        chrome.runtime.optionsPageOpened++;
+        return Promise.resolve();
+      },
+      // What the injected functions send to the worker
+      sendMessage(message, callback) {
+        chrome.runtime.sentMessages.push(message);
+        callback?.(undefined);
+        return Promise.resolve(undefined);
+      },
+      getURL: (path) => `chrome-extension://fake-extension-id/${path}`
+    },
+
+    sidePanel: {
+      opened: [],
+      open(options) {
+        chrome.sidePanel.opened.push(options);
+        return Promise.resolve();
+      },
+      setPanelBehavior: () => Promise.resolve()
+    },
+
+    tabs: {
+      onRemoved: createEvent(),
+      query: async () => tabs
+    }
+  };
+  return chrome;
+}
+
+/**
+ * Sends `request` to the chrome.runtime.onMessage listeners as if from `sender`. Resolves to the
+ * response, or undefined when no listener answers.
+ */
+function dispatchMessage(chrome, request, sender = {}) {
+  return new Promise(resolve => {
+    let answered = false;
+    const sendResponse = (response) => {
+      answered = true;
+      resolve(response);
+    };
+    const keepsChannelOpen = chrome.runtime.onMessage.dispatch(request, sender, sendResponse).includes(true);
+    if (!keepsChannelOpen && !answered) resolve(undefined);
+  });
+}
+
+module.exports = { createFakeChrome, createEvent, dispatchMessage };
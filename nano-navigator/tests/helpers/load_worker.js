@@ -0,0 +1,86 @@
+// Loads the extension's worker scripts into Node vm contexts. loadWorker() runs service_worker.js
+// as Chrome would, pulling in the other scripts through importScripts(). `chrome` is the fake from
+// fake_chrome.js; there are no on-device AI APIs and no IndexedDB, so tasks go to the cloud and
+// history and usage records are skipped (with a warning the loader keeps quiet). loadScripts()
+// runs only the scripts a test needs, for the modules tested on their own.
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const EXTENSION_DIR = path.join(__dirname, "..", "..");
+
+function readScript(file) {
+  return fs.readFileSync(path.join(EXTENSION_DIR, file), "utf8");
+}
+
+/**
+ * The web globals a worker has, for a fresh context. Logging is kept quiet, and retry delays,
+ * which are real seconds in the worker, pass at once: the tests only care that retries happen.
+ */
+function workerGlobals() {
+  return {
+    console: { ...console, log: () => {}, warn: () => {}, error: () => {} },
+    URL,
+    Headers,
+    Request,
+    Response,
+    Blob,
+    fetch,
+    TextEncoder,
+    TextDecoder,
+    TextDecoderStream,
+    AbortController,
+    AbortSignal,
+    DOMException,
+    crypto,
+    btoa,
+    atob,
+    structuredClone,
+    setTimeout: (callback) => setTimeout(callback, 0),
+    clearTimeout,
+    navigator: { onLine: true }
+  };
+}
+
+/**
+ * `{ context, get(names) }` for a context the scripts ran in; `get(["runAiTask", ...])` reads
+ * top-level declarations, which are not properties of the context.
+ */
+function scriptScope(context) {
+  return {
+    context,
+    get: (names) => vm.runInContext(`({ ${names.join(", ")} })`, context)
+  };
+}
+
+/**
+ * Runs some of the extension's classic scripts, in order, with the globals of a worker (see
+ * workerGlobals()) and `globals` added or overriding them. Returns `{ context, get(names) }`.
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ ...workerGlobals(), ...globals });
+  context.self = context;
+  for (const file of files) {
+    vm.runInContext(readScript(file), context, { filename: file });
+  }
+  return scriptScope(context);
+}
+
+/**
+ * Runs service_worker.js with `chrome` and the globals of a worker, `globals` adding or
+ * overriding them. Returns `{ context, get(names) }`, as loadScripts() does.
+ */
+function loadWorker(chrome, globals = {}) {
+  const context = vm.createContext({ chrome, ...workerGlobals(), ...globals });
+  context.self = context;
+  context.importScripts = (...files) => {
+    for (const file of files) {
+      vm.runInContext(readScript(file), context, { filename: file });
+    }
+  };
+  vm.runInContext(readScript("service_worker.js"), context, { filename: "service_worker.js" });
+  return scriptScope(context);
+}
+
+module.exports = { loadWorker, loadScripts, readScript, EXTENSION_DIR };
@@ -0,0 +1,75 @@
+// A local stand-in for the Gemini API (and OpenAI-compatible servers) for the tests.
+// Each test points the cloud base URL at `${baseUrl}/<mode>/`, and the mode's handler decides the
+// answer: a JSON body with a status, or a server-sent event stream.
+
+const http = require("node:http");
+
+const geminiAnswer = (text) => ({ candidates: [{ content: { parts: [{ text }] }, finishReason: "STOP" }] });
+
+/**
+ * Starts the server. `modes` maps the first path segment to a handler that gets the number of
+ * earlier requests for its mode, the request path and the parsed request body, and returns
+ * `{ status, headers?, body }` or `{ sse: [events], hold? }`; events are objects sent as JSON or
+ * literal strings such as "[DONE]", and `hold` keeps the stream open until the client goes away.
+ * Resolves to `{ baseUrl, hits, requests, reset(), close() }`; `hits` counts requests per mode and
+ * `requests` lists `{ mode, path, body, closed }`, `closed` turning true once the response is over
+ * (for a held stream, once the client went away).
+ */
+async function startMockGeminiServer(modes) {
+  const hits = {};
+  const requests = [];
+
+  const server = http.createServer(async (request, response) => {
+    let rawBody = "";
+    for await (const chunk of request) rawBody += chunk;
+    const mode = request.url.split("/")[1];
+    let body = null;
+    try {
+      body = rawBody ? JSON.parse(rawBody) : null;
+    } catch (error) {
+      body = rawBody;
+    }
+    const entry = { mode, path: request.url, body, closed: false };
+    requests.push(entry);
+    response.on("close", () => {
+      entry.closed = true;
+    });
+
+    const handler = modes[mode];
+    if (!handler) {
+      response.writeHead(404, { "Content-Type": "application/json" });
+      response.end(JSON.stringify({ error: { code: 404, message: `No mock mode "${mode}".` } }));
+      return;
+    }
+    const reply = handler(hits[mode] || 0, request.url, body);
+    hits[mode] = (hits[mode] || 0) + 1;
+    if (reply.sse) {
+      response.writeHead(200, { "Content-Type": "text/event-stream" });
+      for (const event of reply.sse) {
+        response.write(`data: ${typeof event === "string" ? event : JSON.stringify(event)}\r\n\r\n`);
+      }
+      if (!reply.hold) response.end();
+      return;
+    }
+    response.writeHead(reply.status, { "Content-Type": "application/json", ...reply.headers });
+    response.end(typeof reply.body === "string" ? reply.body : JSON.stringify(reply.body));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    hits,
+    requests,
+    reset() {
+      for (const mode of Object.keys(hits)) delete hits[mode];
+      requests.length = 0;
+    },
+    close() {
+      // Held streams would keep close() waiting
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startMockGeminiServer, geminiAnswer };
@@ -0,0 +1,67 @@
+// Tests for markdown.js against the corpus in markdown_corpus.json.
+// Run with `node --test tests/` from the nano-navigator directory.
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const { loadScripts } = require("./helpers/load_worker");
+
+const { renderMarkdown, MARKDOWN_ALLOWED_TAGS } = loadScripts(["markdown.js"]).get(["renderMarkdown", "MARKDOWN_ALLOWED_TAGS"]);
+
+const corpus = JSON.parse(fs.readFileSync(path.join(__dirname, "markdown_corpus.json"), "utf8"));
+
+/**
+ * Fails unless every tag in `html` is whitelisted, with whitelisted attributes and safe values,
+ * and no markup is left once those tags are removed.
+ */
+function assertOnlyAllowedMarkup(html) {
+  const text = html.replace(/<(\/?)([a-zA-Z][\w-]*)([^>]*)>/g, (tag, closing, name, attributes) => {
+    assert.ok(Object.hasOwn(MARKDOWN_ALLOWED_TAGS, name), `unexpected tag ${tag}`);
+    const rest = attributes.replace(/\s([a-z]+)="([^"]*)"/g, (_, attribute, value) => {
+      assert.ok(MARKDOWN_ALLOWED_TAGS[name].includes(attribute), `unexpected attribute in ${tag}`);
+      if (attribute === "href") assert.match(value, /^(https?:\/\/|mailto:)/, `unsafe link in ${tag}`);
+      if (attribute === "style") assert.match(value, /^text-align: (left|center|right)$/, `unexpected style in ${tag}`);
+      if (attribute === "start") assert.match(value, /^\d+$/, `unexpected start in ${tag}`);
+      return "";
+    });
+    assert.equal(rest, "", `unparsed attributes in ${tag}`);
+    assert.ok(!closing || attributes === "", `attributes on a closing tag ${tag}`);
+    return "";
+  });
+  assert.ok(!text.includes("<") && !text.includes(">"), `markup left outside the whitelist: ${text}`);
+}
+
+function assertExpectations(html, { contains = [], excludes = [] }) {
+  for (const fragment of contains) {
+    assert.ok(html.includes(fragment), `expected ${JSON.stringify(fragment)} in ${JSON.stringify(html)}`);
+  }
+  for (const fragment of excludes) {
+    assert.ok(!html.includes(fragment), `did not expect ${JSON.stringify(fragment)} in ${JSON.stringify(html)}`);
+  }
+}
+
+test("malicious input never produces markup outside the whitelist", async (t) => {
+  for (const sample of corpus.malicious) {
+    await t.test(sample.name, () => {
+      const html = renderMarkdown(sample.input);
+      assertOnlyAllowedMarkup(html);
+      assertExpectations(html, sample);
+    });
+  }
+});
+
+test("rich Markdown renders to the expected HTML", async (t) => {
+  for (const sample of corpus.rich) {
+    await t.test(sample.name, () => {
+      const html = renderMarkdown(sample.input);
+      assertOnlyAllowedMarkup(html);
+      assertExpectations(html, sample);
+    });
+  }
+});
+
+test("empty and missing input render to nothing", () => {
+  assert.equal(renderMarkdown(""), "");
+  assert.equal(renderMarkdown(undefined), "");
+});
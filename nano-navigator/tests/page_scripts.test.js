@@ -0,0 +1,416 @@
+// Tests for the UI the worker injects into web pages (page_ui.js and page_scripts.js), in a jsdom
+// page with a fake `chrome`. jsdom is a development dependency (package.json) the extension does not
+// ship; these tests are skipped unless it is installed (`npm install` in this directory).
+// Run with `node --test tests/` from the nano-navigator directory.
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { createFakeChrome } = require("./helpers/fake_chrome");
+const { readScript } = require("./helpers/load_worker");
+
+let JSDOM = null;
+try {
+  ({ JSDOM } = require("jsdom"));
+} catch (error) {
+  // Skipped below
+}
+const skip = !JSDOM && "jsdom is not installed (run npm install)";
+
+/**
+ * A page with page_ui.js and page_scripts.js loaded, as if the worker had injected them.
+ * `respond(message)` answers the messages the page sends the worker; they are recorded in `sent`,
+ * copied out of the page's realm so they compare with deepEqual. `$` and `$$` query the UI's
+ * shadow root, which the page's own document cannot see into.
+ */
+function createPage({ respond = () => undefined, local = {}, html = "<p id=\"article\">Some article text.</p>" } = {}) {
+  const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, {
+    runScripts: "outside-only",
+    url: "https://news.example.org/story"
+  });
+  const { window } = dom;
+  const chrome = createFakeChrome({ local });
+  const sent = chrome.runtime.sentMessages;
+  chrome.runtime.sendMessage = (message, callback) => {
+    sent.push(JSON.parse(JSON.stringify(message)));
+    const response = respond(message);
+    callback?.(response);
+    return Promise.resolve(response);
+  };
+  const clipboard = [];
+  Object.defineProperty(window.navigator, "clipboard", {
+    value: { writeText: async (text) => { clipboard.push(text); } }
+  });
+  window.chrome = chrome;
+  window.eval(readScript("page_ui.js"));
+  window.eval(readScript("page_scripts.js"));
+  const root = window.nanoNavigatorUi.root;
+  return {
+    window,
+    document: window.document,
+    chrome,
+    sent,
+    clipboard,
+    root,
+    $: (selector) => root.querySelector(selector),
+    $$: (selector) => [...root.querySelectorAll(selector)]
+  };
+}
+
+function press(window, element, key, options = {}) {
+  element.dispatchEvent(new window.KeyboardEvent("keydown", { key, bubbles: true, cancelable: true, ...options }));
+}
+
+const PANEL = { id: "task-1", markdown: "**Done**" };
+
+// --- Result panels ---
+
+test("results render in a closed shadow root, as a dialog named by its title", { skip }, () => {
+  const { window, document, root, $ } = createPage();
+  window.displayResultModal("<img src=x onerror=alert(1)>", "<p><strong>Done</strong></p>", "Cloud Gemini", false, {}, PANEL);
+
+  const host = document.getElementById("nano-navigator-ui");
+  assert.equal(host.shadowRoot, null, "the page cannot reach into the UI");
+  assert.equal(document.querySelector("[role=dialog]"), null);
+
+  const dialog = $("[role=dialog]");
+  assert.equal(dialog.getAttribute("aria-modal"), "false");
+  const title = root.getElementById(dialog.getAttribute("aria-labelledby"));
+  assert.equal(title.textContent, "<img src=x onerror=alert(1)>");
+  assert.equal(title.querySelector("img"), null);
+  assert.equal($(".nn-content strong").textContent, "Done");
+  assert.equal($(".nn-backend").textContent, "Answered by: Cloud Gemini");
+  assert.equal($("[data-action=stop]"), null);
+  // Page CSP blocks inline handlers, so none are used
+  assert.equal($("[onclick]"), null);
+  assert.equal(root.activeElement, dialog, "a new panel takes the focus");
+
+  $("[data-action=close]").click();
+  assert.equal($("[role=dialog]"), null);
+});
+
+test("while streaming a panel is re-rendered in place, and Stop, Close or Escape stop the task", { skip }, () => {
+  const { window, sent, root, $, $$ } = createPage();
+  window.displayResultModal("Summary", "<p>Part</p>", "Cloud Gemini", true, {}, PANEL);
+  $("[data-action=stop]").focus();
+  window.displayResultModal("Summary", "<p>Part and more</p>", "Cloud Gemini", true, {}, PANEL);
+  assert.equal($$("[role=dialog]").length, 1);
+  assert.equal($(".nn-content").textContent.trim(), "Part and more");
+  assert.equal(root.activeElement, $("[data-action=stop]"), "the focus stays on Stop across re-renders");
+  assert.equal($("[data-action=copy-text]"), null, "the output actions wait for the whole output");
+
+  $("[data-action=stop]").click();
+  assert.deepEqual(sent.at(-1), { action: "stopTask", panelId: "task-1" });
+  press(window, $("[data-action=stop]"), "Escape");
+  assert.deepEqual(sent.at(-1), { action: "stopTask", panelId: "task-1", dismiss: true });
+  assert.equal($("[role=dialog]"), null);
+});
+
+test("results of different tasks stack instead of replacing each other", { skip }, () => {
+  const { window, $$ } = createPage();
+  window.displayResultModal("First", "<p>One</p>", "Cloud Gemini", false, {}, { id: "task-1", markdown: "One" });
+  window.displayResultModal("Second", "<p>Two</p>", "Cloud Gemini", false, {}, { id: "task-2", markdown: "Two" });
+  window.displayResultModal("First (updated)", "<p>One</p>", "Cloud Gemini", false, {}, { id: "task-1", markdown: "One" });
+
+  const panels = $$("[role=dialog]");
+  assert.deepEqual(panels.map(panel => panel.querySelector(".nn-title").textContent), ["First (updated)", "Second"]);
+  assert.notEqual(panels[0].style.top, panels[1].style.top, "each new panel is offset from the last");
+});
+
+test("a finished result can be copied as text or Markdown, downloaded, and inserted below the selection", { skip }, async () => {
+  const { window, document, clipboard, root, $ } = createPage();
+  const downloads = [];
+  window.URL.createObjectURL = () => "blob:result";
+  window.URL.revokeObjectURL = () => {};
+  root.addEventListener("click", (event) => {
+    if (event.target.download) {
+      downloads.push(event.target.download);
+      event.preventDefault();
+    }
+  }, true);
+
+  // The selection when the task started is where the result goes
+  const range = document.createRange();
+  range.selectNodeContents(document.getElementById("article"));
+  window.getSelection().addRange(range);
+  window.showProcessingModal("Working...");
+  window.getSelection().removeAllRanges();
+  window.displayResultModal("Key Points: Tides", "<p><strong>Done</strong></p>", "Cloud Gemini", false, {}, PANEL);
+
+  $("[data-action=copy-text]").click();
+  $("[data-action=copy-markdown]").click();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.deepEqual(clipboard, ["Done", "**Done**"]);
+
+  $("[data-action=download]").click();
+  assert.deepEqual(downloads, ["key-points-tides.md"]);
+
+  $("[data-action=insert]").click();
+  const inserted = document.getElementById("article").nextElementSibling;
+  assert.ok(inserted.hasAttribute("data-nano-navigator-inserted"));
+  assert.equal(inserted.innerHTML, "<p><strong>Done</strong></p>");
+  assert.match($(".nn-status[role=status]").textContent, /Inserted below the selection/);
+
+  $("[data-action=undo-insert]").click();
+  assert.equal(document.querySelector("[data-nano-navigator-inserted]"), null);
+});
+
+test("inserting into a text field adds the Markdown after the selected text", { skip }, () => {
+  const { window, document, $ } = createPage({ html: "<textarea id=\"notes\">Draft notes</textarea>" });
+  const field = document.getElementById("notes");
+  field.focus();
+  field.setSelectionRange(0, 5);
+  window.displayResultModal("Rewrite", "<p>Better</p>", "Cloud Gemini", false, {}, { id: "task-1", markdown: "Better" });
+
+  $("[data-action=insert]").click();
+  assert.equal(field.value, "Draft\n\nBetter notes");
+  $("[data-action=undo-insert]").click();
+  assert.equal(field.value, "Draft notes");
+});
+
+test("errors offer Retry and settings instead of the output actions", { skip }, () => {
+  const { window, sent, $, $$ } = createPage({
+    respond: () => ({ status: "error", message: "Only the last failed task can be retried." })
+  });
+  window.displayResultModal("Error", "<p>The model is overloaded.</p>", "", false, { actions: ["retry", "open-options"] }, { id: "task-1" });
+
+  assert.deepEqual($$(".nn-footer button").map(button => button.textContent), ["Open settings", "Retry"]);
+  $("[data-action=open-options]").click();
+  assert.deepEqual(sent.at(-1), { action: "openOptionsPage" });
+  // A refused retry is reported in the panel
+  $("[data-action=retry]").click();
+  assert.deepEqual(sent.at(-1), { action: "retryTask", panelId: "task-1" });
+  assert.equal($("[data-action=retry]").disabled, true);
+  assert.match($(".nn-footer").textContent, /Only the last failed task/);
+});
+
+test("a follow-up typed in a panel continues the thread in that panel", { skip }, () => {
+  const { window, sent, $ } = createPage();
+  window.displayResultModal("Summary", "<p>Short.</p>", "Cloud Gemini", false, {
+    thread: { id: "thread-1", followUps: 0, maxFollowUps: 5 }
+  }, PANEL);
+
+  $("[data-action=reply]").value = "Even shorter?";
+  press(window, $("[data-action=reply]"), "Enter");
+  assert.deepEqual(sent.at(-1), { action: "continueThread", threadId: "thread-1", message: "Even shorter?", panelId: "task-1" });
+  assert.equal($("[data-action=send-reply]").disabled, true);
+});
+
+test("the proofread review's choices are toggle buttons that keep the focus", { skip }, () => {
+  const { window, root, $ } = createPage();
+  const change = { id: 1, start: 0, end: 3, original: "Teh", replacement: "The", category: "Spelling", explanation: "" };
+  window.displayResultModal("Proofread", "", "Cloud Gemini", false, { proofread: { original: "Teh cat.", changes: [change] } }, PANEL);
+
+  const reject = $("[data-action=reject-1]");
+  assert.equal(reject.getAttribute("aria-pressed"), "false");
+  assert.match(reject.getAttribute("aria-label"), /Reject "Teh" → "The"/);
+  reject.click();
+  assert.equal($("[data-action=reject-1]").getAttribute("aria-pressed"), "true");
+  assert.equal(root.activeElement, $("[data-action=reject-1]"));
+  assert.match($(".nn-review-summary").textContent, /0 of 1 changes accepted/);
+  assert.equal($("[data-action=copy-text]"), null, "the review has its own copy button");
+});
+
+test("extracted records are a table that sorts by its headers and exports as CSV or JSON", { skip }, async () => {
+  const { window, clipboard, root, $, $$ } = createPage();
+  const downloads = [];
+  window.URL.createObjectURL = () => "blob:result";
+  window.URL.revokeObjectURL = () => {};
+  root.addEventListener("click", (event) => {
+    if (event.target.download) {
+      downloads.push(event.target.download);
+      event.preventDefault();
+    }
+  }, true);
+  const extraction = {
+    fields: [{ name: "task", type: "text", description: "" }, { name: "hours", type: "number", description: "Estimated effort." }],
+    records: [{ task: "<b>Write</b>", hours: 10 }, { task: "Review", hours: null }, { task: "Plan", hours: 2 }],
+    invalid: 1,
+    csv: "task,hours\r\n<b>Write</b>,10\r\nReview,\r\nPlan,2",
+    json: "[]"
+  };
+  window.displayResultModal("Action Items", "<p>unused</p>", "Cloud Gemini", false, { extraction }, PANEL);
+
+  const cells = () => $$(".nn-records tbody tr").map(tableRow => [...tableRow.cells].map(cell => cell.textContent));
+  assert.deepEqual(cells(), [["<b>Write</b>", "10"], ["Review", ""], ["Plan", "2"]]);
+  assert.equal($(".nn-records b"), null, "values are shown as text");
+  assert.equal($(".nn-records th:nth-child(2)").title, "Estimated effort.");
+  assert.match($(".nn-status").textContent, /3 records; 1 value did not match/);
+
+  $("[data-action=sort-1]").click();
+  assert.deepEqual(cells().map(([, hours]) => hours), ["2", "10", ""], "empty cells go last");
+  assert.equal($(".nn-records th:nth-child(2)").getAttribute("aria-sort"), "ascending");
+  assert.equal(root.activeElement, $("[data-action=sort-1]"));
+  $("[data-action=sort-1]").click();
+  assert.deepEqual(cells().map(([, hours]) => hours), ["10", "2", ""]);
+  assert.equal($(".nn-records th:nth-child(2)").getAttribute("aria-sort"), "descending");
+  assert.equal($(".nn-records th:nth-child(1)").getAttribute("aria-sort"), "none");
+
+  $("[data-action=copy-csv]").click();
+  $("[data-action=copy-json]").click();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.deepEqual(clipboard, [extraction.csv, extraction.json]);
+  $("[data-action=download-csv]").click();
+  $("[data-action=download-json]").click();
+  assert.deepEqual(downloads, ["action-items.csv", "action-items.json"]);
+  assert.equal($("[data-action=copy-text]"), null, "the records have their own export buttons");
+});
+
+test("the pop-ups follow the theme setting as it changes", { skip }, async () => {
+  const { window, document, chrome } = createPage({ local: { uiTheme: "dark" } });
+  window.showProcessingModal("Working...");
+  const host = document.getElementById("nano-navigator-ui");
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(host.dataset.theme, "dark");
+
+  await chrome.storage.local.set({ uiTheme: "light" });
+  assert.equal(host.dataset.theme, "light");
+  await chrome.storage.local.set({ uiTheme: "neon" });
+  assert.equal(host.dataset.theme, "system");
+});
+
+// --- Input dialogs ---
+
+test("the prompt dialog is modal: it keeps the focus, and hands it back when cancelled", { skip }, () => {
+  const { window, document, root, $ } = createPage({ html: "<button id=\"page-button\">Page</button>" });
+  document.getElementById("page-button").focus();
+  window.showPromptModal("We run and jump.", "custom", "<b>Custom</b>", { frameId: 0 });
+
+  const dialog = $("[role=dialog]");
+  assert.equal(dialog.getAttribute("aria-modal"), "true");
+  assert.equal($("#nano-prompt-title").textContent, "<b>Custom</b>");
+  const input = $("#nano-custom-prompt-input");
+  assert.equal(root.activeElement, input);
+
+  // Tab from the last button wraps around to the first control, Shift+Tab back again
+  $("[data-action=submit]").focus();
+  press(window, $("[data-action=submit]"), "Tab");
+  assert.equal(root.activeElement, input);
+  press(window, input, "Tab", { shiftKey: true });
+  assert.equal(root.activeElement, $("[data-action=submit]"));
+
+  press(window, root.activeElement, "Escape");
+  assert.equal($("[role=dialog]"), null);
+  assert.equal(document.activeElement, document.getElementById("page-button"));
+});
+
+test("the prompt dialog sends the typed instruction with the selection", { skip }, () => {
+  const { window, sent, $ } = createPage();
+  window.showPromptModal("We run and jump.", "custom", "Custom", { frameId: 0 });
+
+  $("[data-action=submit]").click();
+  assert.equal(sent.length, 0);
+  assert.equal($("[role=alert]").textContent, "Please enter a custom instruction.");
+  assert.equal($("[role=alert]").hidden, false);
+
+  const input = $("#nano-custom-prompt-input");
+  input.value = "  List the verbs.  ";
+  press(window, input, "Enter", { ctrlKey: true });
+  assert.deepEqual(sent, [{
+    action: "runCustomPrompt",
+    presetId: "custom",
+    selectedText: "We run and jump.",
+    customPrompt: "List the verbs.",
+    target: { frameId: 0 }
+  }]);
+  assert.equal($("[role=dialog]"), null);
+});
+
+test("the language picker lists favorites first, filters as the user types and stars favorites", { skip }, () => {
+  const { window, sent, $, $$ } = createPage({
+    respond: (message) => message.action === "toggleFavoriteLanguage" ? { favorites: ["Japanese", "German"] } : undefined
+  });
+  window.showTranslationModal("Hola", "translate", null, {
+    action: "runTranslation",
+    languages: ["Japanese", "English", "German", "French"],
+    favorites: ["Japanese"],
+    lastTarget: "English"
+  });
+
+  const names = () => $$("[role=option] span").map(name => name.textContent);
+  const input = $("#target-language-input");
+  assert.equal(input.value, "English");
+  assert.deepEqual(names(), ["Japanese", "English", "German", "French"]);
+
+  input.value = "er";
+  input.dispatchEvent(new window.Event("input"));
+  assert.deepEqual(names(), ["German"]);
+
+  $("[role=option] button").click();
+  assert.deepEqual(sent.at(-1), { action: "toggleFavoriteLanguage", language: "German" });
+  assert.equal($("[role=option] button").textContent, "★");
+
+  $("[role=option]").click();
+  assert.deepEqual(sent.at(-1), {
+    action: "runTranslation",
+    presetId: "translate",
+    selectedText: "Hola",
+    targetLanguage: "German",
+    target: null
+  });
+});
+
+test("the language picker works from the keyboard", { skip }, () => {
+  const { window, sent, $ } = createPage({
+    respond: (message) => message.action === "toggleFavoriteLanguage" ? { favorites: ["Japanese", "English"] } : undefined
+  });
+  window.showTranslationModal("", "translate", null, {
+    action: "translatePage",
+    languages: ["Japanese", "English", "German"],
+    favorites: ["Japanese"],
+    lastTarget: "Japanese"
+  });
+
+  const input = $("#target-language-input");
+  press(window, input, "ArrowDown");
+  press(window, input, "ArrowDown");
+  const picked = $(`#${input.getAttribute("aria-activedescendant")}`);
+  assert.equal(picked.textContent.startsWith("English"), true);
+  assert.equal(picked.getAttribute("aria-selected"), "true");
+
+  // * stars the picked language, which stays picked as the favorites move up
+  press(window, input, "*");
+  assert.deepEqual(sent.at(-1), { action: "toggleFavoriteLanguage", language: "English" });
+  assert.equal($(`#${input.getAttribute("aria-activedescendant")}`).textContent, "English★");
+
+  press(window, input, "Enter");
+  assert.deepEqual(sent.at(-1), { action: "translatePage", targetLanguage: "English" });
+});
+
+test("the cloud preview shows the masked text as text; Send, Cancel and Escape answer it", { skip }, () => {
+  const { window, sent, root, $ } = createPage();
+  const preview = {
+    destination: "Cloud Gemini (gemini-2.5-flash)",
+    image: false,
+    findings: [{ label: "email address", count: 1 }],
+    text: "Mail me at [EMAIL_1] <script>"
+  };
+  window.showCloudPreviewModal(preview, "preview-1");
+  assert.equal($("#nano-cloud-preview-text").textContent, preview.text);
+  assert.equal($("#nano-cloud-preview-findings").textContent, "Masked: 1 × email address");
+  assert.equal(root.activeElement, $("[data-action=send]"));
+
+  $("[data-action=cancel]").click();
+  assert.deepEqual(sent.at(-1), { action: "answerCloudPreview", id: "preview-1", send: false });
+  assert.equal($("[role=dialog]"), null);
+
+  window.showCloudPreviewModal(preview, "preview-2");
+  $("[data-action=send]").click();
+  assert.deepEqual(sent.at(-1), { action: "answerCloudPreview", id: "preview-2", send: true });
+
+  window.showCloudPreviewModal(preview, "preview-3");
+  press(window, root.activeElement, "Escape");
+  assert.deepEqual(sent.at(-1), { action: "answerCloudPreview", id: "preview-3", send: false });
+});
+
+test("the processing notice is shown once, announced, and removed", { skip }, () => {
+  const { window, $$ } = createPage();
+  window.showProcessingModal("Working...");
+  window.showProcessingModal("Still working...");
+  const notices = $$("#nano-processing-modal");
+  assert.equal(notices.length, 1);
+  assert.equal(notices[0].getAttribute("role"), "status");
+  assert.equal(notices[0].textContent, "Still working...");
+
+  window.removeProcessingModal();
+  assert.deepEqual($$("#nano-processing-modal"), []);
+});
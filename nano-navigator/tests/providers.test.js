@@ -0,0 +1,139 @@
+// Tests for the provider routing of providers.js: which backend runs a task under each policy,
+// with fake on-device APIs on a mock global scope and the mock server standing in for Cloud Gemini.
+// Run with `node --test tests/` from the nano-navigator directory.
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { loadScripts } = require("./helpers/load_worker");
+const { startMockGeminiServer, geminiAnswer } = require("./helpers/mock_gemini_server");
+
+const {
+  runTaskWithProviders, createLocalProvider, createCloudProvider,
+  POLICY_PREFER_LOCAL, POLICY_LOCAL_ONLY, POLICY_CLOUD_ONLY
+} = loadScripts(["errors.js", "queue.js", "languages.js", "privacy.js", "threads.js", "usage.js", "providers.js"], {
+  // Only the cloud settings are read from storage, and every test passes its own cloud provider
+  chrome: { storage: { local: { get: async () => ({}) } } }
+}).get([
+  "runTaskWithProviders", "createLocalProvider", "createCloudProvider",
+  "POLICY_PREFER_LOCAL", "POLICY_LOCAL_ONLY", "POLICY_CLOUD_ONLY"
+]);
+
+let server;
+test.before(async () => {
+  server = await startMockGeminiServer({
+    "ok": () => ({ status: 200, body: geminiAnswer("Cloud answer") })
+  });
+});
+test.after(() => server.close());
+test.beforeEach(() => server.reset());
+
+const cloud = () => createCloudProvider({ baseUrl: `${server.baseUrl}/ok/`, getApiKey: () => "test-key" });
+
+/**
+ * A fake built-in API in the current shape (`Summarizer.availability()` / `create()`). The created
+ * instance answers every task method with `output`, or throws `error`; create() options go to `created`.
+ */
+function fakeApi({ availability = "available", output = "Local answer", error = null, params } = {}) {
+  const created = [];
+  const answer = async () => {
+    if (error) throw error;
+    return output;
+  };
+  return {
+    created,
+    availability: async () => availability,
+    create: async (options) => {
+      created.push(options);
+      return { summarize: answer, prompt: answer, destroy() {} };
+    },
+    ...(params && { params: async () => params })
+  };
+}
+
+const SUMMARY = { type: "summarize", text: "A long article.", systemPrompt: "Summarize." };
+
+test("prefer on-device runs on the built-in API when it is available", async () => {
+  const Summarizer = fakeApi();
+  const result = await runTaskWithProviders(SUMMARY, {
+    policy: POLICY_PREFER_LOCAL,
+    local: createLocalProvider({ Summarizer }),
+    cloud: cloud()
+  });
+  assert.equal(result.text, "Local answer");
+  assert.equal(result.backend, "On-device Gemini Nano (Summarizer API)");
+  assert.equal(Summarizer.created.length, 1);
+  assert.equal(server.requests.length, 0);
+});
+
+test("prefer on-device falls back to the cloud when the model is not ready or fails", async () => {
+  for (const Summarizer of [fakeApi({ availability: "downloadable" }), fakeApi({ error: new Error("The model crashed.") })]) {
+    server.reset();
+    const result = await runTaskWithProviders(SUMMARY, {
+      policy: POLICY_PREFER_LOCAL,
+      local: createLocalProvider({ Summarizer }),
+      cloud: cloud()
+    });
+    assert.equal(result.text, "Cloud answer");
+    assert.match(result.backend, /^Cloud Gemini via 127\.0\.0\.1/);
+    assert.equal(server.requests.length, 1);
+  }
+  // Without any built-in API at all
+  const result = await runTaskWithProviders(SUMMARY, { policy: POLICY_PREFER_LOCAL, local: createLocalProvider({}), cloud: cloud() });
+  assert.equal(result.text, "Cloud answer");
+});
+
+test("a stopped on-device task is not retried in the cloud", async () => {
+  const stopped = new DOMException("The task was stopped.", "AbortError");
+  await assert.rejects(runTaskWithProviders(SUMMARY, {
+    policy: POLICY_PREFER_LOCAL,
+    local: createLocalProvider({ Summarizer: fakeApi({ error: stopped }) }),
+    cloud: cloud()
+  }), { name: "AbortError" });
+  assert.equal(server.requests.length, 0);
+});
+
+test("on-device only reports a missing or failing model instead of using the cloud", async () => {
+  await assert.rejects(runTaskWithProviders(SUMMARY, {
+    policy: POLICY_LOCAL_ONLY,
+    local: createLocalProvider({ Summarizer: fakeApi({ availability: "unavailable" }) }),
+    cloud: cloud()
+  }), /On-device summarize is not available in this browser/);
+  await assert.rejects(runTaskWithProviders(SUMMARY, {
+    policy: POLICY_LOCAL_ONLY,
+    local: createLocalProvider({ Summarizer: fakeApi({ error: new Error("The model crashed.") }) }),
+    cloud: cloud()
+  }), /The model crashed/);
+  assert.equal(server.requests.length, 0);
+});
+
+test("cloud only never touches the built-in APIs", async () => {
+  const Summarizer = fakeApi();
+  const result = await runTaskWithProviders(SUMMARY, {
+    policy: POLICY_CLOUD_ONLY,
+    local: createLocalProvider({ Summarizer }),
+    cloud: cloud()
+  });
+  assert.equal(result.text, "Cloud answer");
+  assert.equal(Summarizer.created.length, 0);
+});
+
+test("the older self.ai shape is detected, including the Prompt API's parameters", async () => {
+  const summarizer = {
+    capabilities: async () => ({ available: "readily" }),
+    create: async () => ({ summarize: async () => "Old-shape summary" })
+  };
+  const summary = await runTaskWithProviders(SUMMARY, { local: createLocalProvider({ ai: { summarizer } }), cloud: cloud() });
+  assert.equal(summary.text, "Old-shape summary");
+
+  const languageModel = fakeApi({ output: "Old-shape answer", params: { maxTemperature: 1, defaultTopK: 3 } });
+  const prompt = await runTaskWithProviders(
+    { type: "prompt", text: "Some text.", systemPrompt: "Answer.", instruction: "Why?", temperature: 1.5 },
+    { local: createLocalProvider({ ai: { languageModel } }), cloud: cloud() }
+  );
+  assert.equal(prompt.text, "Old-shape answer");
+  assert.equal(prompt.backend, "On-device Gemini Nano (Prompt API)");
+  // The Prompt API only takes a temperature within its limits, together with topK
+  assert.equal(languageModel.created[0].temperature, 1);
+  assert.equal(languageModel.created[0].topK, 3);
+  assert.equal(server.requests.length, 0);
+});
@@ -0,0 +1,509 @@
+// Tests for the service worker's routing: the context menus, runAiTask() and the message
+// handlers, run with a fake `chrome` (helpers/fake_chrome.js) against a mock Gemini server.
+// Run with `node --test tests/` from the nano-navigator directory.
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { createFakeChrome, dispatchMessage } = require("./helpers/fake_chrome");
+const { loadWorker } = require("./helpers/load_worker");
+const { startMockGeminiServer, geminiAnswer } = require("./helpers/mock_gemini_server");
+
+const TAB = { id: 7, windowId: 3, url: "https://news.example.org/story", title: "A story" };
+
+// Streamed requests get the answer in two chunks; the other requests in one response
+const streamedAnswer = (path, text = "Short summary.") => path.includes("streamGenerateContent")
+  ? { sse: [geminiAnswer(text.slice(0, 6)), geminiAnswer(text.slice(6))] }
+  : { status: 200, body: geminiAnswer(text) };
+
+const MODES = {
+  "answer": (hits, path) => streamedAnswer(path),
+  // Fails as often as the worker tries, then works for the retry
+  "overloaded-then-ok": (hits, path) => hits < 3
+    ? { status: 503, body: { error: { code: 503, message: "The model is overloaded." } } }
+    : streamedAnswer(path, "Recovered."),
+  // Sends some output, then keeps the stream open until the worker stops reading
+  "held": () => ({ sse: [geminiAnswer("Partial answer")], hold: true }),
+  // Rejects the task itself, and keeps the side requests (the source-language detection) waiting
+  "rejected-while-detecting": (hits, path) => path.includes("streamGenerateContent")
+    ? { status: 400, body: { error: { code: 400, message: "The request is invalid." } } }
+    : { sse: [], hold: true },
+  // Records for the fields the extraction schema asks for: contacts, or products with prices
+  "records": (hits, path, body) => {
+    const fields = body.generationConfig.responseSchema.properties.records.items.propertyOrdering;
+    const records = fields.includes("price")
+      ? [{ product: "Kettle", price: "$24.90" }, { product: "Toaster", price: "n/a" }, { product: null, price: null }]
+      : [{ name: "Jane Doe", organization: "Acme", role: null, email: "[EMAIL_1]", phone: null, address: null, website: null }];
+    return { status: 200, body: geminiAnswer(JSON.stringify({ records })) };
+  }
+};
+
+let server;
+
+test.before(async () => {
+  server = await startMockGeminiServer(MODES);
+});
+
+test.after(() => server.close());
+
+test.beforeEach(() => server.reset());
+
+/**
+ * A fresh worker with an API key, the cloud pointed at the mock server in `mode`, and the results
+ * in the page's modals unless `local` says otherwise.
+ */
+function setup({ mode = "answer", local = {} } = {}) {
+  const chrome = createFakeChrome({
+    local: { geminiApiKey: "test-key", cloudBaseUrl: `${server.baseUrl}/${mode}/`, uiMode: "modal", ...local }
+  });
+  return { chrome, worker: loadWorker(chrome) };
+}
+
+function click(chrome, info, tab = TAB) {
+  return Promise.all(chrome.contextMenus.onClicked.dispatch(info, tab));
+}
+
+/**
+ * The results shown in the tab so far, as `{ title, html, backend, streaming, details, panel }`.
+ */
+function resultModals(chrome) {
+  return chrome.scripting.injections
+    .filter(injection => injection.func?.name === "displayResultModal")
+    .map(({ args: [title, html, backend, streaming, details, panel] }) => ({ title, html, backend, streaming, details, panel }));
+}
+
+async function waitFor(check, what) {
+  for (let attempt = 0; attempt < 300; attempt++) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.fail(`Timed out waiting for ${what}`);
+}
+
+function waitForResult(chrome, predicate = (modal) => !modal.streaming) {
+  return waitFor(() => resultModals(chrome).find(predicate), "a result in the tab");
+}
+
+// --- Context menus ---
+
+test("installing builds the menus: settings, backends, page actions, presets and image tasks", async () => {
+  const { chrome, worker } = setup();
+  chrome.runtime.onInstalled.dispatch({ reason: "install" });
+  await worker.get(["contextMenuBuild"]).contextMenuBuild;
+
+  const items = chrome.contextMenus.items;
+  for (const id of ["SET_API_KEY", "SUMMARIZE_PAGE", "TRANSLATE_PAGE", "AI_TASKS_GROUP", "AI_IMAGE_TASKS_GROUP"]) {
+    assert.ok(items.has(id), `${id} is missing`);
+  }
+  assert.equal(items.get("PRESET_summarize").parentId, "AI_TASKS_GROUP");
+  assert.deepEqual([...items.get("PRESET_summarize").contexts], ["selection"]);
+  assert.equal(items.get("IMAGE_TASK_image-alt-text").parentId, "AI_IMAGE_TASKS_GROUP");
+  assert.equal(items.get("BACKEND_PREFER_LOCAL").checked, true);
+
+  // A policy picked in the side panel moves the radio item
+  await chrome.storage.local.set({ providerPolicy: "cloud-only" });
+  assert.equal(items.get("BACKEND_PREFER_LOCAL").checked, false);
+  assert.equal(items.get("BACKEND_CLOUD_ONLY").checked, true);
+});
+
+test("an update merges new built-in presets into saved ones, without bringing back deleted ones", async () => {
+  const OLD_PROOFREAD = "Proofread the text provided. First, output the fully corrected text. Second, list all significant changes made (grammar, spelling, syntax) in a bulleted list format.";
+  // Saved by a version that did not record the built-ins: "translate" was deleted, "summarize" edited
+  const { chrome, worker } = setup({
+    local: {
+      taskPresets: [
+        { id: "summarize", title: "Summarize", kind: "summarize", input: "none", systemPrompt: "Three bullets.", temperature: 0.2, safety: "default", outputFormat: "markdown" },
+        { id: "proofread", title: "Proofread & Correct", kind: "proofread", input: "none", systemPrompt: OLD_PROOFREAD, temperature: 0.2, safety: "default", outputFormat: "markdown" },
+        { id: "mine", title: "My task", kind: "prompt", input: "none", systemPrompt: "Be brief.", temperature: 0.2, safety: "default", outputFormat: "markdown" }
+      ]
+    }
+  });
+  chrome.runtime.onInstalled.dispatch({ reason: "update" });
+  const ids = () => chrome.storage.local.data.taskPresets.map(preset => preset.id);
+  await waitFor(() => ids().includes("extract-action-items"), "the new built-ins");
+
+  assert.deepEqual(ids(), ["summarize", "proofread", "mine", "extract-action-items", "extract-entities", "extract-dates", "extract-contacts", "extract-custom"]);
+  const [summarize, proofread] = chrome.storage.local.data.taskPresets;
+  assert.equal(summarize.systemPrompt, "Three bullets.", "edited built-ins are kept");
+  assert.match(proofread.systemPrompt, /List every change you make\./, "unedited built-ins get their revised instruction");
+  await worker.get(["contextMenuBuild"]).contextMenuBuild;
+  await waitFor(() => chrome.contextMenus.items.has("PRESET_extract-contacts"), "the menu entry");
+
+  // A built-in deleted after it was offered stays deleted through later updates
+  const { savePresets } = worker.get(["savePresets"]);
+  await savePresets(chrome.storage.local.data.taskPresets.filter(preset => preset.id !== "extract-dates"));
+  await worker.get(["upgradeSavedPresets"]).upgradeSavedPresets();
+  assert.ok(!ids().includes("extract-dates"));
+  assert.ok(!ids().includes("translate"));
+});
+
+test("the settings item opens the options page and the backend items store the policy", async () => {
+  const { chrome } = setup();
+  await click(chrome, { menuItemId: "SET_API_KEY" });
+  assert.equal(chrome.runtime.optionsPageOpened, 1);
+
+  await click(chrome, { menuItemId: "BACKEND_LOCAL_ONLY" });
+  assert.equal(chrome.storage.local.data.providerPolicy, "local-only");
+});
+
+test("in side panel mode a preset opens the panel first and hands it the selection", async () => {
+  const { chrome } = setup({ local: { uiMode: "sidepanel" } });
+  const clicked = click(chrome, { menuItemId: "PRESET_translate", selectionText: "Hola, mundo" });
+  // Opened synchronously, while the click still counts as a user gesture
+  assert.deepEqual(chrome.sidePanel.opened.map(options => options.windowId), [TAB.windowId]);
+  await clicked;
+
+  const workspace = await waitFor(() => chrome.storage.session.data.workspace, "the workspace");
+  assert.equal(workspace.status, "awaiting-input");
+  assert.equal(workspace.presetId, "translate");
+  assert.equal(workspace.selection, "Hola, mundo");
+  assert.equal(workspace.sourceUrl, TAB.url);
+  assert.equal(server.requests.length, 0);
+});
+
+test("in side panel mode a rewrite of text in a field offers to replace the selection", async () => {
+  const chrome = createFakeChrome({
+    local: { geminiApiKey: "test-key", cloudBaseUrl: `${server.baseUrl}/answer/`, uiMode: "sidepanel" },
+    onExecuteScript: (injection) => [{ frameId: 0, result: injection.func?.name === "captureEditableSelection" ? "Teh draft." : undefined }]
+  });
+  loadWorker(chrome);
+  await click(chrome, { menuItemId: "PRESET_rewrite-simplify", selectionText: "Teh draft.", editable: true, frameId: 0 });
+
+  const workspace = await waitFor(() => chrome.storage.session.data.workspace?.status === "done" && chrome.storage.session.data.workspace, "the rewrite");
+  assert.deepEqual(workspace.target, { tabId: TAB.id, frameId: 0, text: "Teh draft." });
+  assert.equal(workspace.inPlace.original, "Teh draft.");
+  assert.equal(workspace.inPlace.replacement, "Short summary.");
+});
+
+test("in modal mode a preset runs in the cloud and streams its result into the tab", async () => {
+  const { chrome } = setup();
+  await click(chrome, { menuItemId: "PRESET_summarize", selectionText: "A long article about tides." });
+
+  const result = await waitForResult(chrome);
+  assert.equal(result.title, "Summarize (Key Points)");
+  assert.match(result.html, /Short summary\./);
+  assert.match(result.backend, /Cloud Gemini/);
+  assert.ok(result.details.thread.id, "the result offers follow-ups");
+  assert.equal(result.panel.markdown, "Short summary.");
+  // Every pop-up is preceded by the UI kit it is built with
+  assert.deepEqual([...chrome.scripting.injections[0].files], ["page_ui.js"]);
+  assert.equal(chrome.scripting.injections[1].func.name, "showProcessingModal");
+  assert.match(JSON.stringify(server.requests[0].body.contents), /A long article about tides\./);
+});
+
+test("the results of separate tasks go to panels of their own, and a streaming one keeps its panel", async () => {
+  const { chrome } = setup();
+  await click(chrome, { menuItemId: "PRESET_summarize", selectionText: "First text" });
+  await waitForResult(chrome);
+  await click(chrome, { menuItemId: "PRESET_summarize", selectionText: "Second text" });
+  await waitFor(() => resultModals(chrome).filter(modal => !modal.streaming).length === 2, "the second result");
+
+  const panelIds = new Set(resultModals(chrome).map(modal => modal.panel.id));
+  assert.equal(panelIds.size, 2);
+});
+
+test("tasks started together in one tab both run to the end", async () => {
+  const { chrome } = setup();
+  await Promise.all([
+    click(chrome, { menuItemId: "PRESET_summarize", selectionText: "First text" }),
+    click(chrome, { menuItemId: "PRESET_summarize", selectionText: "Second text" })
+  ]);
+  const finished = await waitFor(() => {
+    const done = resultModals(chrome).filter(modal => !modal.streaming);
+    return done.length === 2 && done;
+  }, "both results");
+
+  assert.equal(new Set(finished.map(modal => modal.panel.id)).size, 2);
+  assert.deepEqual(finished.map(modal => modal.title), ["Summarize (Key Points)", "Summarize (Key Points)"]);
+  assert.equal(server.requests.length, 2);
+});
+
+test("presets that need input ask for it in the tab first", async () => {
+  const { chrome } = setup();
+  await click(chrome, { menuItemId: "PRESET_custom", selectionText: "Some text" });
+  await waitFor(() => chrome.scripting.injections.find(injection => injection.func?.name === "showPromptModal"), "the prompt modal");
+  await click(chrome, { menuItemId: "PRESET_translate", selectionText: "Some text" });
+  const picker = await waitFor(() => chrome.scripting.injections.find(injection => injection.func?.name === "showTranslationModal"), "the language picker");
+  assert.equal(picker.args[3].action, "runTranslation");
+  assert.equal(picker.args[3].lastTarget, "Spanish");
+  assert.equal(server.requests.length, 0);
+});
+
+test("cloud only without a key asks for the key instead of running", async () => {
+  const { chrome } = setup({ local: { providerPolicy: "cloud-only", geminiApiKey: "" } });
+  await click(chrome, { menuItemId: "PRESET_summarize", selectionText: "Some text" });
+
+  const result = await waitForResult(chrome);
+  assert.equal(result.title, "Configuration Required");
+  assert.deepEqual([...result.details.actions], ["open-options"]);
+  assert.equal(server.requests.length, 0);
+});
+
+test("an extract preset asks for JSON records with its fields and shows them as a table", async () => {
+  const { chrome } = setup({ mode: "records" });
+  await click(chrome, { menuItemId: "PRESET_extract-contacts", selectionText: "Write to Jane Doe of Acme at jane@acme.example." });
+
+  const result = await waitForResult(chrome);
+  const { generationConfig, contents } = server.requests[0].body;
+  assert.equal(generationConfig.responseMimeType, "application/json");
+  assert.deepEqual(generationConfig.responseSchema.properties.records.items.propertyOrdering,
+    ["name", "organization", "role", "email", "phone", "address", "website"]);
+  // The address is masked on the way out and restored in its cell
+  assert.doesNotMatch(JSON.stringify(contents), /jane@acme\.example/);
+  const { extraction } = result.details;
+  assert.equal(extraction.records[0].email, "jane@acme.example");
+  assert.equal(extraction.csv.split("\r\n")[1], "Jane Doe,Acme,,jane@acme.example,,,");
+  assert.match(result.panel.markdown, /^\| name \| organization \|/);
+  assert.equal(result.details.thread.followUps, 0, "the records can be asked about");
+});
+
+// --- runAiTask ---
+
+function createRecordingPresenter() {
+  const calls = [];
+  const record = (name) => (...args) => calls.push([name, ...args]);
+  return {
+    calls,
+    presenter: {
+      key: "test",
+      supportsFollowUps: false,
+      processing: record("processing"),
+      result: record("result"),
+      error: record("error"),
+      confirmCloudSend: async () => true,
+      idle: record("idle")
+    }
+  };
+}
+
+test("runAiTask keeps tasks on sites off the cloud on-device, and fails when that is not possible", async () => {
+  const { worker } = setup({ local: { cloudBlockedSites: ["example.org"] } });
+  const { runAiTask, DEFAULT_PRESETS } = worker.get(["runAiTask", "DEFAULT_PRESETS"]);
+  const { calls, presenter } = createRecordingPresenter();
+
+  const response = await runAiTask(DEFAULT_PRESETS[0], "Some text", presenter, { source: TAB });
+  assert.equal(response.status, "error");
+  assert.match(response.message, /keep example\.org off the cloud/);
+  assert.deepEqual(calls.map(([name]) => name), ["error", "idle"]);
+  assert.equal(server.requests.length, 0);
+});
+
+test("runAiTask reports progress, the result and the end of the task to its presenter", async () => {
+  const { worker } = setup();
+  const { runAiTask, DEFAULT_PRESETS } = worker.get(["runAiTask", "DEFAULT_PRESETS"]);
+  const { calls, presenter } = createRecordingPresenter();
+
+  const response = await runAiTask(DEFAULT_PRESETS[0], "Some text", presenter, { source: TAB });
+  assert.equal(response.status, "success");
+  const names = calls.map(([name]) => name);
+  assert.equal(names[0], "processing");
+  assert.equal(names.at(-1), "idle");
+  const [, title, content, , streaming] = calls.filter(([name]) => name === "result").at(-1);
+  assert.equal(title, "Summarize (Key Points)");
+  assert.equal(content, "Short summary.");
+  assert.equal(streaming, false);
+});
+
+// --- Messages ---
+
+test("a failed task offers Retry, and retryTask runs it again", async () => {
+  const { chrome } = setup({ mode: "overloaded-then-ok" });
+  await click(chrome, { menuItemId: "PRESET_summarize", selectionText: "Some text" });
+  const failure = await waitForResult(chrome);
+  assert.match(failure.html, /overloaded/);
+  assert.deepEqual([...failure.details.actions], ["retry"]);
+
+  const response = await dispatchMessage(chrome, { action: "retryTask", panelId: failure.panel.id }, { tab: TAB });
+  assert.equal(response.status, "success");
+  assert.match(resultModals(chrome).at(-1).html, /Recovered\./);
+  assert.equal(resultModals(chrome).at(-1).panel.id, failure.panel.id, "the retry answers in the same panel");
+
+  // A task is only retried once
+  const again = await dispatchMessage(chrome, { action: "retryTask", panelId: failure.panel.id }, { tab: TAB });
+  assert.equal(again.status, "error");
+});
+
+test("stopTask stops the streaming task of its panel and keeps what arrived", async () => {
+  const { chrome, worker } = setup({ mode: "held" });
+  await click(chrome, { menuItemId: "PRESET_summarize", selectionText: "Some text" });
+  await click(chrome, { menuItemId: "PRESET_summarize", selectionText: "Other text" });
+  await waitFor(() => new Set(resultModals(chrome).filter(modal => modal.streaming).map(modal => modal.panel.id)).size === 2, "both tasks streaming");
+  const [first, second] = [...new Set(resultModals(chrome).map(modal => modal.panel.id))];
+
+  await dispatchMessage(chrome, { action: "stopTask", panelId: first }, { tab: TAB });
+  const stopped = await waitForResult(chrome, (modal) => modal.title.endsWith("(stopped)"));
+  assert.match(stopped.html, /Partial answer/);
+  assert.equal(stopped.panel.id, first);
+
+  // The other panel's task keeps running until its own Stop
+  const { activeTaskControllers } = worker.get(["activeTaskControllers"]);
+  assert.equal(activeTaskControllers.size, 1);
+  await dispatchMessage(chrome, { action: "stopTask", panelId: second }, { tab: TAB });
+  await waitFor(() => activeTaskControllers.size === 0, "the second task to stop");
+});
+
+test("a failed translation cancels the detection of its source language", async () => {
+  const { chrome } = setup({ mode: "rejected-while-detecting" });
+  const response = await dispatchMessage(chrome, {
+    action: "runTranslation",
+    presetId: "translate",
+    targetLanguage: "French",
+    selectedText: "Guten Morgen"
+  }, { tab: TAB });
+
+  assert.equal(response.status, "error");
+  const detection = server.requests.find(request => !request.path.includes("streamGenerateContent"));
+  assert.ok(detection, "the detection was sent");
+  await waitFor(() => detection.closed, "the detection request to be cancelled");
+});
+
+test("a new side panel task replaces the running one without showing it as stopped", async () => {
+  const { chrome } = setup({ mode: "held", local: { uiMode: "sidepanel" } });
+  const titles = [];
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "session" && changes.workspace) titles.push(changes.workspace.newValue.title);
+  });
+  const first = dispatchMessage(chrome, { action: "runWorkspaceTask", presetId: "summarize", selectedText: "Some text" });
+  await waitFor(() => chrome.storage.session.data.workspace?.status === "streaming", "the first task streaming");
+
+  chrome.storage.local.data.cloudBaseUrl = `${server.baseUrl}/answer/`;
+  const second = await dispatchMessage(chrome, { action: "runWorkspaceTask", presetId: "rewrite-simplify", selectedText: "Other text" });
+  await first;
+  assert.equal(second.status, "success");
+  const { workspace } = chrome.storage.session.data;
+  assert.equal(workspace.status, "done");
+  assert.equal(workspace.output, "Short summary.");
+  assert.ok(!titles.some(title => title?.endsWith("(stopped)")));
+});
+
+test("closing the tab cancels its task without showing anything more", async () => {
+  const { chrome, worker } = setup({ mode: "held" });
+  await click(chrome, { menuItemId: "PRESET_summarize", selectionText: "Some text" });
+  await waitForResult(chrome, (modal) => modal.streaming);
+  const { activeTaskControllers } = worker.get(["activeTaskControllers"]);
+  assert.equal(activeTaskControllers.size, 1);
+
+  chrome.tabs.onRemoved.dispatch(TAB.id);
+  await waitFor(() => activeTaskControllers.size === 0, "the task to end");
+  assert.ok(!resultModals(chrome).some(modal => modal.title.endsWith("(stopped)")));
+});
+
+test("a cloud request preview sends nothing until it is answered, and Cancel declines it", async () => {
+  const { chrome } = setup({ local: { previewCloudRequests: true } });
+  await click(chrome, { menuItemId: "PRESET_summarize", selectionText: "Mail me at jane@example.com" });
+
+  const previewInjection = await waitFor(
+    () => chrome.scripting.injections.find(injection => injection.func?.name === "showCloudPreviewModal"),
+    "the preview"
+  );
+  const [preview, id] = previewInjection.args;
+  assert.match(preview.text, /\[EMAIL_1\]/);
+  assert.equal(server.requests.length, 0);
+
+  await dispatchMessage(chrome, { action: "answerCloudPreview", id, send: false }, { tab: TAB });
+  const result = await waitForResult(chrome);
+  assert.match(result.html, /Nothing was sent/);
+  assert.equal(server.requests.length, 0);
+});
+
+test("every previewed request shows all it sends, the typed instruction masked too", async () => {
+  const { chrome } = setup({ local: { previewCloudRequests: true } });
+  const previews = () => chrome.scripting.injections.filter(injection => injection.func?.name === "showCloudPreviewModal");
+  const answer = (injection) => dispatchMessage(chrome, { action: "answerCloudPreview", id: injection.args[1], send: true }, { tab: TAB });
+
+  const response = dispatchMessage(chrome, {
+    action: "runCustomPrompt",
+    presetId: "custom",
+    customPrompt: "Draft a reply to jane@example.com.",
+    selectedText: "Can we meet on Friday?"
+  }, { tab: TAB });
+  const [first] = await waitFor(() => previews().length === 1 && previews(), "the first preview");
+  assert.match(first.args[0].text, /Instructions:\n.*Draft a reply to \[EMAIL_1\]\./);
+  assert.match(first.args[0].text, /Text:\nCan we meet on Friday\?/);
+  await answer(first);
+  assert.equal((await response).status, "success");
+  assert.doesNotMatch(JSON.stringify(server.requests[0].body.systemInstruction), /jane@example\.com/);
+
+  // A follow-up is a request of its own, and is asked about again with the conversation it carries
+  const { details, panel } = resultModals(chrome).at(-1);
+  await waitFor(() => chrome.storage.session.data.threads?.[details.thread.id], "the thread to be saved");
+  const followUp = dispatchMessage(chrome, { action: "continueThread", threadId: details.thread.id, message: "Shorter?", panelId: panel.id }, { tab: TAB });
+  const second = await waitFor(() => previews()[1], "the follow-up preview");
+  assert.match(second.args[0].text, /Conversation so far:\nYou: .*Can we meet on Friday\?/s);
+  assert.equal(server.requests.length, 1);
+  await answer(second);
+  assert.equal((await followUp).status, "success");
+  assert.equal(server.requests.length, 2);
+});
+
+test("runCustomPrompt runs the instruction typed in the tab's prompt modal", async () => {
+  const { chrome } = setup();
+  const response = await dispatchMessage(chrome, {
+    action: "runCustomPrompt",
+    presetId: "custom",
+    customPrompt: "List the verbs.",
+    selectedText: "We run and jump."
+  }, { tab: TAB });
+
+  assert.equal(response.status, "success");
+  assert.match(JSON.stringify(server.requests[0].body.systemInstruction), /List the verbs\./);
+});
+
+test("runCustomPrompt runs the Extract Fields preset on the fields typed in the tab", async () => {
+  const { chrome } = setup({ mode: "records" });
+  const response = await dispatchMessage(chrome, {
+    action: "runCustomPrompt",
+    presetId: "extract-custom",
+    customPrompt: "product, price: number",
+    selectedText: "Kettle, 24.90 dollars. Toaster, price on request."
+  }, { tab: TAB });
+
+  assert.equal(response.status, "success");
+  const { properties } = server.requests[0].body.generationConfig.responseSchema.properties.records.items;
+  assert.equal(properties.product.type, "STRING");
+  assert.equal(properties.price.type, "NUMBER");
+  // Values are checked against their field: "n/a" is no price, and an empty record is dropped
+  const { extraction } = resultModals(chrome).at(-1).details;
+  assert.deepEqual(JSON.parse(extraction.json), [{ product: "Kettle", price: 24.9 }, { product: "Toaster", price: null }]);
+  assert.equal(extraction.invalid, 1);
+});
+
+test("runWorkspaceTask reports a preset deleted since the side panel offered it", async () => {
+  const { chrome } = setup({ local: { uiMode: "sidepanel" } });
+  const response = await dispatchMessage(chrome, {
+    action: "runWorkspaceTask",
+    presetId: "deleted-preset",
+    selectedText: "Some text"
+  });
+
+  assert.equal(response.status, "error");
+  assert.match(response.message, /no longer exists/);
+  const { workspace } = chrome.storage.session.data;
+  assert.equal(workspace.status, "error", "the panel does not stay on running");
+  assert.match(workspace.output, /no longer exists/);
+  assert.equal(server.requests.length, 0);
+});
+
+test("continueThread sends a follow-up with the conversation so far", async () => {
+  const { chrome } = setup();
+  await click(chrome, { menuItemId: "PRESET_summarize", selectionText: "Some text" });
+  const { details } = await waitForResult(chrome);
+  await waitFor(() => chrome.storage.session.data.threads?.[details.thread.id], "the thread to be saved");
+
+  const { panel } = resultModals(chrome).at(-1);
+  const response = await dispatchMessage(chrome, { action: "continueThread", threadId: details.thread.id, message: "Even shorter?", panelId: panel.id }, { tab: TAB });
+  assert.equal(response.status, "success");
+  // The answer updates the panel the follow-up was asked in
+  assert.equal(resultModals(chrome).at(-1).panel.id, panel.id);
+  const contents = server.requests.at(-1).body.contents;
+  assert.deepEqual(contents.map(turn => turn.role), ["user", "model", "user"]);
+  assert.match(contents[2].parts[0].text, /Even shorter\?/);
+});
+
+test("the star in the language picker toggles a favorite", async () => {
+  const { chrome } = setup();
+  const favorites = async (language) =>
+    [...(await dispatchMessage(chrome, { action: "toggleFavoriteLanguage", language })).favorites];
+  assert.deepEqual(await favorites("Japanese"), ["Japanese"]);
+  assert.deepEqual(await favorites("japanese"), []);
+});
@@ -0,0 +1,49 @@
+// Tests for the long-document summarization of summarize.js, with a stand-in for
+// runTaskWithProviders() that records each request and answers with `answer(task)`.
+// Run with `node --test tests/` from the nano-navigator directory.
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { loadScripts } = require("./helpers/load_worker");
+
+const requests = [];
+let answer = (task) => task.text;
+
+const { summarizeLongDocument, CHUNK_MAX_TOKENS, CHARS_PER_TOKEN } = loadScripts(["threads.js", "summarize.js"], {
+  TASK_SUMMARIZE: "summarize",
+  runTaskWithProviders: async (task) => {
+    requests.push(task);
+    return { text: answer(task), backend: "Test" };
+  }
+}).get(["summarizeLongDocument", "CHUNK_MAX_TOKENS", "CHARS_PER_TOKEN"]);
+
+const MAX_REQUEST_CHARS = CHUNK_MAX_TOKENS * CHARS_PER_TOKEN;
+
+// `count` paragraphs of about `chars` characters each
+function longText(count, chars) {
+  return Array.from({ length: count }, (_, index) => `Paragraph ${index + 1}. ${"Some words here. ".repeat(chars / 17)}`).join("\n\n");
+}
+
+test.beforeEach(() => {
+  requests.length = 0;
+});
+
+test("summarizes the parts, then merges their summaries in one request", async () => {
+  answer = (task) => task.systemPrompt.includes("Merge them") ? "The whole story." : `Summary of ${task.text.slice(0, 12)}`;
+  const result = await summarizeLongDocument({ type: "summarize", text: longText(6, 7000), systemPrompt: "Summarize." });
+
+  assert.equal(requests.length, 7);
+  assert.match(requests.at(-1).text, /Summary of Paragraph 6/);
+  assert.equal(result.text, "The whole story.");
+});
+
+test("part summaries that stop getting shorter are merged only as far as one request holds", async () => {
+  // Every "summary" is as long as its part, so condensing them again would not shrink them
+  answer = (task) => task.text;
+  const result = await summarizeLongDocument({ type: "summarize", text: longText(5, 7000), systemPrompt: "Summarize." });
+
+  const merge = requests.at(-1);
+  assert.match(merge.systemPrompt, /Merge them/);
+  assert.ok(merge.text.length <= MAX_REQUEST_CHARS, `the merge sent ${merge.text.length} characters`);
+  assert.match(result.text, /only the first 1 of 5 were combined/);
+});
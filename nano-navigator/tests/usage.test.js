@@ -0,0 +1,63 @@
+// Tests for the usage totals, cost estimates and budget checks of usage.js.
+// Run with `node --test tests/` from the nano-navigator directory.
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { loadScripts } = require("./helpers/load_worker");
+
+const { summarizeUsage, estimateCost, checkTokenBudget, formatCost, startOfWeek } = loadScripts(["usage.js"]).get([
+  "summarizeUsage", "estimateCost", "checkTokenBudget", "formatCost", "startOfWeek"
+]);
+
+const NOW = new Date(2026, 9, 14, 15, 0).getTime(); // A Wednesday afternoon
+const HOUR = 60 * 60 * 1000;
+
+function record(hoursAgo, model, promptTokens, outputTokens, status = "ok") {
+  return { createdAt: NOW - hoursAgo * HOUR, model, taskType: "summarize", promptTokens, outputTokens, latencyMs: 1000, status };
+}
+
+test("prices models by their longest matching prefix", () => {
+  assert.equal(estimateCost("gemini-2.5-flash", 1e6, 1e6), 2.80);
+  assert.equal(estimateCost("gemini-2.5-flash-lite-preview-06-17", 1e6, 0), 0.10);
+  assert.equal(estimateCost("llama3.1:8b", 1e6, 1e6), null);
+  assert.equal(formatCost(0.00042), "$0.0004");
+  assert.equal(formatCost(1.5), "$1.50");
+  assert.equal(formatCost(null), "n/a");
+});
+
+test("totals usage per day, week and model", () => {
+  const records = [
+    record(1, "gemini-2.5-flash", 1000, 200),
+    record(2, "gemini-2.5-flash", 500, 0, "failed"),
+    record(26, "gemini-2.5-pro", 2000, 1000),
+    record(24 * 5, "local-model", 300, 100)
+  ];
+  const summary = summarizeUsage(records, NOW);
+
+  assert.equal(summary.today.requests, 2);
+  assert.equal(summary.today.failures, 1);
+  assert.equal(summary.today.promptTokens, 1500);
+  assert.equal(summary.today.averageLatencyMs, 1000);
+  // Monday and Tuesday of this week, not the Friday before
+  assert.equal(summary.week.requests, 3);
+  assert.equal(summary.week.unpricedTokens, 0);
+
+  assert.equal(summary.days.length, 3);
+  assert.equal(summary.days[0].requests, 2);
+  assert.equal(summary.weeks.length, 2);
+  assert.equal(summary.weeks[0].key, startOfWeek(NOW));
+  assert.equal(new Date(summary.weeks[0].key).getDay(), 1);
+
+  assert.deepEqual([...summary.models.map(model => model.key)], ["gemini-2.5-pro", "gemini-2.5-flash", "local-model"]);
+  assert.equal(summary.models[2].unpricedTokens, 400);
+  assert.equal(summary.models[2].cost, 0);
+});
+
+test("warns over the soft budget and stops over the hard one", () => {
+  const budget = { softLimit: 10000, hardLimit: 20000, usedToday: 9000 };
+  assert.equal(checkTokenBudget(budget, 500), null);
+  assert.equal(checkTokenBudget(budget, 2000).level, "soft");
+  assert.equal(checkTokenBudget(budget, 12000).level, "hard");
+  assert.match(checkTokenBudget(budget, 12000).message, /about 12,000 tokens.*budget of 20,000 tokens \(9,000 tokens used today\)/);
+  assert.equal(checkTokenBudget({ softLimit: null, hardLimit: null, usedToday: 1e9 }, 1e6), null);
+});
@@ -0,0 +1,109 @@
+// Follow-up conversations on a result.
+// Every completed result starts a thread: the original selection and the model's answer, which the user
+// can continue from the result's reply box. Threads live in chrome.storage.session, like the side panel
+// workspace, so they survive worker restarts but not a browser restart.
+// Loaded into the service worker via importScripts(), so everything here is a worker global.
+
+// Follow-up questions per result before the user has to start fresh
+const MAX_FOLLOW_UP_TURNS = 10;
+// Budget for the turns sent with a follow-up, estimated at ~4 characters per token
+const MAX_THREAD_TOKENS = 24000;
+const CHARS_PER_TOKEN = 4;
+// Only the most recently used threads are kept
+const MAX_STORED_THREADS = 20;
+
+async function getThreads() {
+  const { threads } = await chrome.storage.session.get("threads");
+  return threads || {};
+}
+
+async function getThread(id) {
+  return (await getThreads())[id] || null;
+}
+
+// Writes are chained so two results finishing at once never drop each other's thread
+let threadWrite = Promise.resolve();
+
+/**
+ * Stores a thread and drops the least recently used ones beyond MAX_STORED_THREADS.
+ */
+function saveThread(thread) {
+  threadWrite = threadWrite
+    .then(async () => {
+      const threads = await getThreads();
+      threads[thread.id] = { ...thread, updatedAt: Date.now() };
+      const kept = Object.values(threads)
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .slice(0, MAX_STORED_THREADS);
+      await chrome.storage.session.set({ threads: Object.fromEntries(kept.map(t => [t.id, t])) });
+    })
+    .catch(error => console.error("Could not save the conversation:", error));
+  return threadWrite;
+}
+
+/**
+ * Creates the thread for a completed task: its selection as the first user turn and the answer.
+ * An image task's image is not kept; the conversation continues from the answer about it.
+ */
+function startThread(id, title, task, result) {
+  return {
+    id,
+    title,
+    backend: result.backend,
+    systemPrompt: task.systemPrompt,
+    temperature: task.temperature,
+    maxOutputTokens: task.maxOutputTokens,
+    topP: task.topP,
+    safety: task.safety,
+    outputFormat: task.outputFormat,
+    contents: [
+      { role: "user", text: formatPromptTurn({ ...task, history: [] }) },
+      { role: "model", text: result.text }
+    ]
+  };
+}
+
+/**
+ * Drops every follow-up, leaving the original selection and answer.
+ */
+function resetThread(thread) {
+  return { ...thread, contents: thread.contents.slice(0, 2) };
+}
+
+function countFollowUps(thread) {
+  return (thread.contents.length - 2) / 2;
+}
+
+/**
+ * What a result view needs to offer the reply box: `{ id, followUps, maxFollowUps }`.
+ */
+function describeThread(thread, followUps = countFollowUps(thread)) {
+  return { id: thread.id, followUps, maxFollowUps: MAX_FOLLOW_UP_TURNS };
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * The turns to send with the next follow-up. The original exchange is always kept; the oldest
+ * follow-ups are left out until the rest fits MAX_THREAD_TOKENS.
+ */
+function trimThreadHistory(contents) {
+  const [original, answer, ...followUps] = contents;
+  const total = (turns) => turns.reduce((sum, turn) => sum + estimateTokens(turn.text), 0);
+  while (followUps.length > 0 && total([original, answer, ...followUps]) > MAX_THREAD_TOKENS) {
+    followUps.splice(0, 2);
+  }
+  return [original, answer, ...followUps];
+}
+
+/**
+ * Formats a thread for display: the first answer, then each follow-up question and its answer.
+ */
+function formatThreadTranscript(contents) {
+  return contents
+    .slice(1)
+    .map(turn => (turn.role === "user" ? `---\n\n**You:** ${turn.text}` : turn.text))
+    .join("\n\n");
+}
@@ -0,0 +1,116 @@
+// Segmented translation: the bilingual view and whole-page translation.
+// Both translate a list of segments (the sentences of a text, or the text nodes of a page) and need
+// exactly one translation back per segment, so the two sides can be lined up or the page's nodes
+// replaced one by one. Segments are sent in batches through runTaskWithProviders() as translate
+// tasks carrying `segments`: the on-device Translator translates them one at a time and the cloud
+// model answers with a JSON list.
+// Loaded into the service worker via importScripts(), after summarize.js; plain globals.
+
+// One batch of segments, sized for a quick cloud round-trip
+const SEGMENT_BATCH_MAX_TOKENS = 1500;
+const SEGMENT_BATCH_MAX_COUNT = 60;
+// Batches translated at the same time
+const MAX_CONCURRENT_SEGMENT_BATCHES = 2;
+// Text nodes translated at most on one page; the rest keep their original text
+const MAX_PAGE_SEGMENTS = 2000;
+
+// Gemini `responseSchema` for a segmented cloud translation
+const TRANSLATED_SEGMENTS_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    translations: {
+      type: "ARRAY",
+      description: "One translation per input segment, in the same order.",
+      items: { type: "STRING" }
+    }
+  },
+  required: ["translations"]
+};
+
+/**
+ * The system prompt for a segmented translation into `language`.
+ */
+function segmentTranslationPrompt(language) {
+  return `You are an expert translator. The text is a JSON array of segments from one document, in reading order. Translate every segment strictly into ${language}, using the other segments as context, and keep each segment's leading and trailing punctuation. Return exactly one translation per segment, in the same order; segments that need no translation (names, numbers, code) are returned unchanged.`;
+}
+
+/**
+ * Parses the cloud answer to a segmented translation into a list of `count` translations; any the
+ * model left out are null. Throws a MalformedResponseError on anything but the expected JSON.
+ */
+function parseTranslatedSegments(json, count) {
+  let data;
+  try {
+    data = parseStructuredAnswer(json);
+  } catch (error) {
+    throw new MalformedResponseError("The translation came back in an unreadable form. Try again.", { cause: error });
+  }
+  const translations = Array.isArray(data) ? data : data?.translations;
+  if (!Array.isArray(translations)) {
+    throw new MalformedResponseError("The translation came back without its segments. Try again.");
+  }
+  if (translations.length !== count) {
+    console.warn(`Expected ${count} translated segments, got ${translations.length}.`);
+  }
+  return Array.from({ length: count }, (_, index) => typeof translations[index] === "string" ? translations[index] : null);
+}
+
+/**
+ * Splits text into sentences for the bilingual view, keeping paragraph breaks out of them.
+ */
+function splitIntoSentences(text) {
+  const segmenter = new Intl.Segmenter(undefined, { granularity: "sentence" });
+  return text
+    .split(/\n\s*\n/)
+    .flatMap(paragraph => Array.from(segmenter.segment(paragraph), ({ segment }) => segment.trim()))
+    .filter(Boolean);
+}
+
+/**
+ * Groups segments into batches of at most SEGMENT_BATCH_MAX_COUNT segments and about
+ * SEGMENT_BATCH_MAX_TOKENS. Returns `{ start, segments }` batches, `start` being the index of the
+ * batch's first segment.
+ */
+function batchSegments(segments) {
+  const batches = [];
+  let current = null;
+  let tokens = 0;
+  segments.forEach((segment, index) => {
+    const size = estimateTokens(segment);
+    if (!current || current.segments.length >= SEGMENT_BATCH_MAX_COUNT || (tokens + size > SEGMENT_BATCH_MAX_TOKENS && current.segments.length > 0)) {
+      current = { start: index, segments: [] };
+      batches.push(current);
+      tokens = 0;
+    }
+    current.segments.push(segment);
+    tokens += size;
+  });
+  return batches;
+}
+
+/**
+ * Translates `segments` into `targetLanguage` batch by batch. `onBatch(start, translations, done, total)`
+ * reports each finished batch; the other options are runTaskWithProviders() options. Resolves to
+ * `{ translations, backend }` with one translation (or null) per segment.
+ */
+async function translateSegments(segments, targetLanguage, { onBatch = () => {}, ...routing } = {}) {
+  const batches = batchSegments(segments);
+  const translations = new Array(segments.length).fill(null);
+  let backend = "";
+  let done = 0;
+  await mapWithConcurrency(batches, MAX_CONCURRENT_SEGMENT_BATCHES, async (batch) => {
+    const result = await runTaskWithProviders({
+      type: TASK_TRANSLATE,
+      text: batch.segments.join("\n"),
+      segments: batch.segments,
+      systemPrompt: segmentTranslationPrompt(targetLanguage),
+      targetLanguage,
+      temperature: DEFAULT_TEMPERATURE
+    }, routing);
+    backend = result.backend;
+    translations.splice(batch.start, batch.segments.length, ...result.segments);
+    done++;
+    onBatch(batch.start, result.segments, done, batches.length);
+  });
+  return { translations, backend };
+}
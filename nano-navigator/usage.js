@@ -0,0 +1,310 @@
+// Cloud usage accounting.
+// Every request sent to the cloud model is recorded with its prompt and output tokens (as the
+// response's usage metadata reports them, or estimated when a server reports none), its latency,
+// model, task and outcome. The usage page totals the records per day, week and model and estimates
+// their cost; the daily token budgets set on the options page warn about, or stop, requests that
+// would go over them before they are sent.
+// Records are kept in their own IndexedDB database, opened with the helpers of history.js.
+// Shared by the service worker (importScripts, before providers.js), the usage and options pages
+// and the tests; plain globals.
+
+const USAGE_DB_NAME = "nano-navigator-usage";
+const USAGE_DB_VERSION = 1;
+const USAGE_STORE = "usage";
+
+// Records older than this are deleted as new ones come in
+const USAGE_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Requests estimated above this many tokens are counted with the countTokens endpoint before a
+// budget check, where the API has one; smaller ones are estimated locally
+const LARGE_REQUEST_TOKENS = 4000;
+
+// Gemini counts an image as this many prompt tokens
+const IMAGE_PROMPT_TOKENS = 258;
+
+// Output tokens a request is expected to use for the budget check, or its max output tokens when lower
+const EXPECTED_OUTPUT_TOKENS = 1000;
+
+const USAGE_STATUS_OK = "ok";
+const USAGE_STATUS_FAILED = "failed";
+// Task type of the side request that detects a translation's source language
+const USAGE_TASK_DETECT_LANGUAGE = "detect-language";
+
+// Estimated prices in US dollars per million tokens, by model id prefix (the longest match wins).
+// Models missing here are counted without a cost.
+const MODEL_PRICES = {
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.5-flash": { input: 0.30, output: 2.50 },
+  "gemini-2.5-flash-lite": { input: 0.10, output: 0.40 },
+  "gemini-2.0-flash": { input: 0.10, output: 0.40 },
+  "gemini-2.0-flash-lite": { input: 0.075, output: 0.30 },
+  "gemini-1.5-pro": { input: 1.25, output: 5 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.30 }
+};
+
+let usageDbPromise = null;
+
+// Tokens of the requests that passed the budget check, until their usage is recorded: requests
+// sent together (the parts of a long document) would otherwise all check against the same total.
+// `{ tokens, recordedAt }`; recordedAt is null while the request runs.
+const budgetReservations = new Set();
+
+function openUsageDb() {
+  if (!usageDbPromise) {
+    const request = indexedDB.open(USAGE_DB_NAME, USAGE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(USAGE_STORE, { keyPath: "id", autoIncrement: true });
+      store.createIndex("createdAt", "createdAt");
+    };
+    usageDbPromise = requestToPromise(request).catch(error => {
+      usageDbPromise = null;
+      throw error;
+    });
+  }
+  return usageDbPromise;
+}
+
+/**
+ * Stores one cloud request and deletes the records past USAGE_RETENTION_DAYS.
+ * `record` is `{ model, apiFormat, taskType, promptTokens, outputTokens, estimated, latencyMs, status, errorName? }`.
+ */
+async function addUsageRecord(record) {
+  const db = await openUsageDb();
+  const transaction = db.transaction(USAGE_STORE, "readwrite");
+  const store = transaction.objectStore(USAGE_STORE);
+  store.add({ ...record, createdAt: Date.now() });
+
+  const cursorRequest = store.index("createdAt").openCursor(IDBKeyRange.upperBound(Date.now() - USAGE_RETENTION_DAYS * DAY_MS));
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (cursor) {
+      cursor.delete();
+      cursor.continue();
+    }
+  };
+  await transactionDone(transaction);
+}
+
+/**
+ * Records a request without ever failing it: the answer matters more than its bookkeeping.
+ */
+async function recordCloudUsage(record) {
+  try {
+    await addUsageRecord(record);
+  } catch (error) {
+    console.warn("Could not record cloud usage:", error);
+  }
+}
+
+/**
+ * Resolves to the records made since `since` (a timestamp), oldest first.
+ */
+async function getUsageRecords(since = 0) {
+  const db = await openUsageDb();
+  const index = db.transaction(USAGE_STORE).objectStore(USAGE_STORE).index("createdAt");
+  return requestToPromise(index.getAll(IDBKeyRange.lowerBound(since)));
+}
+
+async function clearUsage() {
+  const db = await openUsageDb();
+  const transaction = db.transaction(USAGE_STORE, "readwrite");
+  transaction.objectStore(USAGE_STORE).clear();
+  await transactionDone(transaction);
+}
+
+/**
+ * A local estimate of the prompt tokens of a request (see estimateTokens() in threads.js).
+ */
+function estimatePromptTokens(systemPrompt, turns) {
+  return turns.reduce(
+    (sum, turn) => sum + estimateTokens(turn.text) + (turn.image ? IMAGE_PROMPT_TOKENS : 0),
+    estimateTokens(systemPrompt)
+  );
+}
+
+// --- Budgets ---
+
+/**
+ * The daily token budgets: `{ softLimit, hardLimit }`, either null when it is not set.
+ */
+async function getUsageBudgets() {
+  const { dailyTokenSoftLimit, dailyTokenHardLimit } = await chrome.storage.local.get(["dailyTokenSoftLimit", "dailyTokenHardLimit"]);
+  return {
+    softLimit: dailyTokenSoftLimit > 0 ? dailyTokenSoftLimit : null,
+    hardLimit: dailyTokenHardLimit > 0 ? dailyTokenHardLimit : null
+  };
+}
+
+/**
+ * The budgets with the tokens used today (`usedToday`) as of `readAt`; the records are only read
+ * when a budget is set.
+ */
+async function getBudgetState() {
+  const readAt = Date.now();
+  const budgets = await getUsageBudgets();
+  if (!budgets.softLimit && !budgets.hardLimit) {
+    return { ...budgets, usedToday: 0, readAt };
+  }
+  const records = await getUsageRecords(startOfDay(readAt));
+  return { ...budgets, usedToday: records.reduce((sum, record) => sum + record.promptTokens + record.outputTokens, 0), readAt };
+}
+
+/**
+ * The tokens a request counts against the budget: its prompt and the output it is expected to produce.
+ */
+function estimateRequestTokens(promptTokens, maxOutputTokens) {
+  return promptTokens + Math.min(maxOutputTokens || EXPECTED_OUTPUT_TOKENS, EXPECTED_OUTPUT_TOKENS);
+}
+
+/**
+ * Checks a request of about `estimatedTokens` against the budget state (see checkTokenBudget()),
+ * counting the requests still running, and unless it is over the hard budget reserves its tokens.
+ * Returns `{ exceeded, release }`; `release()` must be called once the request's usage is recorded.
+ */
+function reserveTokenBudget(budget, estimatedTokens) {
+  let reserved = 0;
+  for (const reservation of budgetReservations) {
+    // A request recorded before the budget was read is already in `usedToday`
+    if (reservation.recordedAt === null || reservation.recordedAt >= (budget.readAt ?? Infinity)) {
+      reserved += reservation.tokens;
+    } else if (reservation.recordedAt < Date.now() - DAY_MS) {
+      budgetReservations.delete(reservation);
+    }
+  }
+  const exceeded = checkTokenBudget({ ...budget, usedToday: budget.usedToday + reserved }, estimatedTokens);
+  if (exceeded?.level === "hard") {
+    return { exceeded, release: () => {} };
+  }
+  const reservation = { tokens: estimatedTokens, recordedAt: null };
+  budgetReservations.add(reservation);
+  return {
+    exceeded,
+    release: () => {
+      reservation.recordedAt ??= Date.now();
+    }
+  };
+}
+
+/**
+ * Checks a request of about `estimatedTokens` tokens against the budget state. Returns
+ * null when it fits, or `{ level: "soft" | "hard", message }` when it would take today's
+ * usage past a budget; requests over the hard budget are not sent.
+ */
+function checkTokenBudget({ softLimit, hardLimit, usedToday }, estimatedTokens) {
+  const total = usedToday + estimatedTokens;
+  const used = `${formatTokenCount(usedToday)} tokens used today`;
+  if (hardLimit && total > hardLimit) {
+    return {
+      level: "hard",
+      message: `Not sent: this request (about ${formatTokenCount(estimatedTokens)} tokens) would go over your daily cloud budget of ${formatTokenCount(hardLimit)} tokens (${used}). Raise the budget on the options page, or run the task on-device.`
+    };
+  }
+  if (softLimit && total > softLimit) {
+    return {
+      level: "soft",
+      message: `Over your daily soft budget of ${formatTokenCount(softLimit)} tokens (${used}); sending anyway...`
+    };
+  }
+  return null;
+}
+
+// --- Totals ---
+
+/**
+ * The estimated price of `model` per million tokens, `{ input, output }`, or null when unknown.
+ */
+function getModelPrice(model) {
+  const prefix = Object.keys(MODEL_PRICES)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_PRICES[prefix] : null;
+}
+
+/**
+ * The estimated cost of a request in US dollars, or null when the model's price is unknown.
+ */
+function estimateCost(model, promptTokens, outputTokens) {
+  const price = getModelPrice(model);
+  return price ? (promptTokens * price.input + outputTokens * price.output) / 1e6 : null;
+}
+
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+// Weeks start on Monday
+function startOfWeek(time) {
+  const date = new Date(startOfDay(time));
+  date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+  return date.getTime();
+}
+
+/**
+ * Totals of a list of records: requests, failures, tokens, average latency and estimated cost.
+ * `unpricedTokens` counts the tokens of models without a known price, which the cost leaves out.
+ */
+function totalUsage(records) {
+  const totals = { requests: 0, failures: 0, promptTokens: 0, outputTokens: 0, latencyMs: 0, cost: 0, unpricedTokens: 0 };
+  for (const record of records) {
+    totals.requests++;
+    if (record.status !== USAGE_STATUS_OK) totals.failures++;
+    totals.promptTokens += record.promptTokens;
+    totals.outputTokens += record.outputTokens;
+    totals.latencyMs += record.latencyMs;
+    const cost = estimateCost(record.model, record.promptTokens, record.outputTokens);
+    if (cost === null) {
+      totals.unpricedTokens += record.promptTokens + record.outputTokens;
+    } else {
+      totals.cost += cost;
+    }
+  }
+  totals.averageLatencyMs = totals.requests ? Math.round(totals.latencyMs / totals.requests) : 0;
+  return totals;
+}
+
+/**
+ * Groups records by `keyOf(record)` into `[{ key, ...totalUsage() }]`, in the order the keys
+ * first appear.
+ */
+function groupUsage(records, keyOf) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyOf(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+  return [...groups].map(([key, grouped]) => ({ key, ...totalUsage(grouped) }));
+}
+
+/**
+ * What the usage page shows: today's and this week's totals, and totals per day, per week and per
+ * model (the most used first). Day and week keys are the timestamps they start at, newest first.
+ */
+function summarizeUsage(records, now = Date.now()) {
+  const newestFirst = [...records].sort((a, b) => b.createdAt - a.createdAt);
+  const today = startOfDay(now);
+  const week = startOfWeek(now);
+  return {
+    today: totalUsage(newestFirst.filter(record => record.createdAt >= today)),
+    week: totalUsage(newestFirst.filter(record => record.createdAt >= week)),
+    days: groupUsage(newestFirst, record => startOfDay(record.createdAt)),
+    weeks: groupUsage(newestFirst, record => startOfWeek(record.createdAt)),
+    models: groupUsage(newestFirst, record => record.model)
+      .sort((a, b) => (b.promptTokens + b.outputTokens) - (a.promptTokens + a.outputTokens))
+  };
+}
+
+function formatTokenCount(tokens) {
+  return tokens.toLocaleString("en-US");
+}
+
+/**
+ * A cost for display: "$0.0042", "$1.25", or "n/a" when unknown.
+ */
+function formatCost(cost) {
+  if (cost === null) return "n/a";
+  return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
@@ -0,0 +1,138 @@
+// Usage page: cloud tokens, requests and estimated cost per day, week and model, and today's
+// usage against the daily budgets, from the records kept by usage.js.
+
+const elements = {
+  budget: document.getElementById('budget'),
+  openOptions: document.getElementById('open-options'),
+  clearUsage: document.getElementById('clear-usage'),
+  empty: document.getElementById('empty'),
+  dashboard: document.getElementById('dashboard'),
+  todayCard: document.getElementById('today-card'),
+  weekCard: document.getElementById('week-card'),
+  days: document.getElementById('days'),
+  weeks: document.getElementById('weeks'),
+  models: document.getElementById('models'),
+  recent: document.getElementById('recent')
+};
+
+// Rows shown in the per-day table and the list of recent requests
+const MAX_DAY_ROWS = 14;
+const MAX_RECENT_REQUESTS = 50;
+
+const USAGE_TASK_LABELS = { ...HISTORY_TASK_LABELS, [USAGE_TASK_DETECT_LANGUAGE]: "Language detection" };
+
+/**
+ * Fills a table with a header row and one row per entry of `rows` (arrays of cell texts).
+ */
+function renderTable(table, headings, rows) {
+  const toRow = (texts, cellTag) => {
+    const row = document.createElement('tr');
+    for (const text of texts) {
+      const cell = document.createElement(cellTag);
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    return row;
+  };
+  table.replaceChildren(toRow(headings, 'th'), ...rows.map(cells => toRow(cells, 'td')));
+}
+
+// The cost of a group, flagged when it leaves out tokens of models without a known price
+function describeCost(totals) {
+  const cost = formatCost(totals.cost);
+  return totals.unpricedTokens > 0 ? `${cost} + ${formatTokenCount(totals.unpricedTokens)} unpriced tokens` : cost;
+}
+
+function totalsCells(totals) {
+  return [
+    formatTokenCount(totals.requests),
+    formatTokenCount(totals.failures),
+    formatTokenCount(totals.promptTokens),
+    formatTokenCount(totals.outputTokens),
+    describeCost(totals)
+  ];
+}
+
+const TOTALS_HEADINGS = ["Requests", "Failed", "Prompt tokens", "Output tokens", "Est. cost"];
+
+function renderCard(card, title, totals) {
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  const lines = [
+    ['tokens', `${formatTokenCount(totals.promptTokens + totals.outputTokens)} tokens`],
+    ['meta', `${formatTokenCount(totals.promptTokens)} prompt · ${formatTokenCount(totals.outputTokens)} output`],
+    ['meta', `${totals.requests} request${totals.requests === 1 ? "" : "s"}${totals.failures ? ` (${totals.failures} failed)` : ""} · ${totals.averageLatencyMs} ms on average`],
+    ['meta', `Estimated cost: ${describeCost(totals)}`]
+  ].map(([className, text]) => {
+    const line = document.createElement('div');
+    line.className = className;
+    line.textContent = text;
+    return line;
+  });
+  card.replaceChildren(heading, ...lines);
+}
+
+function renderBudget({ softLimit, hardLimit }, usedToday) {
+  if (!softLimit && !hardLimit) {
+    elements.budget.textContent = "No daily token budget set.";
+    elements.budget.className = "";
+    return;
+  }
+  const limits = [
+    softLimit && `soft budget ${formatTokenCount(softLimit)}`,
+    hardLimit && `hard budget ${formatTokenCount(hardLimit)}`
+  ].filter(Boolean).join(", ");
+  elements.budget.textContent = `Today: ${formatTokenCount(usedToday)} tokens (${limits}).`;
+  elements.budget.className = hardLimit && usedToday >= hardLimit ? "error" : softLimit && usedToday >= softLimit ? "warning" : "";
+}
+
+async function loadUsage() {
+  const [records, budgets] = await Promise.all([getUsageRecords(), getUsageBudgets()]);
+  const summary = summarizeUsage(records);
+  renderBudget(budgets, summary.today.promptTokens + summary.today.outputTokens);
+
+  elements.empty.hidden = records.length > 0;
+  elements.dashboard.hidden = records.length === 0;
+  if (records.length === 0) return;
+
+  renderCard(elements.todayCard, "Today", summary.today);
+  renderCard(elements.weekCard, "This week", summary.week);
+  renderTable(elements.days, ["Day", ...TOTALS_HEADINGS], summary.days.slice(0, MAX_DAY_ROWS).map(day =>
+    [new Date(day.key).toLocaleDateString(), ...totalsCells(day)]));
+  renderTable(elements.weeks, ["Week of", ...TOTALS_HEADINGS], summary.weeks.map(week =>
+    [new Date(week.key).toLocaleDateString(), ...totalsCells(week)]));
+  renderTable(elements.models, ["Model", ...TOTALS_HEADINGS], summary.models.map(model =>
+    [model.key, ...totalsCells(model)]));
+
+  const recent = [...records].reverse().slice(0, MAX_RECENT_REQUESTS);
+  renderTable(elements.recent, ["Time", "Task", "Model", "Prompt tokens", "Output tokens", "Latency", "Result"], recent.map(record => {
+    const approximate = record.estimated ? "~" : "";
+    return [
+      new Date(record.createdAt).toLocaleString(),
+      USAGE_TASK_LABELS[record.taskType] || record.taskType,
+      record.model,
+      `${approximate}${formatTokenCount(record.promptTokens)}`,
+      `${approximate}${formatTokenCount(record.outputTokens)}`,
+      `${(record.latencyMs / 1000).toFixed(1)} s`,
+      record.status === USAGE_STATUS_OK ? "OK" : `Failed (${record.errorName})`
+    ];
+  }));
+  elements.recent.querySelectorAll('tr').forEach((row, index) => {
+    if (index > 0 && recent[index - 1].status !== USAGE_STATUS_OK) row.lastChild.className = "failed";
+  });
+}
+
+elements.openOptions.onclick = () => chrome.runtime.openOptionsPage();
+
+elements.clearUsage.onclick = async () => {
+  if (!confirm("Delete all recorded cloud usage? Today's budget starts again from zero.")) return;
+  await clearUsage();
+  await loadUsage();
+};
+
+// Pick up requests made while this page was in the background
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === "visible") loadUsage();
+});
+
+loadUsage();
@@ -0,0 +1,58 @@
+// Side panel workspace.
+// The workspace state lives in chrome.storage.session so it survives tab switches, panel reloads and
+// worker restarts (but not a browser restart).
+// The side panel (sidepanel.js) renders it and sends its tasks back as messages (see messages.js).
+// Loaded into the service worker via importScripts(); plain globals.
+
+// Writes are chained so streamed updates never interleave
+let workspaceWrite = Promise.resolve();
+
+async function getWorkspace() {
+  const { workspace } = await chrome.storage.session.get("workspace");
+  return workspace || {};
+}
+
+function updateWorkspace(changes) {
+  workspaceWrite = workspaceWrite
+    .then(async () => {
+      const workspace = await getWorkspace();
+      await chrome.storage.session.set({ workspace: { ...workspace, ...changes, updatedAt: Date.now() } });
+    })
+    .catch(error => console.error("Could not update the side panel workspace:", error));
+  return workspaceWrite;
+}
+
+/**
+ * Hands a context-menu selection to the side panel. Presets that need input (Translate, Custom
+ * Prompt) wait for the user to fill it in there; the others start right away.
+ * `target` is the editable field the text was selected in, stored with the tab so the panel can write back.
+ */
+async function sendSelectionToWorkspace(preset, selectedText, tab, target = null) {
+  const needsInput = preset.input !== PRESET_INPUT_NONE;
+  await updateWorkspace({
+    presetId: preset.id,
+    selection: selectedText,
+    sourceUrl: tab.url,
+    sourceTitle: tab.title,
+    target,
+    // Tells the panel to replace whatever is in its input fields
+    inputsAt: Date.now(),
+    status: needsInput ? "awaiting-input" : "idle",
+    statusMessage: "",
+    title: "",
+    output: "",
+    backend: "",
+    thread: null,
+    proofread: null,
+    extraction: null,
+    inPlace: null,
+    translation: null,
+    bilingual: null,
+    preview: null,
+    errorActions: []
+  });
+
+  if (!needsInput) {
+    runAiTask(preset, selectedText, createSidePanelPresenter(), { source: tab, target });
+  }
+}